@@ -10,6 +10,15 @@ import { v2 as cloudinary } from 'cloudinary';
 import multerStorageCloudinary from 'multer-storage-cloudinary';
 import { MongoClient, ObjectId } from 'mongodb';
 import { OAuth2Client } from 'google-auth-library';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+import jwt from 'jsonwebtoken';
+import AdmZip from 'adm-zip';
+import sharp from 'sharp';
+import heicConvert from 'heic-convert';
+import { createWorker as createOcrWorker } from 'tesseract.js';
+import nodemailer from 'nodemailer';
 
 dotenv.config();
 
@@ -18,13 +27,230 @@ const MONGODB_DB_NAME = process.env.MONGODB_DB_NAME || 'EzStudyDB';
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
 const GOOGLE_GEMINI_API_KEY = (process.env.GOOGLE_GEMINI_API_KEY || process.env.GEMINI_API_KEY || '').trim();
 const GROQ_API_KEY = (process.env.GROQ_API_KEY || '').trim();
+const AUTH_TOKEN_SECRET = (process.env.AUTH_TOKEN_SECRET || '').trim() || crypto.randomBytes(48).toString('hex');
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// --- Structured logging ---
+// One JSON object per line, tagged with the id of the request being served. Fields that usually
+// hold personal data or secrets are replaced by key, and emails/tokens are scrubbed from strings.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[(process.env.LOG_LEVEL || '').trim().toLowerCase()] ?? LOG_LEVELS.info;
+
+// Holds { requestId, req } for the request currently being handled.
+const requestContext = new AsyncLocalStorage();
+
+const REDACTED_LOG_KEYS = new Set([
+    'password', 'currentpassword', 'newpassword', 'passwordhash', 'token', 'accesstoken', 'refreshtoken', 'credential',
+    'authorization', 'cookie', 'apikey', 'secret', 'email', 'emaillower', 'text', 'content', 'messages', 'usermessage',
+    'body', 'prompt', 'answers', 'notes', 'excerpt',
+]);
+
+const redactLogString = (value) => value
+    .replace(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, '[email]')
+    .replace(/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[jwt]')
+    .replace(/\bBearer\s+[\w.~+/-]+=*/gi, 'Bearer [redacted]')
+    .replace(/([?&](?:key|appid|token|api_key|access_token|refresh_token)=)[^&\s"']+/gi, '$1[redacted]');
+
+const redactForLog = (value, depth = 0) => {
+    if (typeof value === 'string') return redactLogString(value);
+    if (typeof value === 'bigint') return value.toString();
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: redactLogString(value.message || ''),
+            ...(value.code !== undefined ? { code: value.code } : {}),
+            ...(value.status !== undefined ? { status: value.status } : {}),
+            stack: redactLogString(value.stack || ''),
+        };
+    }
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof ObjectId) return value.toString();
+    if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+    if (depth >= 5) return '[object]';
+    if (Array.isArray(value)) return value.slice(0, 50).map((item) => redactForLog(item, depth + 1));
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        REDACTED_LOG_KEYS.has(key.toLowerCase()) ? '[redacted]' : redactForLog(item, depth + 1),
+    ]));
+};
+
+const logRouteOf = (req) => (req?.route ? `${req.baseUrl || ''}${req.route.path}` : 'unmatched');
+
+// Accepts console-style arguments: a message, then an optional Error and/or a plain object of fields.
+const writeLog = (level, args) => {
+    if (LOG_LEVELS[level] < LOG_LEVEL) return;
+
+    const [first, ...rest] = args;
+    const hasMessage = typeof first === 'string';
+    const extras = hasMessage ? rest : args;
+    const context = requestContext.getStore();
+    const base = {
+        time: new Date().toISOString(),
+        level,
+        msg: hasMessage ? redactLogString(first.replace(/:\s*$/, '')) : '',
+        ...(context ? { requestId: context.requestId } : {}),
+        ...(context?.req?.auth?.userId ? { userId: context.req.auth.userId } : {}),
+    };
+
+    const entry = { ...base };
+    const error = extras.find((item) => item instanceof Error);
+    const others = extras.filter((item) => !(item instanceof Error));
+    if (error) entry.error = redactForLog(error);
+    if (others.length === 1 && others[0] && typeof others[0] === 'object' && !Array.isArray(others[0])) {
+        Object.assign(entry, redactForLog(others[0]), base);
+    } else if (others.length) {
+        entry.details = redactForLog(others.length === 1 ? others[0] : others);
+    }
+
+    if (level === 'error') errorsTotal.inc({ route: context ? logRouteOf(context.req) : 'background' });
+
+    let line;
+    try {
+        line = JSON.stringify(entry);
+    } catch (serializeError) {
+        line = JSON.stringify({ ...base, details: '[unserializable]' });
+    }
+    (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+const logger = {
+    debug: (...args) => writeLog('debug', args),
+    info: (...args) => writeLog('info', args),
+    warn: (...args) => writeLog('warn', args),
+    error: (...args) => writeLog('error', args),
+};
+
+// --- Metrics ---
+// A small Prometheus registry: counters and histograms keyed by label values, plus collectors that
+// read existing state (cache stats, process) at scrape time. Label values must stay low-cardinality,
+// so routes are recorded by their Express pattern, never the raw path.
+const METRICS_TOKEN = (process.env.METRICS_TOKEN || '').trim();
+const metricsRegistry = [];
+
+const escapeMetricLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatMetricLabels = (labels) => {
+    const parts = Object.entries(labels).map(([name, value]) => `${name}="${escapeMetricLabel(value)}"`);
+    return parts.length ? `{${parts.join(',')}}` : '';
+};
+
+const metricSeries = (labelNames) => {
+    const series = new Map();
+    return {
+        get: (labels, create) => {
+            const values = labelNames.map((name) => String(labels[name] ?? ''));
+            const key = values.join('\u0000');
+            if (!series.has(key)) series.set(key, { labels: Object.fromEntries(labelNames.map((name, i) => [name, values[i]])), ...create() });
+            return series.get(key);
+        },
+        values: () => [...series.values()],
+    };
+};
+
+const createCounter = (name, help, labelNames = []) => {
+    const series = metricSeries(labelNames);
+    const counter = {
+        inc: (labels = {}, amount = 1) => {
+            series.get(labels, () => ({ value: 0 })).value += amount;
+        },
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} counter`,
+            ...series.values().map((entry) => `${name}${formatMetricLabels(entry.labels)} ${entry.value}`),
+        ],
+    };
+    metricsRegistry.push(counter);
+    return counter;
+};
+
+const createHistogram = (name, help, labelNames, buckets) => {
+    const series = metricSeries(labelNames);
+    const histogram = {
+        observe: (labels, value) => {
+            const entry = series.get(labels, () => ({ buckets: buckets.map(() => 0), sum: 0, count: 0 }));
+            buckets.forEach((bound, i) => {
+                if (value <= bound) entry.buckets[i] += 1;
+            });
+            entry.sum += value;
+            entry.count += 1;
+        },
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} histogram`,
+            ...series.values().flatMap((entry) => [
+                ...buckets.map((bound, i) => `${name}_bucket${formatMetricLabels({ ...entry.labels, le: bound })} ${entry.buckets[i]}`),
+                `${name}_bucket${formatMetricLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`,
+                `${name}_sum${formatMetricLabels(entry.labels)} ${entry.sum}`,
+                `${name}_count${formatMetricLabels(entry.labels)} ${entry.count}`,
+            ]),
+        ],
+    };
+    metricsRegistry.push(histogram);
+    return histogram;
+};
+
+// `collect` returns [labels, value] pairs read at scrape time.
+const createCollector = (name, help, type, collect) => {
+    metricsRegistry.push({
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} ${type}`,
+            ...collect().map(([labels, value]) => `${name}${formatMetricLabels(labels)} ${value}`),
+        ],
+    });
+};
+
+const renderMetrics = () => `${metricsRegistry.flatMap((metric) => metric.render()).join('\n')}\n`;
+
+const httpRequestDuration = createHistogram(
+    'ezstudy_http_request_duration_seconds',
+    'HTTP request latency by route pattern.',
+    ['method', 'route', 'status'],
+    [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+);
+const aiProviderCalls = createCounter('ezstudy_ai_provider_calls_total', 'AI provider calls by provider, model and outcome.', ['provider', 'model', 'outcome']);
+const aiProviderDuration = createHistogram(
+    'ezstudy_ai_provider_call_duration_seconds',
+    'AI provider call latency by provider and model.',
+    ['provider', 'model'],
+    [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120],
+);
+const aiProviderRetries = createCounter('ezstudy_ai_provider_retries_total', 'AI calls retried after a transient failure.', ['provider', 'model']);
+const aiProviderFallbacks = createCounter('ezstudy_ai_provider_fallbacks_total', 'Requests handed to the next AI provider after the previous one failed or was skipped.', ['from', 'to']);
+const errorsTotal = createCounter('ezstudy_errors_total', 'Errors logged, by route pattern.', ['route']);
+const moderationBlocks = createCounter('ezstudy_moderation_blocks_total', 'Requests or responses blocked by content moderation.', ['stage', 'category']);
+
+createCollector('ezstudy_process_uptime_seconds', 'Seconds since the process started.', 'gauge', () => [[{}, Math.round(process.uptime())]]);
+createCollector('ezstudy_process_resident_memory_bytes', 'Resident memory size in bytes.', 'gauge', () => [[{}, process.memoryUsage().rss]]);
+
+if (!process.env.AUTH_TOKEN_SECRET) {
+    logger.warn('AUTH_TOKEN_SECRET is not set. Using a random per-process secret, so sessions will not survive a restart.');
+}
 
 let mongoClient = null;
 let usersCollection = null;
 let chatsCollection = null;
+let sessionsCollection = null;
+let documentsCollection = null;
+let documentChunksCollection = null;
+let quizzesCollection = null;
+let quizAttemptsCollection = null;
+let flashcardDecksCollection = null;
+let flashcardsCollection = null;
+let aiUsageCollection = null;
+let aiUsageCountersCollection = null;
+let moderationEventsCollection = null;
+let aiCacheCollection = null;
+let studyPlansCollection = null;
+let authTokensCollection = null;
+let chatSharesCollection = null;
+let classroomsCollection = null;
+let classAssignmentsCollection = null;
 
 const googleAuthClient = GOOGLE_CLIENT_ID ? new OAuth2Client(GOOGLE_CLIENT_ID) : null;
-const genAI = GOOGLE_GEMINI_API_KEY ? new GoogleGenerativeAI(GOOGLE_GEMINI_API_KEY) : null;
 
 const normalizeEmail = (email) => (email || '').trim().toLowerCase();
 
@@ -64,6 +290,9 @@ const serializeUser = (userDoc) => {
         createdAt: userDoc.createdAt || null,
         lastLoginAt: userDoc.lastLoginAt || null,
         activeChatId: userDoc.activeChatId || null,
+        role: userRole(userDoc),
+        emailVerified: Boolean(userDoc.emailVerified),
+        deletionScheduledFor: userDoc.deletion?.purgeAfter || null,
     };
 };
 
@@ -83,11 +312,12 @@ const serializeChat = (chatDoc) => ({
     messages: Array.isArray(chatDoc.messages) ? chatDoc.messages.map(normalizeMessage) : [],
     createdAt: chatDoc.createdAt || null,
     updatedAt: chatDoc.updatedAt || null,
+    version: chatDoc.version || 0,
 });
 
 const initializeMongo = async () => {
     if (!MONGODB_URI) {
-        console.warn('MONGODB_URI is not set. MongoDB persistence endpoints will return 503 until configured.');
+        logger.warn('MONGODB_URI is not set. MongoDB persistence endpoints will return 503 until configured.');
         return false;
     }
 
@@ -98,17 +328,93 @@ const initializeMongo = async () => {
         const db = mongoClient.db(MONGODB_DB_NAME);
         usersCollection = db.collection('users');
         chatsCollection = db.collection('chats');
+        sessionsCollection = db.collection('sessions');
+        documentsCollection = db.collection('documents');
+        documentChunksCollection = db.collection('documentChunks');
+        quizzesCollection = db.collection('quizzes');
+        quizAttemptsCollection = db.collection('quizAttempts');
+        flashcardDecksCollection = db.collection('flashcardDecks');
+        flashcardsCollection = db.collection('flashcards');
+        aiUsageCollection = db.collection('aiUsage');
+        aiUsageCountersCollection = db.collection('aiUsageCounters');
+        moderationEventsCollection = db.collection('moderationEvents');
+        aiCacheCollection = db.collection('aiCache');
+        studyPlansCollection = db.collection('studyPlans');
+        authTokensCollection = db.collection('authTokens');
+        chatSharesCollection = db.collection('chatShares');
+        classroomsCollection = db.collection('classrooms');
+        classAssignmentsCollection = db.collection('classAssignments');
 
         await usersCollection.createIndex({ emailLower: 1 }, { unique: true });
         await chatsCollection.createIndex({ userId: 1, chatId: 1 }, { unique: true });
         await chatsCollection.createIndex({ userId: 1, updatedAt: -1 });
+        await chatsCollection.createIndex(
+            { title: 'text', 'messages.text': 'text' },
+            { name: 'chat_text_search', weights: { title: 5, 'messages.text': 1 } }
+        );
+        await sessionsCollection.createIndex({ userId: 1 });
+        // Expired sessions are purged by MongoDB itself.
+        await sessionsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        await documentsCollection.createIndex({ userId: 1, createdAt: -1 });
+        await documentChunksCollection.createIndex({ userId: 1, documentId: 1, index: 1 });
+        await quizzesCollection.createIndex({ userId: 1, createdAt: -1 });
+        await quizAttemptsCollection.createIndex({ userId: 1, quizId: 1, submittedAt: -1 });
+        await quizAttemptsCollection.createIndex({ userId: 1, submittedAt: -1 });
+        await flashcardDecksCollection.createIndex({ userId: 1, updatedAt: -1 });
+        await flashcardsCollection.createIndex({ userId: 1, deckId: 1 });
+        await flashcardsCollection.createIndex({ userId: 1, dueAt: 1 });
+        await flashcardsCollection.createIndex({ userId: 1, lastReviewedAt: -1 });
+        await aiUsageCollection.createIndex({ subject: 1, createdAt: -1 });
+        await aiUsageCollection.createIndex({ userId: 1, createdAt: -1 });
+        // Counters for finished periods are dropped a while after they close.
+        await aiUsageCountersCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        await moderationEventsCollection.createIndex({ createdAt: -1 });
+        await moderationEventsCollection.createIndex({ reviewStatus: 1, createdAt: -1 });
+        await aiCacheCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        await studyPlansCollection.createIndex({ userId: 1, createdAt: -1 });
+        await studyPlansCollection.createIndex({ calendarTokenHash: 1 }, { unique: true, sparse: true });
+        await authTokensCollection.createIndex({ tokenHash: 1 }, { unique: true });
+        await authTokensCollection.createIndex({ userId: 1, purpose: 1, createdAt: -1 });
+        // Kept a day past expiry so the hourly send limit can still count them.
+        await authTokensCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+        await chatSharesCollection.createIndex({ slug: 1 }, { unique: true });
+        await chatSharesCollection.createIndex({ userId: 1, createdAt: -1 });
+        // Links without an expiry have expiresAt: null and are never swept.
+        await chatSharesCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        await classroomsCollection.createIndex({ joinCode: 1 }, { unique: true });
+        await classroomsCollection.createIndex({ teacherId: 1, createdAt: -1 });
+        await classroomsCollection.createIndex({ 'students.userId': 1 });
+        await classAssignmentsCollection.createIndex({ classroomId: 1, dueAt: 1 });
+        // Makes the per-assignment attempt limit atomic: each attempt number can be stored once.
+        // Attempts duplicated before this index existed would block it, so that failure is logged
+        // rather than taking MongoDB down with it.
+        await quizAttemptsCollection.createIndex(
+            { assignmentId: 1, userId: 1, attemptNumber: 1 },
+            { unique: true, partialFilterExpression: { assignmentId: { $type: 'string' } } }
+        ).catch((error) => logger.error('Could not create the unique assignment attempt index; remove duplicate attempts and restart:', error));
 
-        console.log(`MongoDB connected using database: ${MONGODB_DB_NAME}`);
+        logger.info(`MongoDB connected using database: ${MONGODB_DB_NAME}`);
         return true;
     } catch (error) {
-        console.error('MongoDB initialization failed:', error);
+        logger.error('MongoDB initialization failed:', error);
         usersCollection = null;
         chatsCollection = null;
+        sessionsCollection = null;
+        documentsCollection = null;
+        documentChunksCollection = null;
+        quizzesCollection = null;
+        quizAttemptsCollection = null;
+        flashcardDecksCollection = null;
+        flashcardsCollection = null;
+        aiUsageCollection = null;
+        aiUsageCountersCollection = null;
+        moderationEventsCollection = null;
+        aiCacheCollection = null;
+        studyPlansCollection = null;
+        authTokensCollection = null;
+        chatSharesCollection = null;
+        classroomsCollection = null;
+        classAssignmentsCollection = null;
         return false;
     }
 };
@@ -117,7 +423,7 @@ const mongoReadyPromise = initializeMongo();
 
 const ensureMongoReady = async (res) => {
     await mongoReadyPromise;
-    if (!usersCollection || !chatsCollection) {
+    if (!usersCollection || !chatsCollection || !sessionsCollection) {
         res.status(503).json({ error: 'MongoDB Atlas is not configured or unavailable on the backend' });
         return false;
     }
@@ -129,39 +435,424 @@ const findUserByEmail = async (email) => {
     return usersCollection.findOne({ emailLower: normalizedEmail });
 };
 
-const syncChatsForUser = async (userId, chats) => {
+// Chat ids come from the client and may have been stored as numbers (Date.now()) or strings.
+const chatIdFilter = (chatId) => {
+    const numeric = Number(chatId);
+    return Number.isFinite(numeric) && String(numeric) === String(chatId) ? { $in: [String(chatId), numeric] } : String(chatId);
+};
+
+// Chats saved before versioning have no `version` field; treat them as version 0.
+const versionFilter = (version) => (version === 0 ? { $in: [0, null] } : version);
+
+const chatFieldsFromPayload = (chat, now) => ({
+    title: chat.title || 'New Study Session',
+    preview: chat.preview || 'Ready to help you excel!',
+    date: chat.date ? new Date(chat.date) : now,
+    isActive: Boolean(chat.isActive),
+    messages: Array.isArray(chat.messages) ? chat.messages.map(normalizeMessage) : [],
+    updatedAt: now,
+});
+
+// Legacy bulk save, kept for older clients. Chats that carry a `version` are only written when
+// it matches the stored one (others are reported as conflicts), and when `syncedAt` is given,
+// chats missing from the payload are only deleted if nobody changed them after that time.
+// Share links of deleted chats are revoked with them.
+const syncChatsForUser = async (userId, chats, { syncedAt = null } = {}, collection = chatsCollection, shares = chatSharesCollection) => {
     const now = new Date();
     const chatIds = chats.map((chat) => chat.id);
-
-    if (chatIds.length === 0) {
-        await chatsCollection.deleteMany({ userId });
-        return;
-    }
+    const conflicts = [];
 
     for (const chat of chats) {
-        const normalizedMessages = Array.isArray(chat.messages) ? chat.messages.map(normalizeMessage) : [];
-        await chatsCollection.updateOne(
-            { userId, chatId: chat.id },
-            {
-                $set: {
-                    userId,
-                    chatId: chat.id,
-                    title: chat.title || 'New Study Session',
-                    preview: chat.preview || 'Ready to help you excel!',
-                    date: chat.date ? new Date(chat.date) : now,
-                    isActive: Boolean(chat.isActive),
-                    messages: normalizedMessages,
-                    updatedAt: now,
-                },
-                $setOnInsert: {
-                    createdAt: chat.createdAt ? new Date(chat.createdAt) : now,
-                },
-            },
-            { upsert: true }
+        const fields = { userId, chatId: chat.id, ...chatFieldsFromPayload(chat, now) };
+        const createdAt = chat.createdAt ? new Date(chat.createdAt) : now;
+
+        if (!Number.isInteger(chat.version)) {
+            await collection.updateOne(
+                { userId, chatId: chat.id },
+                { $set: fields, $setOnInsert: { createdAt }, $inc: { version: 1 } },
+                { upsert: true }
+            );
+            continue;
+        }
+
+        const result = await collection.updateOne(
+            { userId, chatId: chat.id, version: versionFilter(chat.version) },
+            { $set: fields, $inc: { version: 1 } }
         );
+        if (result.matchedCount > 0) continue;
+
+        try {
+            await collection.insertOne({ ...fields, createdAt, version: 1 });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            conflicts.push(chat.id);
+        }
+    }
+
+    const deleteFilter = { userId, chatId: { $nin: chatIds } };
+    if (syncedAt) {
+        deleteFilter.updatedAt = { $lte: syncedAt };
+    }
+    const removedIds = (await collection.find(deleteFilter, { projection: { chatId: 1 } }).toArray()).map((chat) => chat.chatId);
+    if (removedIds.length > 0) {
+        await collection.deleteMany({ ...deleteFilter, chatId: { $in: removedIds } });
+        // A chat written again since it was read above survives the delete, and keeps its links.
+        const survivors = new Set((await collection.find({ userId, chatId: { $in: removedIds } }, { projection: { chatId: 1 } }).toArray()).map((chat) => chat.chatId));
+        const deletedIds = removedIds.filter((chatId) => !survivors.has(chatId));
+        if (deletedIds.length > 0) {
+            await shares.deleteMany({ userId, chatId: { $in: deletedIds } });
+        }
+    }
+
+    return { conflicts };
+};
+
+const scryptAsync = promisify(crypto.scrypt);
+const PASSWORD_SCRYPT_PARAMS = { N: 16384, r: 8, p: 1, keyLength: 64 };
+
+// Bounds the work one request can push through scrypt.
+const PASSWORD_MAX_LENGTH = 1024;
+
+// Returns { password } (null when absent) or { error } when it is too long. Clients historically
+// sent a client-side digest as `passwordHash`; that field is only read on sign-in
+// (`allowLegacyField`), where existing accounts migrate.
+const readPassword = (body, field = 'password', { allowLegacyField = false } = {}) => {
+    const value = body?.[field] ?? (allowLegacyField ? body?.[`${field}Hash`] : undefined);
+    if (typeof value !== 'string' || value.length === 0) return { password: null };
+    if (value.length > PASSWORD_MAX_LENGTH) return { error: `${field} must be at most ${PASSWORD_MAX_LENGTH} characters` };
+    return { password: value };
+};
+
+// Encoded as "scrypt$N$r$p$<salt>$<key>" so parameters can be raised later without breaking old digests.
+const hashPassword = async (password) => {
+    const { N, r, p, keyLength } = PASSWORD_SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(16);
+    const key = await scryptAsync(password, salt, keyLength, { N, r, p, maxmem: 64 * 1024 * 1024 });
+    return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+};
+
+const verifyPasswordDigest = async (password, digest) => {
+    const [algorithm, N, r, p, salt, key] = (digest || '').split('$');
+    if (algorithm !== 'scrypt' || !salt || !key) return false;
+
+    const expected = Buffer.from(key, 'base64');
+    const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p), maxmem: 64 * 1024 * 1024,
+    });
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+// Compares digests of both values so the comparison is constant time regardless of input length.
+const safeEqualStrings = (a, b) => crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(String(a)).digest(),
+    crypto.createHash('sha256').update(String(b)).digest()
+);
+
+// Checks a password against either a scrypt digest or a legacy plain `passwordHash`.
+// Returns { valid, needsUpgrade } so callers can migrate legacy accounts on success.
+const checkUserPassword = async (userDoc, password) => {
+    if (userDoc?.passwordDigest) {
+        return { valid: await verifyPasswordDigest(password, userDoc.passwordDigest), needsUpgrade: false };
+    }
+    if (userDoc?.passwordHash) {
+        const valid = safeEqualStrings(userDoc.passwordHash, password);
+        return { valid, needsUpgrade: valid };
+    }
+    return { valid: false, needsUpgrade: false };
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are opaque "<sessionId>.<secret>" strings; only a hash of the secret is stored.
+const splitRefreshToken = (refreshToken) => {
+    if (!refreshToken || typeof refreshToken !== 'string') return null;
+    const [sessionId, secret] = refreshToken.split('.');
+    const sessionObjectId = parseObjectId(sessionId);
+    if (!sessionObjectId || !secret) return null;
+    return { sessionObjectId, secret };
+};
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+    { sid: sessionId },
+    AUTH_TOKEN_SECRET,
+    { subject: userId, expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+);
+
+const buildSessionTokens = (userId, sessionId, refreshSecret, refreshExpiresAt) => ({
+    tokenType: 'Bearer',
+    accessToken: signAccessToken(userId, sessionId),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshToken: `${sessionId}.${refreshSecret}`,
+    refreshExpiresAt,
+});
+
+const createSession = async (userDoc, req) => {
+    const now = new Date();
+    const userId = userDoc._id.toString();
+    const refreshSecret = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const result = await sessionsCollection.insertOne({
+        userId,
+        refreshTokenHash: hashToken(refreshSecret),
+        userAgent: req.get('user-agent') || null,
+        ip: req.ip || null,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt,
+        revokedAt: null,
+    });
+
+    return buildSessionTokens(userId, result.insertedId.toString(), refreshSecret, expiresAt);
+};
+
+const isSessionActive = (session) => Boolean(session) && !session.revokedAt && session.expiresAt > new Date();
+
+const readBearerToken = (req) => {
+    const header = req.get('authorization') || '';
+    const [scheme, token] = header.split(' ');
+    return scheme?.toLowerCase() === 'bearer' && token ? token.trim() : null;
+};
+
+// Verifies the access token and that its session has not been revoked.
+// With `optional`, requests without a token pass through anonymously (req.auth stays unset).
+const createAuthMiddleware = ({ optional = false } = {}) => async (req, res, next) => {
+    try {
+        const token = readBearerToken(req);
+        if (!token && optional) {
+            return next();
+        }
+
+        if (!await ensureMongoReady(res)) return;
+
+        if (!token) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        let claims;
+        try {
+            claims = jwt.verify(token, AUTH_TOKEN_SECRET);
+        } catch (error) {
+            const expired = error.name === 'TokenExpiredError';
+            return res.status(401).json({ error: expired ? 'Access token expired' : 'Invalid access token' });
+        }
+
+        const sessionObjectId = parseObjectId(claims.sid);
+        const session = sessionObjectId ? await sessionsCollection.findOne({ _id: sessionObjectId }) : null;
+        if (!isSessionActive(session) || session.userId !== claims.sub) {
+            return res.status(401).json({ error: 'Session has been revoked or expired' });
+        }
+
+        req.auth = { userId: claims.sub, sessionId: claims.sid };
+        next();
+    } catch (error) {
+        logger.error('Auth middleware error:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
+};
+
+const requireAuth = createAuthMiddleware();
+const optionalAuth = createAuthMiddleware({ optional: true });
+
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map(normalizeEmail).filter(Boolean);
+
+// Must run after requireAuth. Admins are configured by email in ADMIN_EMAILS.
+const requireAdmin = async (req, res, next) => {
+    try {
+        const user = await usersCollection.findOne({ _id: parseObjectId(req.auth?.userId) }, { projection: { emailLower: 1 } });
+        if (!user || !ADMIN_EMAILS.includes(user.emailLower)) {
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+        next();
+    } catch (error) {
+        logger.error('Admin check error:', error);
+        res.status(500).json({ error: 'Authorization failed' });
     }
+};
+
+// Must run after requireAuth on routes with a :userId param.
+const requireSameUser = (req, res, next) => {
+    if (!parseObjectId(req.params.userId)) {
+        return res.status(400).json({ error: 'Invalid user id' });
+    }
+    if (req.params.userId !== req.auth?.userId) {
+        return res.status(403).json({ error: 'You do not have access to this user' });
+    }
+    next();
+};
+
+// --- Email delivery ---
+// MAIL_TRANSPORT picks how mail leaves the server: `smtp` (SMTP_* settings), `file` (one .eml file
+// per message in MAIL_FILE_DIR, for local testing) or `console` (printed to the log). The default
+// is smtp when SMTP_HOST is set, otherwise console. Console prints live verification and reset
+// links, so it is refused when NODE_ENV=production.
+
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')).toLowerCase();
+const MAIL_FROM = process.env.MAIL_FROM || 'EzStudy <no-reply@ezstudy.app>';
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'mail-outbox');
+const APP_BASE_URL = (process.env.APP_BASE_URL || process.env.FRONTEND_URL || 'http://localhost:5178').replace(/\/+$/, '');
+
+const createSmtpMailTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT || 587),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+    return {
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        },
+    };
+};
+
+const createFileMailTransport = () => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    return {
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            await fs.promises.mkdir(MAIL_FILE_DIR, { recursive: true });
+            const filePath = path.join(MAIL_FILE_DIR, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+            await fs.promises.writeFile(filePath, info.message);
+            return { messageId: info.messageId, filePath };
+        },
+    };
+};
+
+// Development only (see createMailer): prints the whole message, links included, bypassing the redacting logger.
+const createConsoleMailTransport = () => ({
+    send: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return { messageId: null };
+    },
+});
+
+const mailTransportFactories = {
+    smtp: createSmtpMailTransport,
+    file: createFileMailTransport,
+    console: createConsoleMailTransport,
+};
+
+const createMailer = (transportName = MAIL_TRANSPORT, { production = process.env.NODE_ENV === 'production' } = {}) => {
+    const factory = mailTransportFactories[transportName];
+    if (!factory) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${transportName}". Use one of: ${Object.keys(mailTransportFactories).join(', ')}`);
+    }
+    if (transportName === 'console' && production) {
+        throw new Error('MAIL_TRANSPORT=console would write live account links to the logs and is not allowed in production. Set SMTP_HOST (or MAIL_TRANSPORT=smtp with SMTP_* settings).');
+    }
+    const transport = factory();
+    return {
+        transport: transportName,
+        send: ({ to, subject, text, html }) => transport.send({ from: MAIL_FROM, to, subject, text, html }),
+    };
+};
+
+const mailer = createMailer();
+
+// --- Email verification and password reset tokens ---
+// Tokens are random, single-use and expire; only their SHA-256 hash is stored. Issuing a new token
+// retires the user's earlier unused ones for the same purpose.
 
-    await chatsCollection.deleteMany({ userId, chatId: { $nin: chatIds } });
+const AUTH_EMAIL_COOLDOWN_SECONDS = Number(process.env.AUTH_EMAIL_COOLDOWN_SECONDS || 60);
+const AUTH_EMAIL_HOURLY_LIMIT = Number(process.env.AUTH_EMAIL_HOURLY_LIMIT || 5);
+const AUTH_EMAIL_PER_IP = Number(process.env.AUTH_EMAIL_PER_IP || 5);
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+const authEmailTemplates = {
+    'verify-email': {
+        ttlMs: Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 24) * 60 * 60 * 1000,
+        subject: 'Verify your EzStudy email address',
+        link: (token) => `${APP_BASE_URL}/verify-email?token=${token}`,
+        intro: 'Confirm your email address to finish setting up your EzStudy account.',
+        action: 'Verify email',
+    },
+    'reset-password': {
+        ttlMs: Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60) * 60 * 1000,
+        subject: 'Reset your EzStudy password',
+        link: (token) => `${APP_BASE_URL}/reset-password?token=${token}`,
+        intro: 'Someone (hopefully you) asked to reset your EzStudy password. If it was not you, you can ignore this email.',
+        action: 'Choose a new password',
+    },
+};
+
+const describeTokenLifetime = (ttlMs) => {
+    const hours = Math.round(ttlMs / (60 * 60 * 1000));
+    if (hours >= 1) return hours === 1 ? '1 hour' : `${hours} hours`;
+    return `${Math.round(ttlMs / 60000)} minutes`;
+};
+
+// Seconds until another email of this kind may go to the user, or 0.
+const authEmailRetryAfter = async (userId, purpose) => {
+    const now = Date.now();
+    const recent = await authTokensCollection
+        .find({ userId, purpose, createdAt: { $gte: new Date(now - 60 * 60 * 1000) } }, { projection: { createdAt: 1 } })
+        .sort({ createdAt: -1 })
+        .toArray();
+    if (recent[0] && now - recent[0].createdAt.getTime() < AUTH_EMAIL_COOLDOWN_SECONDS * 1000) {
+        return Math.ceil((recent[0].createdAt.getTime() + AUTH_EMAIL_COOLDOWN_SECONDS * 1000 - now) / 1000);
+    }
+    if (recent.length >= AUTH_EMAIL_HOURLY_LIMIT) {
+        return Math.ceil((recent[AUTH_EMAIL_HOURLY_LIMIT - 1].createdAt.getTime() + 60 * 60 * 1000 - now) / 1000);
+    }
+    return 0;
+};
+
+const issueAuthToken = async (userDoc, purpose) => {
+    const userId = userDoc._id.toString();
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    await authTokensCollection.updateMany({ userId, purpose, usedAt: null }, { $set: { usedAt: now, superseded: true } });
+    await authTokensCollection.insertOne({
+        userId,
+        purpose,
+        email: userDoc.emailLower,
+        tokenHash: hashToken(token),
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + authEmailTemplates[purpose].ttlMs),
+        usedAt: null,
+    });
+    return token;
+};
+
+// Marks the token used and returns its record, or null if it is unknown, used or expired.
+const consumeAuthToken = (token, purpose) => {
+    if (typeof token !== 'string' || !token) return null;
+    const now = new Date();
+    return authTokensCollection.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+        { $set: { usedAt: now } }
+    );
+};
+
+// Sends a verification or reset link unless the user is throttled. Returns { sent, retryAfterSeconds }.
+const sendAuthEmail = async (userDoc, purpose) => {
+    const retryAfterSeconds = await authEmailRetryAfter(userDoc._id.toString(), purpose);
+    if (retryAfterSeconds > 0) {
+        return { sent: false, retryAfterSeconds };
+    }
+
+    const template = authEmailTemplates[purpose];
+    const link = template.link(await issueAuthToken(userDoc, purpose));
+    const expires = `This link expires in ${describeTokenLifetime(template.ttlMs)} and can be used once.`;
+    await mailer.send({
+        to: userDoc.emailLower,
+        subject: template.subject,
+        text: `Hi ${userDoc.name || 'there'},\n\n${template.intro}\n\n${template.action}: ${link}\n\n${expires}\n`,
+        html: `<p>Hi ${escapeHtml(userDoc.name || 'there')},</p><p>${escapeHtml(template.intro)}</p><p><a href="${escapeHtml(link)}">${escapeHtml(template.action)}</a></p><p>${escapeHtml(expires)}</p>`,
+    });
+    return { sent: true, retryAfterSeconds: 0 };
+};
+
+// Per-IP limit for the unauthenticated email routes; per-account limits live in sendAuthEmail.
+const takeAuthEmailSlot = (req, res) => {
+    const slot = takeRateLimitSlot(`auth-email:${req.ip}`, AUTH_EMAIL_PER_IP);
+    if (!slot.allowed) {
+        sendTooManyRequests(req, res, slot.retryAfterSeconds, 'Too many email requests. Please try again later.');
+        return false;
+    }
+    return true;
 };
 
 // Configure Cloudinary
@@ -173,6 +864,9 @@ cloudinary.config({
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+
+// Render (and most hosts) sit behind one proxy; trust it so req.ip is the client address.
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS ?? 1));
 const allowedOrigins = [
     process.env.FRONTEND_URL,
     'https://ezstudyai.vercel.app',
@@ -191,8 +885,9 @@ const corsOptions = {
         callback(new Error(`CORS blocked for origin: ${origin}`));
     },
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'Content-Length', 'X-Requested-With'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Content-Length', 'X-Requested-With', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id'],
 };
 
 // Create uploads directory if it doesn't exist
@@ -208,17 +903,49 @@ const storage = multer.diskStorage({
         cb(null, Date.now() + '-' + file.originalname);
     }
 });
-const upload = multer({ storage });
+// Limits are enforced while the upload streams, so an oversized file is never fully written.
+// Images have their own, smaller per-file limit (IMAGE_MAX_BYTES) on top of this.
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES || 25 * 1024 * 1024);
+const UPLOAD_MAX_FILES = Number(process.env.UPLOAD_MAX_FILES || 10);
+const PROFILE_IMAGE_MAX_BYTES = Number(process.env.PROFILE_IMAGE_MAX_BYTES || 5 * 1024 * 1024);
+
+const upload = multer({ storage, limits: { fileSize: UPLOAD_MAX_BYTES, files: UPLOAD_MAX_FILES } });
 
 // Configure Cloudinary storage for profile images
 const profileImageStorage = multerStorageCloudinary({
     cloudinary: cloudinary,
     folder: 'ezstudy-profiles',
+    // Named after the signed-in uploader, so every stored image can be traced to its account.
+    filename: (req, file, cb) => cb(undefined, `${req.auth.userId}-${Date.now()}`),
     allowedFormats: ['jpg', 'jpeg', 'png', 'gif'],
     transformation: [{ width: 200, height: 200, crop: 'fill' }]
 });
 
-const uploadProfileImage = multer({ storage: profileImageStorage });
+const uploadProfileImage = multer({ storage: profileImageStorage, limits: { fileSize: PROFILE_IMAGE_MAX_BYTES, files: 1 } });
+
+// Request ids and latency. Runs first so every response carries X-Request-Id; a well-formed id
+// sent by a proxy is reused so logs can be joined across services.
+app.use((req, res, next) => {
+    const incomingId = req.get('X-Request-Id');
+    const requestId = incomingId && /^[\w.-]{8,128}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+    req.id = requestId;
+    req.logContext = { requestId, req };
+    res.setHeader('X-Request-Id', requestId);
+
+    res.on('close', () => {
+        const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        // 499: the client went away before the response finished.
+        const status = res.writableFinished ? res.statusCode : 499;
+        const route = req.route ? logRouteOf(req) : (req.originalUrl.startsWith('/uploads/') && status < 400 ? '/uploads' : 'unmatched');
+        httpRequestDuration.observe({ method: req.method, route, status }, durationSeconds);
+        requestContext.run(req.logContext, () => {
+            logger.info('Request completed', { method: req.method, route, status, durationMs: Math.round(durationSeconds * 1000) });
+        });
+    });
+
+    next();
+});
 
 // Security headers middleware
 app.use((req, res, next) => {
@@ -233,603 +960,6418 @@ app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
+// Entered after the body parsers, whose stream callbacks would otherwise drop the context.
+app.use((req, res, next) => requestContext.run(req.logContext, next));
 
-// Simple content moderation helper (local rules)
-function moderateContent(text) {
-    if (!text || typeof text !== 'string') return { allowed: true };
-    const lowered = text.toLowerCase();
+// Multer finishes on stream events too, so route-level upload middleware re-enters the context.
+const withRequestContext = (middleware) => (req, res, next) => middleware(req, res, (error) => {
+    requestContext.run(req.logContext, () => next(error));
+});
 
-    // Basic adult/sexual content keywords
-    const adultKeywords = [
-        'porn', 'sex', 'xxx', 'nude', 'naked', 'escort', 'adult', 'bdsm', 'fetish'
-    ];
+// --- Content moderation ---
+// Rules match whole words/phrases only. `block` rules always block; `contextual` rules block
+// unless the text (or its surrounding request) shows an academic context such as history or biology.
+// MODERATION_CONFIG_PATH may point to a JSON file with the same shape to replace these defaults.
 
-    // Basic illegal content keywords
-    const illegalKeywords = [
-        'bomb', 'explosive', 'hack bank', 'kill', 'murder', 'drugs', 'buy heroin', 'build a bomb'
-    ];
+const DEFAULT_MODERATION_CONFIG = {
+    rules: [
+        {
+            category: 'adult',
+            severity: 'block',
+            words: ['porn', 'porno', 'pornography', 'xxx', 'hentai', 'escort', 'escorts', 'bdsm', 'fetish', 'nsfw'],
+            phrases: ['adult content', 'adult video', 'adult videos', 'adult site', 'sex video', 'sex chat', 'nude photos', 'naked pictures'],
+        },
+        {
+            category: 'adult',
+            severity: 'contextual',
+            words: ['sex', 'sexual', 'nude', 'naked'],
+        },
+        {
+            category: 'illegal',
+            severity: 'block',
+            phrases: [
+                'build a bomb', 'make a bomb', 'how to make a bomb', 'make explosives', 'build an explosive', 'pipe bomb',
+                'hack bank', 'hack a bank', 'hack into a bank', 'buy heroin', 'buy cocaine', 'buy meth', 'sell drugs',
+                'how to kill someone', 'kill someone', 'get away with murder',
+            ],
+        },
+        {
+            category: 'violence',
+            severity: 'contextual',
+            words: ['kill', 'killing', 'murder', 'bomb', 'bombs', 'explosive', 'explosives', 'drugs', 'heroin', 'cocaine'],
+        },
+    ],
+    // Specific topics only: a generic word such as "exam" or "essay" would unblock anything.
+    allowContexts: [
+        'world war', 'cold war', 'civil war', 'manhattan project', 'hiroshima', 'nagasaki', 'holocaust', 'atomic bomb',
+        'nuclear fission', 'history of', 'historical', 'sexual reproduction', 'asexual reproduction', 'reproductive system',
+        'sexual selection', 'sex chromosome', 'sex chromosomes', 'sex cells', 'sex education', 'sexually transmitted',
+        'chromosome', 'chromosomes', 'genetics', 'meiosis', 'anatomy', 'puberty', 'bacteria', 'antibiotics', 'immune system',
+        'pharmacology', 'public health', 'addiction', 'chemical reaction', 'exothermic', 'combustion', 'shakespeare', 'macbeth',
+        'hamlet', 'othello', 'romeo and juliet', 'to kill a mockingbird', 'crime and punishment', 'criminology', 'criminal law',
+        'art history', 'renaissance', 'sculpture',
+    ],
+};
 
-    for (const k of adultKeywords) {
-        if (lowered.includes(k)) return { allowed: false, reason: 'adult' };
-    }
-    for (const k of illegalKeywords) {
-        if (lowered.includes(k)) return { allowed: false, reason: 'illegal' };
+const loadModerationConfig = () => {
+    const configPath = process.env.MODERATION_CONFIG_PATH;
+    if (!configPath) return DEFAULT_MODERATION_CONFIG;
+
+    try {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+        return { rules: config.rules || DEFAULT_MODERATION_CONFIG.rules, allowContexts: config.allowContexts || DEFAULT_MODERATION_CONFIG.allowContexts };
+    } catch (error) {
+        logger.error(`Failed to load moderation config from ${configPath}; using built-in rules:`, error.message);
+        return DEFAULT_MODERATION_CONFIG;
     }
+};
 
-    return { allowed: true };
-}
+// Phrases tolerate any run of whitespace/punctuation between words; boundaries are Unicode-aware
+// so "skills" never matches "kill" and "Sussex" never matches "sex".
+const termPattern = (term) => term
+    .trim()
+    .split(/\s+/)
+    .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[\\s\\p{P}]+');
 
-// AI API utility function with fallback
-async function callAIAPI(messages, config = {}, fileContext = '') {
-    const googleApiKey = GOOGLE_GEMINI_API_KEY;
-    const groqApiKey = GROQ_API_KEY;
-    const geminiModelCandidates = ['gemini-2.0-flash', 'gemini-2.0-flash-lite', 'gemini-1.5-flash'];
-
-    // Try Google Gemini first
-    if (googleApiKey && googleApiKey !== 'your_google_gemini_api_key_here' && genAI) {
-        // Gemini chat history is strict about role ordering. Flatten messages into a
-        // single prompt to preserve context while avoiding role validation failures.
-        const systemInstructions = messages
-            .filter((msg) => msg.role === 'system')
-            .map((msg) => msg.content)
-            .join('\n\n');
-
-        const conversationText = messages
-            .filter((msg) => msg.role !== 'system')
-            .map((msg) => `${msg.role === 'assistant' ? 'Assistant' : 'User'}: ${msg.content}`)
-            .join('\n');
+const compileTermMatcher = (terms) => (terms.length
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(termPattern).join('|')})(?![\\p{L}\\p{N}])`, 'iu')
+    : null);
 
-        const prompt = `${systemInstructions}\n\nConversation:\n${conversationText}\n\nAssistant:`;
+const compileModerationConfig = (config) => ({
+    rules: config.rules.map((rule) => ({
+        category: rule.category,
+        severity: rule.severity === 'contextual' ? 'contextual' : 'block',
+        matcher: compileTermMatcher([...(rule.words || []), ...(rule.phrases || [])]),
+    })).filter((rule) => rule.matcher),
+    allowContextMatcher: compileTermMatcher(config.allowContexts || []),
+});
 
-        for (const modelName of geminiModelCandidates) {
-            try {
-                const model = genAI.getGenerativeModel({
-                    model: modelName,
-                    generationConfig: {
-                        temperature: config?.tone === 'creative' ? 0.9 : (config?.tone === 'precise' ? 0.3 : 0.7),
-                        maxOutputTokens: 2048,
-                    }
-                });
+const moderationRules = compileModerationConfig(loadModerationConfig());
 
-                const result = await model.generateContent(prompt);
-                const response = result.response;
-                const text = response.text();
+// Returns { allowed } or { allowed: false, reason, severity, match }. `contextText` is extra
+// text (e.g. the user's question when checking a model answer) used only to detect academic context.
+function moderateContent(text, { contextText = '' } = {}) {
+    if (!text || typeof text !== 'string') return { allowed: true };
 
-                return {
-                    choices: [{
-                        message: {
-                            content: text,
-                            role: 'assistant'
-                        }
-                    }],
-                    usage: {
-                        provider: 'google',
-                        model: modelName,
-                    }
-                };
-            } catch (error) {
-                const msg = (error && (error.message || JSON.stringify(error))) || '';
-                const lowerMsg = msg.toLowerCase();
-                const shouldTryNextGeminiModel = [
-                    'not found',
-                    'unsupported',
-                    'unsupported model',
-                    'model',
-                    '404',
-                    'unavailable',
-                ].some((signal) => lowerMsg.includes(signal));
-
-                console.log(`Google Gemini model ${modelName} failed:`, error && (error.message || error.toString()));
-
-                if (shouldTryNextGeminiModel) {
-                    continue;
-                }
+    let academicContext = null;
+    for (const rule of moderationRules.rules) {
+        const match = text.match(rule.matcher);
+        if (!match) continue;
 
-                // For auth/quota/permission or unexpected API failures, stop Gemini and fall back to Groq.
-                break;
+        if (rule.severity === 'contextual') {
+            if (academicContext === null) {
+                academicContext = Boolean(moderationRules.allowContextMatcher?.test(`${text}\n${contextText}`));
             }
+            if (academicContext) continue;
         }
-    }
 
-    // Fallback to Groq API
-    if (!groqApiKey) {
-        throw new Error('No AI API keys configured on backend runtime. Set GROQ_API_KEY and/or GOOGLE_GEMINI_API_KEY in Render environment variables, then redeploy.');
+        return { allowed: false, reason: rule.category, severity: rule.severity, match: match[0], index: match.index };
     }
 
-    const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${groqApiKey}`
-        },
-        body: JSON.stringify({
-            messages: messages,
-            model: 'llama-3.3-70b-versatile',
-            temperature: config?.tone === 'creative' ? 0.9 : (config?.tone === 'precise' ? 0.3 : 0.7),
-            max_tokens: 2048
-        })
-    });
+    return { allowed: true };
+}
 
-    if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error?.message || `Groq API error: ${response.status}`);
+// Moderates one piece of text for a request and writes blocked results to the audit log.
+const checkModeration = (req, text, { stage = 'input', contextText = '' } = {}) => {
+    const result = moderateContent(text, { contextText });
+    if (!result.allowed) {
+        moderationBlocks.inc({ stage, category: result.reason });
+        logModerationEvent(req, stage, result, text);
     }
+    return result;
+};
 
-    const data = await response.json();
-    data.usage = { provider: 'groq' };
-    return data;
-}
+const logModerationEvent = (req, stage, result, text) => {
+    if (!moderationEventsCollection) return;
 
-// Health check endpoint
-app.get('/', (req, res) => {
-    res.send('EzStudy Backend is running! Access API at /api/health');
-});
+    const start = Math.max(0, result.index - 100);
+    moderationEventsCollection.insertOne({
+        stage,
+        route: req.route?.path || req.path,
+        category: result.reason,
+        severity: result.severity,
+        matchedTerm: result.match,
+        excerpt: text.slice(start, result.index + result.match.length + 100),
+        userId: req.auth?.userId || null,
+        ip: req.ip,
+        reviewStatus: 'pending',
+        createdAt: new Date(),
+    }).catch((error) => logger.error('Failed to write moderation event:', error));
+};
 
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        message: 'EzStudy Backend is running!',
-        mongodb: usersCollection && chatsCollection ? 'connected' : 'not-connected',
-        ai: {
-            geminiConfigured: Boolean(GOOGLE_GEMINI_API_KEY),
-            groqConfigured: Boolean(GROQ_API_KEY),
-        },
-    });
-});
+const sendInputBlocked = (res, result) => res.status(400).json({ error: 'Request blocked: content not allowed', reason: result.reason });
 
-app.post('/api/auth/signup', async (req, res) => {
-    try {
-        if (!await ensureMongoReady(res)) return;
+const sendOutputBlocked = (res, result) => res.status(422).json({ error: 'Response withheld: generated content not allowed', reason: result.reason });
 
-        const { name, email, passwordHash } = req.body || {};
-        const normalizedEmail = normalizeEmail(email);
+const parseList = (value) => {
+    const items = (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+    return items.length ? items : null;
+};
 
-        if (!normalizedEmail || !passwordHash) {
-            return res.status(400).json({ error: 'Email and password are required' });
-        }
+const parseJsonEnv = (name) => {
+    if (!process.env[name]) return {};
+    try {
+        return JSON.parse(process.env[name]);
+    } catch (error) {
+        logger.warn(`${name} is not valid JSON and was ignored:`, error.message);
+        return {};
+    }
+};
+
+const DEFAULT_AI_PARAMETERS = {
+    maxOutputTokens: Number(process.env.AI_MAX_OUTPUT_TOKENS) || 2048,
+    temperatures: { creative: 0.9, balanced: 0.7, precise: 0.3 },
+};
+
+// --- AI provider resilience ---
+// Defaults for every provider; AI_PROVIDER_CONFIG can override them per provider under `resilience`
+// (e.g. a longer timeout for a slow local model).
+const DEFAULT_AI_RESILIENCE = {
+    // Abort a call after this long without progress; streams restart the clock on every token.
+    timeoutMs: Number(process.env.AI_TIMEOUT_MS) || 60000,
+    retries: Number(process.env.AI_MAX_RETRIES ?? 2),
+    retryBaseDelayMs: Number(process.env.AI_RETRY_BASE_DELAY_MS) || 500,
+    retryMaxDelayMs: Number(process.env.AI_RETRY_MAX_DELAY_MS) || 8000,
+    breakerThreshold: Number(process.env.AI_BREAKER_THRESHOLD) || 5,
+    breakerCooldownMs: Number(process.env.AI_BREAKER_COOLDOWN_MS) || 30000,
+};
+
+// Retry-After is either delay-seconds or an HTTP date.
+const parseRetryAfterMs = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Transient failures are retried and counted by the circuit breaker. Anything else (bad request,
+// auth, missing model) would fail the same way again, and means the provider itself answered.
+const isTransientAIError = (error) => Boolean(error) && (
+    error.timedOut
+    || error.status === 408
+    || error.status === 429
+    || error.status >= 500
+    || (error.status === undefined && /fetch failed|network|socket hang up|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN/i.test(`${error.message} ${error.cause?.code || ''}`))
+);
+
+// Exponential backoff with jitter, unless the provider said how long to wait.
+const aiRetryDelayMs = (error, retry, resilience) => error.retryAfterMs
+    ?? Math.min(resilience.retryBaseDelayMs * 2 ** retry, resilience.retryMaxDelayMs) * (0.5 + Math.random() / 2);
+
+const sleepUnlessAborted = (ms, signal) => new Promise((resolve, reject) => {
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(Object.assign(new Error('Request aborted'), { aborted: true }));
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Closed: calls pass. After `breakerThreshold` consecutive transient failures the breaker opens and
+// the provider is skipped until the cool-down ends; then a single trial call is let through
+// (half-open), which closes the breaker on success or reopens it on failure.
+const createCircuitBreaker = ({ breakerThreshold, breakerCooldownMs }) => {
+    let state = 'closed';
+    let consecutiveFailures = 0;
+    let openedAt = null;
+    let retryAt = null;
+    let trialInFlight = false;
+
+    const open = (durationMs) => {
+        state = 'open';
+        openedAt = new Date();
+        retryAt = new Date(Date.now() + durationMs);
+        trialInFlight = false;
+    };
+
+    return {
+        tryAcquire: () => {
+            if (state === 'open' && Date.now() >= retryAt.getTime()) state = 'half-open';
+            if (state === 'closed') return true;
+            if (state === 'half-open' && !trialInFlight) {
+                trialInFlight = true;
+                return true;
+            }
+            return false;
+        },
+        // Any answer from the provider, including a non-transient error.
+        recordSuccess: () => {
+            state = 'closed';
+            consecutiveFailures = 0;
+            openedAt = null;
+            retryAt = null;
+            trialInFlight = false;
+        },
+        // `holdMs` opens the breaker straight away, for a provider that asked to be left alone longer than we retry.
+        recordFailure: (holdMs = 0) => {
+            consecutiveFailures += 1;
+            if (state === 'half-open' || consecutiveFailures >= breakerThreshold) open(Math.max(breakerCooldownMs, holdMs));
+            else if (holdMs > 0) open(holdMs);
+        },
+        // The caller went away; the call says nothing about the provider.
+        release: () => {
+            trialInFlight = false;
+        },
+        isOpen: () => state === 'open' && Date.now() < retryAt.getTime(),
+        describe: () => ({
+            state: state === 'open' && Date.now() >= retryAt.getTime() ? 'half-open' : state,
+            consecutiveFailures,
+            openedAt,
+            retryAt,
+        }),
+    };
+};
+
+// Keeps the durations of the last `size` successful calls.
+const createLatencyTracker = (size = 50) => {
+    const samples = [];
+    return {
+        record: (ms) => {
+            samples.push(ms);
+            if (samples.length > size) samples.shift();
+        },
+        describe: () => {
+            if (samples.length === 0) return { samples: 0, lastMs: null, averageMs: null, p95Ms: null };
+            const sorted = [...samples].sort((a, b) => a - b);
+            return {
+                samples: samples.length,
+                lastMs: samples[samples.length - 1],
+                averageMs: Math.round(samples.reduce((sum, ms) => sum + ms, 0) / samples.length),
+                p95Ms: sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)],
+            };
+        },
+    };
+};
+
+// Runs one provider call under its own AbortController. The call is aborted, and the returned
+// promise rejects, once `timeoutMs` passes without `touch()` or when the caller's signal aborts.
+// Errors carry `timedOut` or `aborted` so they can be told apart from provider failures.
+const runWithTimeout = (call, { timeoutMs, signal }) => new Promise((resolve, reject) => {
+    const controller = new AbortController();
+    let timer = null;
+    let settled = false;
+
+    const finish = (settle, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        settle(value);
+    };
+    const onAbort = () => {
+        controller.abort();
+        finish(reject, Object.assign(new Error('Request aborted'), { aborted: true }));
+    };
+    const touch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            controller.abort();
+            finish(reject, Object.assign(new Error(`AI call timed out after ${timeoutMs}ms without a response`), { timedOut: true }));
+        }, timeoutMs);
+    };
+
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    touch();
+
+    Promise.resolve()
+        .then(() => call({ signal: controller.signal, touch }))
+        .then((value) => finish(resolve, value), (error) => finish(reject, error));
+});
+
+// Built-in provider definitions. Every field can be overridden (and new providers added)
+// through AI_PROVIDER_CONFIG, a JSON object keyed by provider name.
+const builtInAIProviderConfigs = {
+    gemini: {
+        type: 'gemini',
+        apiKey: GOOGLE_GEMINI_API_KEY,
+        models: parseList(process.env.GEMINI_MODELS) || ['gemini-2.0-flash', 'gemini-2.0-flash-lite', 'gemini-1.5-flash'],
+    },
+    groq: {
+        type: 'openai-compatible',
+        baseUrl: process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1',
+        apiKey: GROQ_API_KEY,
+        requiresApiKey: true,
+        models: parseList(process.env.GROQ_MODELS) || ['llama-3.3-70b-versatile'],
+    },
+    // Any OpenAI-compatible server, e.g. Ollama (http://localhost:11434/v1) or llama.cpp (http://localhost:8080/v1).
+    local: {
+        type: 'openai-compatible',
+        baseUrl: process.env.LOCAL_AI_BASE_URL || '',
+        apiKey: (process.env.LOCAL_AI_API_KEY || '').trim(),
+        requiresApiKey: false,
+        models: parseList(process.env.LOCAL_AI_MODELS) || ['llama3.1'],
+    },
+    mock: {
+        type: 'mock',
+        models: ['ezstudy-mock'],
+    },
+};
+
+const AI_PROVIDER_ORDER = parseList(process.env.AI_PROVIDERS) || ['gemini', 'groq', 'local'];
+
+const resolveTemperature = (config, parameters = DEFAULT_AI_PARAMETERS) => {
+    const temperatures = { ...DEFAULT_AI_PARAMETERS.temperatures, ...parameters.temperatures };
+    return temperatures[config?.tone] ?? temperatures.balanced;
+};
+
+// Rough token estimate for providers that do not report usage.
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const buildUsage = (provider, model, promptTokens, completionTokens, totalTokens) => ({
+    provider,
+    model,
+    promptTokens: promptTokens ?? null,
+    completionTokens: completionTokens ?? null,
+    totalTokens: totalTokens ?? (promptTokens != null && completionTokens != null ? promptTokens + completionTokens : null),
+});
+
+// Gemini chat history is strict about role ordering. Flatten messages into a
+// single prompt to preserve context while avoiding role validation failures.
+const buildGeminiPrompt = (messages) => {
+    const systemInstructions = messages
+        .filter((msg) => msg.role === 'system')
+        .map((msg) => msg.content)
+        .join('\n\n');
+
+    const conversationText = messages
+        .filter((msg) => msg.role !== 'system')
+        .map((msg) => `${msg.role === 'assistant' ? 'Assistant' : 'User'}: ${msg.content}`)
+        .join('\n');
+
+    return `${systemInstructions}\n\nConversation:\n${conversationText}\n\nAssistant:`;
+};
+
+// Attached images travel as inline data parts after the flattened text prompt.
+const buildGeminiRequest = (messages) => {
+    const images = messages.flatMap((msg) => msg.images || []);
+    if (images.length === 0) return buildGeminiPrompt(messages);
+    return [buildGeminiPrompt(messages), ...images.map((image) => ({ inlineData: { mimeType: image.mimeType, data: image.data } }))];
+};
+
+const createGeminiProvider = (name, options) => {
+    const apiKey = options.apiKey || '';
+    const client = apiKey && apiKey !== 'your_google_gemini_api_key_here' ? new GoogleGenerativeAI(apiKey) : null;
+
+    const getModel = (modelName, config) => client.getGenerativeModel({
+        model: modelName,
+        generationConfig: {
+            temperature: resolveTemperature(config, options.parameters),
+            maxOutputTokens: options.parameters.maxOutputTokens,
+        }
+    });
+
+    const usageFrom = (modelName, usageMetadata) => buildUsage(
+        name,
+        modelName,
+        usageMetadata?.promptTokenCount,
+        usageMetadata?.candidatesTokenCount,
+        usageMetadata?.totalTokenCount
+    );
+
+    // Rate limits carry a google.rpc.RetryInfo detail (e.g. "retryDelay": "13s") instead of a Retry-After header.
+    const withRetryInfo = (error) => {
+        const retryDelay = Array.isArray(error?.errorDetails)
+            ? error.errorDetails.find((detail) => String(detail?.['@type']).endsWith('RetryInfo'))?.retryDelay
+            : null;
+        const seconds = Number.parseFloat(retryDelay);
+        if (Number.isFinite(seconds)) error.retryAfterMs = seconds * 1000;
+        return error;
+    };
+
+    return {
+        isConfigured: () => Boolean(client),
+        // SDK error messages always contain the model URL, so failures are classified by HTTP status.
+        // A missing model, or one model being rate limited or overloaded, says nothing about the others.
+        shouldTryNextModel: (error) => [404, 429, 503].includes(error?.status),
+        complete: async (messages, config, modelName, { signal } = {}) => {
+            const result = await getModel(modelName, config).generateContent(buildGeminiRequest(messages), { signal })
+                .catch((error) => { throw withRetryInfo(error); });
+            const response = result.response;
+            return { content: response.text(), usage: usageFrom(modelName, response.usageMetadata) };
+        },
+        stream: async (messages, config, modelName, { onToken, signal }) => {
+            const result = await getModel(modelName, config).generateContentStream(buildGeminiRequest(messages), { signal })
+                .catch((error) => { throw withRetryInfo(error); });
+            let content = '';
+            for await (const chunk of result.stream) {
+                const text = chunk.text();
+                content += text;
+                onToken(text);
+            }
+            const response = await result.response;
+            return { content, usage: usageFrom(modelName, response.usageMetadata) };
+        },
+    };
+};
+
+// Reads an OpenAI-style SSE body and yields each parsed `data:` payload.
+async function* readOpenAIStream(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+            const payload = trimmed.slice(5).trim();
+            if (payload === '[DONE]') return;
+            try {
+                yield JSON.parse(payload);
+            } catch (error) {
+                logger.debug('Skipping malformed stream chunk', { length: payload.length });
+            }
+        }
+    }
+}
+
+// Vision-capable servers take images as data-URL content parts (OpenAI chat format).
+const toOpenAIMessage = ({ images, ...message }) => (images?.length
+    ? {
+        ...message,
+        content: [
+            { type: 'text', text: message.content },
+            ...images.map((image) => ({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } })),
+        ],
+    }
+    : message);
+
+const createOpenAICompatibleProvider = (name, options) => {
+    const baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+
+    const request = async (messages, config, modelName, { stream = false, signal } = {}) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (options.apiKey) {
+            headers.Authorization = `Bearer ${options.apiKey}`;
+        }
+
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                messages: messages.map(toOpenAIMessage),
+                model: modelName,
+                temperature: resolveTemperature(config, options.parameters),
+                max_tokens: options.parameters.maxOutputTokens,
+                stream,
+                ...options.parameters.extraBody,
+            }),
+            signal,
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const error = new Error(errorData.error?.message || `${name} API error: ${response.status}`);
+            error.status = response.status;
+            error.retryAfterMs = parseRetryAfterMs(response.headers.get('retry-after'));
+            throw error;
+        }
+
+        return response;
+    };
+
+    const usageFrom = (modelName, usage, messages, content) => buildUsage(
+        name,
+        modelName,
+        usage?.prompt_tokens ?? (usage ? null : estimateTokens(messages.map((m) => m.content).join('\n'))),
+        usage?.completion_tokens ?? (usage ? null : estimateTokens(content)),
+        usage?.total_tokens
+    );
+
+    return {
+        isConfigured: () => Boolean(baseUrl) && (!options.requiresApiKey || Boolean(options.apiKey)),
+        // A missing model on one server says nothing about the others in the list.
+        shouldTryNextModel: (error) => error?.status === 404,
+        complete: async (messages, config, modelName, { signal } = {}) => {
+            const response = await request(messages, config, modelName, { signal });
+            const data = await response.json();
+            const content = data.choices?.[0]?.message?.content || '';
+            return { content, usage: usageFrom(modelName, data.usage, messages, content) };
+        },
+        stream: async (messages, config, modelName, { onToken, signal }) => {
+            const response = await request(messages, config, modelName, { stream: true, signal });
+            let content = '';
+            let usage = null;
+
+            for await (const chunk of readOpenAIStream(response.body)) {
+                const text = chunk.choices?.[0]?.delta?.content || '';
+                content += text;
+                onToken(text);
+                usage = chunk.x_groq?.usage || chunk.usage || usage;
+            }
+
+            return { content, usage: usageFrom(modelName, usage, messages, content) };
+        },
+    };
+};
+
+// Deterministic canned replies so routes can be exercised offline and in tests.
+const buildMockReply = (messages) => {
+    const system = messages.filter((m) => m.role === 'system').map((m) => m.content).join('\n');
+    const lastUser = [...messages].reverse().find((m) => m.role === 'user')?.content || '';
+
+    if (/quiz generator/i.test(system)) {
+        // Repair rounds append feedback, so the quiz spec is read from the first request.
+        const request = messages.find((m) => m.role === 'user')?.content || '';
+        const topic = (request.match(/about:\s*(.+?)\.\n/s)?.[1] || 'the topic').trim();
+        const count = Number(request.match(/Generate (\d+) quiz questions/)?.[1]) || 5;
+        const types = request.match(/Question types: ([^.\n]+)/)?.[1].split(/,\s*/) || ['mcq'];
+        const difficulties = request.match(/Difficulty per question, in order: ([^.\n]+)/)?.[1].split(/,\s*/);
+        const fixedDifficulty = request.match(/Every question is (\w+)/)?.[1];
+        const questions = Array.from({ length: count }, (_, index) => {
+            const type = types[index % types.length];
+            const base = {
+                type,
+                question: `Mock question ${index + 1} about ${topic}?`,
+                difficulty: difficulties?.[index] || fixedDifficulty || ['easy', 'medium', 'hard'][index % 3],
+                explanation: `Explanation for mock question ${index + 1}.`,
+            };
+            if (type === 'true-false') return { ...base, options: ['True', 'False'], correct: index % 2 };
+            if (type === 'multi-select') return { ...base, options: ['Option A', 'Option B', 'Option C', 'Option D'], correct: [0, 2] };
+            if (type === 'short-answer') return { ...base, acceptedAnswers: [`Answer ${index + 1}`] };
+            return { ...base, options: ['Option A', 'Option B', 'Option C', 'Option D'], correct: index % 4 };
+        });
+        return JSON.stringify(questions);
+    }
+
+    if (/flashcard generator/i.test(system)) {
+        const count = Number(lastUser.match(/Generate (\d+) flashcards/)?.[1]) || 5;
+        const cards = Array.from({ length: count }, (_, index) => ({
+            front: `Mock term ${index + 1}?`,
+            back: `Mock definition ${index + 1}.`,
+        }));
+        return JSON.stringify(cards);
+    }
+
+    if (/study planner/i.test(system)) {
+        // Works through the topics in order, then fills the remaining slots with review.
+        const request = messages.find((m) => m.role === 'user')?.content || '';
+        const details = JSON.parse(request.match(/\(JSON\):\n(.+)\n/)?.[1] || '{}');
+        const minutes = Math.min(45, details.minutesPerDay || 45);
+        const slotsPerDay = Math.max(Math.floor((details.minutesPerDay || 45) / minutes), 1);
+        const topics = (details.subjects || []).flatMap((subject) => (subject.topics.length ? subject.topics : [subject.name])
+            .map((topic) => ({ subject: subject.name, topic })));
+        let slot = 0;
+        const days = (details.studyDays || []).map((date) => ({
+            date,
+            sessions: Array.from({ length: slotsPerDay }, () => {
+                const index = slot++;
+                const entry = topics[index % topics.length];
+                return { ...entry, minutes, activity: index < topics.length ? 'learn' : 'review', notes: `Mock session ${index + 1}.` };
+            }),
+        }));
+        return JSON.stringify(days);
+    }
+
+    if (/notes generator/i.test(system)) {
+        const words = lastUser.replace(/^Create study notes from the following content:\s*/i, '').split(/\s+/).filter(Boolean);
+        return `## Mock Notes\n\n- ${words.slice(0, 12).join(' ')}${words.length > 12 ? '…' : ''}\n- ${words.length} words summarized`;
+    }
+
+    return `Mock response to: ${lastUser.slice(0, 200)}`;
+};
+
+const createMockProvider = (name) => {
+    const reply = (messages, modelName) => {
+        const content = buildMockReply(messages);
+        const promptTokens = estimateTokens(messages.map((m) => m.content).join('\n'));
+        return { content, usage: buildUsage(name, modelName, promptTokens, estimateTokens(content)) };
+    };
+
+    return {
+        isConfigured: () => true,
+        shouldTryNextModel: () => false,
+        complete: async (messages, config, modelName) => reply(messages, modelName),
+        stream: async (messages, config, modelName, { onToken }) => {
+            const result = reply(messages, modelName);
+            for (const piece of result.content.match(/\S+\s*/g) || []) {
+                onToken(piece);
+            }
+            return result;
+        },
+    };
+};
+
+const aiProviderFactories = {
+    gemini: createGeminiProvider,
+    'openai-compatible': createOpenAICompatibleProvider,
+    mock: createMockProvider,
+};
+
+const buildAIProviderRegistry = () => {
+    const overrides = parseJsonEnv('AI_PROVIDER_CONFIG');
+    const registry = new Map();
+
+    for (const name of AI_PROVIDER_ORDER) {
+        const options = { ...builtInAIProviderConfigs[name], ...overrides[name] };
+        const factory = aiProviderFactories[options.type];
+        if (!factory) {
+            logger.warn(`Unknown AI provider "${name}" (type: ${options.type || 'missing'}) was skipped.`);
+            continue;
+        }
+
+        options.parameters = { ...DEFAULT_AI_PARAMETERS, ...options.parameters };
+        options.resilience = { ...DEFAULT_AI_RESILIENCE, ...options.resilience };
+        options.models = Array.isArray(options.models) && options.models.length ? options.models : ['default'];
+        // Gemini models are multimodal; OpenAI-compatible servers opt in with `vision: true`.
+        const supportsImages = Boolean(options.vision ?? options.type === 'gemini');
+        registry.set(name, {
+            name,
+            type: options.type,
+            models: options.models,
+            supportsImages,
+            resilience: options.resilience,
+            breaker: createCircuitBreaker(options.resilience),
+            latency: createLatencyTracker(),
+            ...factory(name, options),
+        });
+    }
+
+    return registry;
+};
+
+const aiProviders = buildAIProviderRegistry();
+
+const getActiveAIProviders = () => [...aiProviders.values()].filter((provider) => provider.isConfigured());
+
+const noProvidersError = () => new Error('No AI providers configured on backend runtime. Set GROQ_API_KEY and/or GOOGLE_GEMINI_API_KEY (or LOCAL_AI_BASE_URL / AI_PROVIDERS=mock), then redeploy.');
+
+createCollector('ezstudy_ai_provider_circuit_open', 'Whether a provider is being skipped by its circuit breaker (1) or not (0).', 'gauge', () => [...aiProviders.values()]
+    .map((provider) => [{ provider: provider.name }, provider.breaker.isOpen() ? 1 : 0]));
+
+const circuitOpenError = (provider) => {
+    const { retryAt } = provider.breaker.describe();
+    const error = new Error(`AI provider ${provider.name} is temporarily unavailable after repeated failures; retrying after ${retryAt.toISOString()}`);
+    error.status = 503;
+    error.circuitOpen = true;
+    return error;
+};
+
+// One provider/model call with a timeout, retrying transient failures with backoff while the
+// caller can still take a fresh answer. Records metrics, latency and the breaker outcome.
+const callProviderModel = async (provider, modelName, attempt, { canFallBack, signal }) => {
+    const { resilience } = provider;
+    const labels = { provider: provider.name, model: modelName };
+
+    for (let retry = 0; ; retry += 1) {
+        const startedAt = Date.now();
+        try {
+            const result = await runWithTimeout((call) => attempt(provider, modelName, call), { timeoutMs: resilience.timeoutMs, signal });
+            const elapsedMs = Date.now() - startedAt;
+            aiProviderCalls.inc({ ...labels, outcome: 'success' });
+            aiProviderDuration.observe(labels, elapsedMs / 1000);
+            provider.latency.record(elapsedMs);
+            provider.breaker.recordSuccess();
+            return result;
+        } catch (error) {
+            aiProviderDuration.observe(labels, (Date.now() - startedAt) / 1000);
+            if (error.aborted || signal?.aborted) {
+                aiProviderCalls.inc({ ...labels, outcome: 'aborted' });
+                provider.breaker.release();
+                error.aborted = true;
+                throw error;
+            }
+
+            aiProviderCalls.inc({ ...labels, outcome: error.timedOut ? 'timeout' : 'error' });
+            const transient = isTransientAIError(error);
+            const delayMs = transient && retry < resilience.retries && canFallBack() ? aiRetryDelayMs(error, retry, resilience) : null;
+            // A Retry-After longer than we are willing to wait skips the retries and holds the breaker open instead.
+            if (delayMs === null || delayMs > resilience.retryMaxDelayMs) {
+                if (transient) provider.breaker.recordFailure(error.retryAfterMs > resilience.retryMaxDelayMs ? error.retryAfterMs : 0);
+                else provider.breaker.recordSuccess();
+                throw error;
+            }
+
+            aiProviderRetries.inc(labels);
+            logger.warn('AI provider call failed; retrying', { ...labels, reason: error.message, retry: retry + 1, delayMs: Math.round(delayMs) });
+            await sleepUnlessAborted(delayMs, signal);
+        }
+    }
+};
+
+// Walks providers in configured order, skipping any whose circuit breaker is open. Within a
+// provider, models are tried in order while the provider says the failure is model-specific;
+// any other failure moves to the next provider. `attempt(provider, modelName, { signal, touch })`
+// must pass `signal` on to the provider and may call `touch()` to show progress.
+const runWithProviderFallback = async (attempt, { canFallBack = () => true, signal } = {}) => {
+    const providers = getActiveAIProviders();
+    if (providers.length === 0) {
+        throw noProvidersError();
+    }
+
+    let lastError = null;
+    let previousProvider = null;
+    for (const provider of providers) {
+        for (const [index, modelName] of provider.models.entries()) {
+            if (!provider.breaker.tryAcquire()) {
+                aiProviderCalls.inc({ provider: provider.name, model: modelName, outcome: 'circuit_open' });
+                lastError ??= circuitOpenError(provider);
+                break;
+            }
+            if (index === 0 && previousProvider) aiProviderFallbacks.inc({ from: previousProvider, to: provider.name });
+
+            try {
+                return await callProviderModel(provider, modelName, attempt, { canFallBack, signal });
+            } catch (error) {
+                lastError = error;
+                if (error.aborted || !canFallBack()) throw error;
+
+                logger.warn('AI provider call failed', { provider: provider.name, model: modelName, status: error.status, reason: error.message });
+
+                if (!provider.shouldTryNextModel(error)) break;
+            }
+        }
+        previousProvider = provider.name;
+    }
+
+    throw lastError;
+};
+
+// AI API utility function with fallback
+async function callAIAPI(messages, config = {}, fileContext = '') {
+    const { content, usage } = await runWithProviderFallback(
+        async (provider, modelName, { signal }) => provider.complete(await prepareMessagesForProvider(messages, provider), config, modelName, { signal })
+    );
+
+    recordAIUsage(usage);
+
+    return {
+        choices: [{
+            message: {
+                content,
+                role: 'assistant'
+            }
+        }],
+        usage,
+    };
+}
+
+// Streaming variant of callAIAPI. Calls onToken(text) for every chunk and resolves to
+// { content, usage }. Falls back to the next provider only while nothing has been emitted;
+// once a token has reached the client a failure is surfaced to the caller instead.
+async function streamAIAPI(messages, config = {}, { onToken, signal } = {}) {
+    let emitted = false;
+    const emit = (text) => {
+        if (!text) return;
+        emitted = true;
+        onToken(text);
+    };
+
+    const result = await runWithProviderFallback(
+        async (provider, modelName, call) => provider.stream(await prepareMessagesForProvider(messages, provider), config, modelName, {
+            onToken: (text) => {
+                call.touch();
+                emit(text);
+            },
+            signal: call.signal,
+        }),
+        { canFallBack: () => !emitted && !signal?.aborted, signal }
+    );
+
+    recordAIUsage(result.usage);
+    return result;
+}
+
+// Parses JSON from a model reply, tolerating ```json fences and prose around one array or object.
+const parseModelJson = (content) => {
+    const text = String(content || '').replace(/^\s*```(?:json)?\s*|\s*```\s*$/gi, '').trim();
+    const candidates = [text, text.match(/\[[\s\S]*\]/)?.[0], text.match(/\{[\s\S]*\}/)?.[0]].filter(Boolean);
+    for (const candidate of candidates) {
+        try {
+            return JSON.parse(candidate);
+        } catch {
+            // Try the next candidate.
+        }
+    }
+    return undefined;
+};
+
+// Calls the model, then feeds validation errors back to it until the reply passes or the repair
+// attempts run out. `validate(content)` returns a result object that carries `errors` on failure.
+// Resolves to the validator's result plus { content, usage, attempts }.
+const callAIWithRepair = async (messages, validate, { repairAttempts, repairInstruction, callAI = callAIAPI }) => {
+    const conversation = [...messages];
+    let content = '';
+    let result = null;
+
+    for (let attempt = 0; attempt <= repairAttempts; attempt += 1) {
+        const data = await callAI(conversation);
+        content = data.choices[0]?.message?.content || '';
+        result = validate(content);
+        if (!result.errors) {
+            return { ...result, content, usage: data.usage, attempts: attempt + 1 };
+        }
+
+        conversation.push(
+            { role: 'assistant', content },
+            { role: 'user', content: `That response did not match the schema:\n- ${result.errors.slice(0, 20).join('\n- ')}\n${repairInstruction}` },
+        );
+    }
+
+    return { errors: result.errors, content, attempts: repairAttempts + 1 };
+};
+
+const wantsEventStream = (req) => {
+    const flag = req.body?.stream ?? req.query?.stream;
+    return flag === true || flag === 'true' || flag === '1' || (req.get('accept') || '').includes('text/event-stream');
+};
+
+const writeSseEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// --- Image uploads: normalization for multimodal models and OCR fallback ---
+
+const IMAGE_MAX_BYTES = Number(process.env.IMAGE_MAX_BYTES || 10 * 1024 * 1024);
+const IMAGE_MAX_COUNT = Number(process.env.IMAGE_MAX_COUNT || 4);
+const IMAGE_MAX_DIMENSION = Number(process.env.IMAGE_MAX_DIMENSION || 2048);
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'eng';
+
+// Formats are identified from the file header; the client-supplied mimetype is not trusted.
+const sniffImageFormat = (buffer) => {
+    if (buffer.length < 12) return null;
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+    if (buffer.toString('ascii', 4, 8) === 'ftyp' && ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].includes(buffer.toString('ascii', 8, 12))) return 'heic';
+    return null;
+};
+
+const isImageUpload = (file) => file.mimetype.startsWith('image/') || /\.(heic|heif)$/i.test(file.originalname);
+
+// Returns { status, error } for the first upload that breaks the count, size or format limits.
+const validateImageUploads = (files) => {
+    const images = files.filter(isImageUpload);
+    if (images.length > IMAGE_MAX_COUNT) {
+        return { status: 400, error: `Attach at most ${IMAGE_MAX_COUNT} images per message` };
+    }
+
+    for (const file of images) {
+        if (file.size > IMAGE_MAX_BYTES) {
+            return { status: 413, error: `${file.originalname} is larger than ${Math.round(IMAGE_MAX_BYTES / (1024 * 1024))} MB` };
+        }
+        const header = Buffer.alloc(12);
+        const fd = fs.openSync(file.path, 'r');
+        try {
+            fs.readSync(fd, header, 0, 12, 0);
+        } finally {
+            fs.closeSync(fd);
+        }
+        if (!sniffImageFormat(header)) {
+            return { status: 415, error: `${file.originalname} is not a supported image. Use JPEG, PNG, WebP or HEIC.` };
+        }
+    }
+
+    return null;
+};
+
+// HEIC is decoded to JPEG first. Images are auto-rotated and downscaled; PNG stays lossless
+// (screenshots, diagrams) and everything else, including WebP, is sent as JPEG.
+const prepareImageForModel = async (file) => {
+    const buffer = fs.readFileSync(file.path);
+    const format = sniffImageFormat(buffer);
+    const input = format === 'heic' ? Buffer.from(await heicConvert({ buffer, format: 'JPEG', quality: 0.92 })) : buffer;
+
+    const pipeline = sharp(input)
+        .rotate()
+        .resize({ width: IMAGE_MAX_DIMENSION, height: IMAGE_MAX_DIMENSION, fit: 'inside', withoutEnlargement: true });
+    const output = format === 'png'
+        ? await pipeline.png().toBuffer()
+        : await pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: 85 }).toBuffer();
+
+    return { fileName: file.originalname, mimeType: format === 'png' ? 'image/png' : 'image/jpeg', data: output.toString('base64') };
+};
+
+// One shared worker; language data is fetched on first use unless OCR_LANG_PATH points to local files.
+// A failed start (e.g. no network for the language data) is not retried for a few minutes.
+const OCR_TIMEOUT_MS = Number(process.env.OCR_TIMEOUT_MS || 30000);
+const OCR_RETRY_DELAY_MS = 5 * 60 * 1000;
+let ocrWorkerPromise = null;
+let ocrFailedAt = 0;
+
+const startOcrWorker = () => new Promise((resolve, reject) => {
+    const fail = (error) => {
+        clearTimeout(timer);
+        reject(error instanceof Error ? error : new Error(String(error)));
+    };
+    const timer = setTimeout(() => fail(new Error('OCR worker did not start in time')), OCR_TIMEOUT_MS);
+
+    // Worker load failures only reach errorHandler; without one tesseract.js rethrows them as uncaught exceptions.
+    createOcrWorker(OCR_LANGUAGES.split(/[+,]/), undefined, {
+        errorHandler: fail,
+        ...(process.env.OCR_LANG_PATH ? { langPath: process.env.OCR_LANG_PATH } : {}),
+    }).then((worker) => {
+        clearTimeout(timer);
+        resolve(worker);
+    }, fail);
+});
+
+const getOcrWorker = () => {
+    if (!ocrWorkerPromise || (ocrFailedAt && Date.now() - ocrFailedAt > OCR_RETRY_DELAY_MS)) {
+        ocrFailedAt = 0;
+        ocrWorkerPromise = startOcrWorker().catch((error) => {
+            ocrFailedAt = Date.now();
+            throw error;
+        });
+    }
+    return ocrWorkerPromise;
+};
+
+// Memoized on the image so provider fallbacks do not repeat the work. Resolves to null on failure.
+const recognizeImageText = (image) => {
+    image.ocrText ??= getOcrWorker()
+        .then((worker) => worker.recognize(Buffer.from(image.data, 'base64')))
+        .then(({ data }) => data.text.trim())
+        .catch((error) => {
+            logger.error('OCR failed', error);
+            return null;
+        });
+    return image.ocrText;
+};
+
+// Text-only providers get each image's OCR text in place of the image itself.
+const prepareMessagesForProvider = async (messages, provider) => {
+    if (provider.supportsImages || !messages.some((message) => message.images?.length)) {
+        return messages;
+    }
+
+    return Promise.all(messages.map(async ({ images, ...message }) => {
+        if (!images?.length) return message;
+        const texts = await Promise.all(images.map(recognizeImageText));
+        const blocks = images.map((image, index) => {
+            const text = texts[index] === null ? '(text could not be extracted)' : (texts[index] || '(no readable text found)');
+            return `[IMAGE ${image.fileName} - text extracted by OCR]:\n${text}`;
+        });
+        return { ...message, content: `${message.content}\n\n${blocks.join('\n\n')}` };
+    }));
+};
+
+// --- AI rate limiting, quotas and usage accounting ---
+
+const RATE_LIMIT_WINDOW_MS = (Number(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000;
+const RATE_LIMIT_PER_USER = Number(process.env.RATE_LIMIT_PER_USER) || 20;
+const RATE_LIMIT_PER_IP = Number(process.env.RATE_LIMIT_PER_IP) || 30;
+
+const AI_QUOTAS = {
+    day: {
+        requests: Number(process.env.AI_QUOTA_DAILY_REQUESTS) || 200,
+        tokens: Number(process.env.AI_QUOTA_DAILY_TOKENS) || 300000,
+    },
+    month: {
+        requests: Number(process.env.AI_QUOTA_MONTHLY_REQUESTS) || 3000,
+        tokens: Number(process.env.AI_QUOTA_MONTHLY_TOKENS) || 5000000,
+    },
+};
+
+// Fixed-window counters kept in memory; good enough for a single instance.
+const rateLimitBuckets = new Map();
+
+const takeRateLimitSlot = (key, limit, now = Date.now()) => {
+    let bucket = rateLimitBuckets.get(key);
+    if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + RATE_LIMIT_WINDOW_MS };
+        rateLimitBuckets.set(key, bucket);
+    }
+    if (bucket.count >= limit) {
+        return { allowed: false, retryAfterSeconds: Math.ceil((bucket.resetAt - now) / 1000) };
+    }
+    bucket.count += 1;
+    return { allowed: true };
+};
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of rateLimitBuckets) {
+        if (bucket.resetAt <= now) rateLimitBuckets.delete(key);
+    }
+}, RATE_LIMIT_WINDOW_MS).unref();
+
+// Quota periods are UTC calendar days and months.
+const quotaPeriods = (now = new Date()) => {
+    const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    return {
+        day: { key: dayStart.toISOString().slice(0, 10), start: dayStart, end: new Date(dayStart.getTime() + DAY_MS) },
+        month: { key: monthStart.toISOString().slice(0, 7), start: monthStart, end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)) },
+    };
+};
+
+const quotaSubject = (req) => (req.auth?.userId ? `user:${req.auth.userId}` : `ip:${req.ip}`);
+
+const readQuotaUsage = async (subject, periods = quotaPeriods()) => {
+    const ids = Object.entries(periods).map(([name, period]) => `${subject}:${name}:${period.key}`);
+    const counters = await aiUsageCountersCollection.find({ _id: { $in: ids } }).toArray();
+    const byId = new Map(counters.map((counter) => [counter._id, counter]));
+
+    return Object.fromEntries(Object.entries(periods).map(([name, period]) => {
+        const counter = byId.get(`${subject}:${name}:${period.key}`);
+        return [name, { requests: counter?.requests || 0, tokens: counter?.tokens || 0, resetsAt: period.end }];
+    }));
+};
+
+const incrementQuotaCounters = (subject, increments, periods = quotaPeriods()) => Promise.all(
+    Object.entries(periods).map(([name, period]) => aiUsageCountersCollection.updateOne(
+        { _id: `${subject}:${name}:${period.key}` },
+        {
+            $inc: increments,
+            $setOnInsert: { subject, period: name, periodStart: period.start, expiresAt: new Date(period.end.getTime() + 35 * DAY_MS) },
+        },
+        { upsert: true }
+    ))
+);
+
+// Per-request accounting context, read by callAIAPI/streamAIAPI when they finish.
+const aiUsageContext = new AsyncLocalStorage();
+
+const recordAIUsage = (usage) => {
+    const context = aiUsageContext.getStore();
+    if (!context || !usage || !aiUsageCollection) return;
+
+    const totalTokens = usage.totalTokens ?? ((usage.promptTokens || 0) + (usage.completionTokens || 0));
+    const entry = {
+        subject: context.subject,
+        userId: context.userId,
+        ip: context.ip,
+        route: context.route,
+        mode: context.mode || null,
+        provider: usage.provider,
+        model: usage.model || null,
+        promptTokens: usage.promptTokens ?? null,
+        completionTokens: usage.completionTokens ?? null,
+        totalTokens,
+        createdAt: new Date(),
+    };
+
+    Promise.all([
+        aiUsageCollection.insertOne(entry),
+        incrementQuotaCounters(context.subject, { tokens: totalTokens }),
+    ]).catch((error) => logger.error('Failed to record AI usage:', error));
+};
+
+const sendTooManyRequests = (req, res, retryAfterSeconds, error, details = {}) => {
+    removeUploadedFiles(req.files || []);
+    res.setHeader('Retry-After', String(Math.max(1, retryAfterSeconds)));
+    return res.status(429).json({ error, retryAfterSeconds, ...details });
+};
+
+// Guards AI routes: per-IP and per-user rate limits, then daily/monthly request and token quotas.
+// Runs the rest of the request inside the usage context so provider calls are accounted to the caller.
+// Place it after multer on multipart routes so the context survives body parsing.
+const enforceAIQuota = async (req, res, next) => {
+    try {
+        const ipSlot = takeRateLimitSlot(`ip:${req.ip}`, RATE_LIMIT_PER_IP);
+        if (!ipSlot.allowed) {
+            return sendTooManyRequests(req, res, ipSlot.retryAfterSeconds, 'Too many requests from this network. Please slow down.');
+        }
+
+        if (req.auth?.userId) {
+            const userSlot = takeRateLimitSlot(`user:${req.auth.userId}`, RATE_LIMIT_PER_USER);
+            if (!userSlot.allowed) {
+                return sendTooManyRequests(req, res, userSlot.retryAfterSeconds, 'Too many requests. Please slow down.');
+            }
+        }
+
+        const subject = quotaSubject(req);
+        await mongoReadyPromise;
+
+        // Without MongoDB quotas cannot be tracked; the in-memory rate limits above still apply.
+        if (aiUsageCountersCollection) {
+            const periods = quotaPeriods();
+            const usage = await readQuotaUsage(subject, periods);
+
+            for (const [name, limits] of Object.entries(AI_QUOTAS)) {
+                const used = usage[name];
+                if (used.requests >= limits.requests || used.tokens >= limits.tokens) {
+                    const retryAfterSeconds = Math.ceil((used.resetsAt.getTime() - Date.now()) / 1000);
+                    return sendTooManyRequests(req, res, retryAfterSeconds, `${name === 'day' ? 'Daily' : 'Monthly'} AI quota exceeded`, {
+                        quota: { period: name, limits, used: { requests: used.requests, tokens: used.tokens }, resetsAt: used.resetsAt },
+                    });
+                }
+            }
+
+            await incrementQuotaCounters(subject, { requests: 1 }, periods);
+        }
+
+        const context = { subject, userId: req.auth?.userId || null, ip: req.ip, route: req.route?.path || req.path };
+        aiUsageContext.run(context, next);
+    } catch (error) {
+        logger.error('Quota check error:', error);
+        removeUploadedFiles(req.files || []);
+        res.status(500).json({ error: 'Failed to check AI quota' });
+    }
+};
+
+// --- Response cache for quiz and summarize generation ---
+// Entries are keyed by a hash of the normalized prompt, the request options and the provider/model
+// chain, so identical requests from a whole class reuse one provider call.
+
+const AI_CACHE_BACKEND = (process.env.AI_CACHE_BACKEND || 'memory').toLowerCase();
+const AI_CACHE_TTL_SECONDS = Number(process.env.AI_CACHE_TTL_SECONDS || 24 * 60 * 60);
+const AI_CACHE_MAX_ENTRIES = Number(process.env.AI_CACHE_MAX_ENTRIES || 500);
+const AI_CACHE_MAX_BYTES = Number(process.env.AI_CACHE_MAX_BYTES || 32 * 1024 * 1024);
+const AI_CACHE_MAX_ENTRY_BYTES = Number(process.env.AI_CACHE_MAX_ENTRY_BYTES || 256 * 1024);
+
+const aiCacheStats = { hits: 0, misses: 0, bypasses: 0, writes: 0, skippedTooLarge: 0, evictions: 0, errors: 0 };
+
+createCollector('ezstudy_ai_cache_events_total', 'AI response cache events by kind.', 'counter', () => Object.entries(aiCacheStats).map(([event, value]) => [{ event }, value]));
+
+// Map iteration order doubles as LRU order: reads re-insert the entry at the end.
+const createMemoryCacheBackend = () => {
+    const entries = new Map();
+    let totalBytes = 0;
+
+    const remove = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return;
+        entries.delete(key);
+        totalBytes -= entry.size;
+    };
+
+    return {
+        name: 'memory',
+        get: async (key) => {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                remove(key);
+                return null;
+            }
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry.value;
+        },
+        set: async (key, value, size) => {
+            remove(key);
+            entries.set(key, { value, size, expiresAt: Date.now() + AI_CACHE_TTL_SECONDS * 1000 });
+            totalBytes += size;
+            for (const oldestKey of entries.keys()) {
+                if (entries.size <= AI_CACHE_MAX_ENTRIES && totalBytes <= AI_CACHE_MAX_BYTES) break;
+                remove(oldestKey);
+                aiCacheStats.evictions += 1;
+            }
+        },
+        describe: () => ({ entries: entries.size, bytes: totalBytes, maxEntries: AI_CACHE_MAX_ENTRIES, maxBytes: AI_CACHE_MAX_BYTES }),
+    };
+};
+
+// Shared across instances; expiry is handled by a TTL index on `expiresAt`.
+const createMongoCacheBackend = () => ({
+    name: 'mongo',
+    get: async (key) => {
+        if (!aiCacheCollection) return null;
+        const entry = await aiCacheCollection.findOne({ _id: key, expiresAt: { $gt: new Date() } });
+        return entry?.value ?? null;
+    },
+    set: async (key, value, size) => {
+        if (!aiCacheCollection) return;
+        const now = new Date();
+        await aiCacheCollection.replaceOne(
+            { _id: key },
+            { value, size, createdAt: now, expiresAt: new Date(now.getTime() + AI_CACHE_TTL_SECONDS * 1000) },
+            { upsert: true }
+        );
+    },
+    describe: () => ({ connected: Boolean(aiCacheCollection) }),
+});
+
+const aiCache = { memory: createMemoryCacheBackend, mongo: createMongoCacheBackend }[AI_CACHE_BACKEND]?.() || null;
+
+const normalizeCachePrompt = (value) => String(value ?? '').normalize('NFC').replace(/\s+/g, ' ').trim();
+
+const buildAICacheKey = (kind, prompt, options) => {
+    const models = getActiveAIProviders().map((provider) => `${provider.name}:${provider.models.join(',')}`);
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify({ kind, prompt: normalizeCachePrompt(prompt), options, models }))
+        .digest('hex');
+};
+
+// `cache: false` in the body or `Cache-Control: no-cache` skips the lookup; the fresh result is still stored.
+const wantsCacheBypass = (req) => req.body?.cache === false || req.body?.cache === 'false' || /no-cache/i.test(req.get('cache-control') || '');
+
+// Looks up a cached value, or runs `produce` and stores its result unless it returns null.
+// Cache failures are logged and treated as misses so generation never depends on the cache.
+const withAICache = async (req, res, key, produce) => {
+    const bypass = wantsCacheBypass(req);
+    if (aiCache && !bypass) {
+        try {
+            const cached = await aiCache.get(key);
+            if (cached !== null) {
+                aiCacheStats.hits += 1;
+                res.setHeader('X-Cache', 'HIT');
+                return cached;
+            }
+        } catch (error) {
+            aiCacheStats.errors += 1;
+            logger.error('AI cache read error:', error);
+        }
+    }
+
+    if (bypass) aiCacheStats.bypasses += 1;
+    else aiCacheStats.misses += 1;
+    res.setHeader('X-Cache', bypass ? 'BYPASS' : 'MISS');
+
+    const value = await produce();
+    if (aiCache && value !== null) {
+        const size = Buffer.byteLength(JSON.stringify(value));
+        if (size > AI_CACHE_MAX_ENTRY_BYTES) {
+            aiCacheStats.skippedTooLarge += 1;
+        } else {
+            try {
+                await aiCache.set(key, value, size);
+                aiCacheStats.writes += 1;
+            } catch (error) {
+                aiCacheStats.errors += 1;
+                logger.error('AI cache write error:', error);
+            }
+        }
+    }
+    return value;
+};
+
+const describeAICache = () => {
+    const lookups = aiCacheStats.hits + aiCacheStats.misses;
+    return {
+        backend: aiCache?.name || 'off',
+        ttlSeconds: AI_CACHE_TTL_SECONDS,
+        maxEntryBytes: AI_CACHE_MAX_ENTRY_BYTES,
+        ...aiCacheStats,
+        hitRate: lookups ? Number((aiCacheStats.hits / lookups).toFixed(3)) : null,
+        ...(aiCache?.describe() || {}),
+    };
+};
+
+// --- Text extraction: content detection and per-format extractors ---
+// Each extractor returns { unit, pages: [{ page, text }] } where `unit` names what `page` counts
+// (page, slide, chapter, or null for unpaginated files). New formats plug into `documentExtractors`.
+
+const ZIP_ENTRY_MAX_BYTES = 25 * 1024 * 1024;
+const CSV_PREVIEW_ROWS = Number(process.env.CSV_PREVIEW_ROWS || 50);
+
+const namedEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', copy: '©', reg: '®', trade: '™', deg: '°', times: '×', middot: '·' };
+
+const decodeEntities = (value) => value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+        return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return namedEntities[entity.toLowerCase()] ?? match;
+});
+
+const tidyExtractedText = (text) => text
+    .replace(/\r/g, '')
+    .replace(/[ \t\f\v\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const readZipText = (zip, name) => {
+    const entry = zip.getEntry(name);
+    if (!entry || entry.isDirectory || entry.header.size > ZIP_ENTRY_MAX_BYTES) return null;
+    return zip.readAsText(entry, 'utf8');
+};
+
+// Resolves a relationship/manifest target relative to the part that references it.
+const resolveZipPath = (fromPart, target) => path.posix.normalize(path.posix.join(path.posix.dirname(fromPart), decodeURIComponent(target))).replace(/^\/+/, '');
+
+const readXmlAttribute = (tag, name) => tag.match(new RegExp(`\\s${name}\\s*=\\s*"([^"]*)"`))?.[1] ?? tag.match(new RegExp(`\\s${name}\\s*=\\s*'([^']*)'`))?.[1];
+
+// Maps relationship ids to part paths for one OOXML part (e.g. ppt/presentation.xml).
+const readOoxmlRelationships = (zip, part) => {
+    const relsPath = `${path.posix.dirname(part)}/_rels/${path.posix.basename(part)}.rels`;
+    const xml = readZipText(zip, relsPath) || '';
+    const relationships = new Map();
+    for (const tag of xml.match(/<Relationship\b[^>]*>/g) || []) {
+        relationships.set(readXmlAttribute(tag, 'Id'), resolveZipPath(part, readXmlAttribute(tag, 'Target') || ''));
+    }
+    return relationships;
+};
+
+// Text of DrawingML paragraphs (<a:p>), as used by slides and speaker notes.
+const drawingMlText = (xml) => (xml.match(/<a:p\b[\s\S]*?<\/a:p>/g) || [])
+    .map((paragraph) => decodeEntities((paragraph.match(/<a:t\b[^>]*>([\s\S]*?)<\/a:t>/g) || []).map((run) => run.replace(/<[^>]+>/g, '')).join('')))
+    .filter((line) => line.trim())
+    .join('\n');
+
+const extractDocx = (buffer) => {
+    const zip = new AdmZip(buffer);
+    const xml = readZipText(zip, 'word/document.xml') || '';
+    const body = xml.match(/<w:body\b[^>]*>([\s\S]*)<\/w:body>/)?.[1] || xml;
+
+    // Headings keep their level as Markdown so summaries and chunking see the document outline.
+    const paragraphs = (body.match(/<w:p\b[\s\S]*?<\/w:p>/g) || []).map((paragraph) => {
+        const text = decodeEntities(paragraph
+            .replace(/<w:tab\/>/g, '\t')
+            .replace(/<w:br\b[^>]*\/>/g, '\n')
+            .replace(/<w:t\b[^>]*>([\s\S]*?)<\/w:t>/g, '\u0000$1\u0000')
+            .split('\u0000')
+            .filter((_, index) => index % 2 === 1)
+            .join(''));
+        const heading = Number(paragraph.match(/<w:pStyle\s+w:val="(?:Heading|heading)\s*(\d)"/)?.[1]);
+        if (!text.trim()) return '';
+        if (heading) return `${'#'.repeat(Math.min(heading, 6))} ${text.trim()}`;
+        return /<w:numPr\b/.test(paragraph) ? `- ${text.trim()}` : text;
+    });
+
+    return { unit: null, pages: [{ page: 1, text: tidyExtractedText(paragraphs.filter(Boolean).join('\n\n')) }] };
+};
+
+const extractPptx = (buffer) => {
+    const zip = new AdmZip(buffer);
+    const presentation = readZipText(zip, 'ppt/presentation.xml') || '';
+    const presentationRels = readOoxmlRelationships(zip, 'ppt/presentation.xml');
+
+    // Slide order comes from the presentation's slide list; file names do not reflect reordering.
+    let slidePaths = (presentation.match(/<p:sldId\b[^>]*>/g) || [])
+        .map((tag) => presentationRels.get(readXmlAttribute(tag, 'r:id')))
+        .filter(Boolean);
+    if (slidePaths.length === 0) {
+        slidePaths = zip.getEntries()
+            .map((entry) => entry.entryName)
+            .filter((name) => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+            .sort((a, b) => Number(a.match(/\d+/g).pop()) - Number(b.match(/\d+/g).pop()));
+    }
+
+    const pages = slidePaths.map((slidePath, index) => {
+        const slideText = drawingMlText(readZipText(zip, slidePath) || '');
+        const notesPath = [...readOoxmlRelationships(zip, slidePath).values()].find((target) => target.includes('notesSlides/'));
+        // Notes slides repeat the slide number placeholder; drop lines that are only digits.
+        const notes = notesPath ? drawingMlText(readZipText(zip, notesPath) || '').split('\n').filter((line) => !/^\d+$/.test(line.trim())).join('\n') : '';
+        return { page: index + 1, text: tidyExtractedText(notes ? `${slideText}\n\nSpeaker notes:\n${notes}` : slideText) };
+    });
+
+    return { unit: 'slide', pages };
+};
+
+// Drops scripts, navigation and other page chrome, preferring <main>/<article> when present.
+const htmlToText = (html) => {
+    let content = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|noscript|template|svg|iframe|canvas|nav|header|footer|aside|form|button)\b[\s\S]*?<\/\1>/gi, '');
+    const main = content.match(/<(main|article)\b[^>]*>([\s\S]*?)<\/\1>/i)?.[2];
+    if (main && main.replace(/<[^>]+>/g, '').trim().length > 200) content = main;
+    else content = content.match(/<body\b[^>]*>([\s\S]*)<\/body>/i)?.[1] ?? content;
+
+    const text = content
+        .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) => `\n\n${'#'.repeat(Number(level))} ${inner.replace(/<[^>]+>/g, ' ').trim()}\n\n`)
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<(td|th)\b[^>]*>/gi, ' | ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/?(p|div|section|article|main|ul|ol|tr|table|blockquote|pre|dl|dt|dd|figure|figcaption)\b[^>]*>/gi, '\n\n')
+        .replace(/<[^>]+>/g, '');
+    return tidyExtractedText(decodeEntities(text));
+};
+
+const extractHtml = (buffer) => ({ unit: null, pages: [{ page: 1, text: htmlToText(buffer.toString('utf-8')) }] });
+
+const extractEpub = (buffer) => {
+    const zip = new AdmZip(buffer);
+    const container = readZipText(zip, 'META-INF/container.xml') || '';
+    const opfPath = readXmlAttribute(container.match(/<rootfile\b[^>]*>/)?.[0] || '', 'full-path');
+    const opf = opfPath ? readZipText(zip, opfPath) || '' : '';
+
+    const manifest = new Map((opf.match(/<item\b[^>]*>/g) || []).map((tag) => [readXmlAttribute(tag, 'id'), readXmlAttribute(tag, 'href')]));
+    const chapterPaths = (opf.match(/<itemref\b[^>]*>/g) || [])
+        .map((tag) => manifest.get(readXmlAttribute(tag, 'idref')))
+        .filter(Boolean)
+        .map((href) => resolveZipPath(opfPath, href));
+
+    // Spine items without text (covers, image-only pages) are skipped; chapters are numbered by reading order.
+    const pages = chapterPaths
+        .map((chapterPath) => htmlToText(readZipText(zip, chapterPath) || ''))
+        .filter((text) => text)
+        .map((text, index) => ({ page: index + 1, text }));
+
+    return { unit: 'chapter', pages };
+};
+
+// RFC 4180 parsing: quoted fields may contain the delimiter, doubled quotes and line breaks.
+const parseDelimited = (text, delimiter) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let index = 0; index < text.length; index += 1) {
+        const char = text[index];
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') index += 1;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter((cells) => cells.some((cell) => cell.trim()));
+};
+
+// Picks the delimiter that splits the first lines into the most consistent number of columns.
+const detectCsvDelimiter = (text) => {
+    const lines = text.split(/\r?\n/).filter(Boolean).slice(0, 20);
+    let best = { delimiter: ',', score: 0 };
+    for (const delimiter of [',', ';', '\t', '|']) {
+        const counts = lines.map((line) => line.split(delimiter).length - 1);
+        const consistent = counts.filter((count) => count > 0 && count === counts[0]).length;
+        const score = counts[0] > 0 ? consistent * 10 + counts[0] : 0;
+        if (score > best.score) best = { delimiter, score };
+    }
+    return best.delimiter;
+};
+
+const looksLikeCsv = (text) => {
+    const lines = text.split(/\r?\n/).filter(Boolean).slice(0, 20);
+    if (lines.length < 3) return false;
+    const delimiter = detectCsvDelimiter(text);
+    const counts = lines.map((line) => line.split(delimiter).length);
+    return counts[0] > 1 && counts.every((count) => count === counts[0]);
+};
+
+// The table preview is a Markdown table of the header and first CSV_PREVIEW_ROWS rows.
+const extractCsv = (buffer) => {
+    const text = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+    const rows = parseDelimited(text, detectCsvDelimiter(text));
+    if (rows.length === 0) return { unit: null, pages: [] };
+
+    const columnCount = Math.max(...rows.map((row) => row.length));
+    const cell = (value) => String(value ?? '').replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim();
+    const line = (row) => `| ${Array.from({ length: columnCount }, (_, index) => cell(row[index])).join(' | ')} |`;
+    const [header, ...body] = rows;
+    const shown = body.slice(0, CSV_PREVIEW_ROWS);
+    const summary = `Table with ${body.length} rows and ${columnCount} columns${shown.length < body.length ? ` (showing the first ${shown.length})` : ''}.`;
+
+    return {
+        unit: null,
+        pages: [{ page: 1, text: [summary, '', line(header), `|${' --- |'.repeat(columnCount)}`, ...shown.map(line)].join('\n') }],
+    };
+};
+
+const extractPlainText = (buffer) => ({ unit: null, pages: [{ page: 1, text: buffer.toString('utf-8').replace(/^\uFEFF/, '') }] });
+
+const extractPdf = async (buffer) => {
+    const pages = [];
+    // pdf.js reads `.buffer` and ignores byteOffset, which breaks on Node's pooled small-file buffers.
+    await pdfParse(new Uint8Array(buffer), {
+        // pdf-parse renders pages sequentially, so push order matches page order.
+        pagerender: async (pageData) => {
+            const content = await pageData.getTextContent();
+            const text = content.items.map((item) => item.str).join(' ');
+            pages.push({ page: pages.length + 1, text });
+            return text;
+        },
+    });
+    return { unit: 'page', pages };
+};
+
+const documentExtractors = {
+    pdf: { label: 'PDF', contentType: 'application/pdf', extract: extractPdf },
+    docx: { label: 'WORD DOCUMENT', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extract: extractDocx },
+    pptx: { label: 'SLIDES', contentType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extract: extractPptx },
+    epub: { label: 'EPUB', contentType: 'application/epub+zip', extract: extractEpub },
+    html: { label: 'HTML', contentType: 'text/html', extract: extractHtml },
+    csv: { label: 'CSV TABLE', contentType: 'text/csv', extract: extractCsv },
+    markdown: { label: 'MARKDOWN', contentType: 'text/markdown', extract: extractPlainText },
+    text: { label: 'TEXT', contentType: 'text/plain', extract: extractPlainText },
+};
+
+// Binary formats are identified by their signature (ZIP containers by their required parts).
+// Text formats have no signature, so valid UTF-8 without NUL bytes is treated as text and then
+// classified by content. The declared name/type only confirms CSV and separates Markdown from plain text.
+const detectDocumentFormat = (buffer, fileName = '', mimeType = '') => {
+    if (buffer.toString('ascii', 0, 5) === '%PDF-') return 'pdf';
+
+    if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+        try {
+            const zip = new AdmZip(buffer);
+            if (zip.getEntry('word/document.xml')) return 'docx';
+            if (zip.getEntry('ppt/presentation.xml')) return 'pptx';
+            if ((readZipText(zip, 'mimetype') || '').trim() === 'application/epub+zip') return 'epub';
+        } catch (error) {
+            return null;
+        }
+        return null;
+    }
+
+    if (sniffImageFormat(buffer)) return null;
+
+    const sample = buffer.subarray(0, 64 * 1024);
+    if (sample.includes(0)) return null;
+    try {
+        // A multi-byte character may be cut at the sample boundary, so only fully-sampled files are strict.
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer.length > sample.length ? sample.subarray(0, sample.length - 4) : sample);
+    } catch (error) {
+        return null;
+    }
+
+    const head = sample.toString('utf-8', 0, 4096).replace(/^\uFEFF/, '').trimStart().toLowerCase();
+    if (/^<!doctype html|^<html[\s>]|^<\?xml[^>]*>\s*<(!doctype )?html/.test(head) || /<body[\s>]/.test(head)) return 'html';
+    if (/\.(csv|tsv)$/i.test(fileName) || /csv|tab-separated/.test(mimeType) || looksLikeCsv(sample.toString('utf-8'))) return 'csv';
+    if (/\.(md|markdown)$/i.test(fileName)) return 'markdown';
+    return 'text';
+};
+
+// Returns { format, label, contentType, unit, pages }; `format` is null when no extractor applies.
+const extractDocument = async (file) => {
+    const buffer = fs.readFileSync(file.path);
+    const format = detectDocumentFormat(buffer, file.originalname, file.mimetype);
+    if (!format) {
+        return { format: null, label: null, contentType: file.mimetype, unit: null, pages: [] };
+    }
+
+    const extractor = documentExtractors[format];
+    const { unit, pages } = await extractor.extract(buffer);
+    return { format, label: extractor.label, contentType: extractor.contentType, unit, pages: pages.filter((page) => page.text.trim()) };
+};
+
+// Prompt-ready text; paginated formats are marked "[Slide 3]", "[Page 2]", etc.
+const formatExtractedText = ({ unit, pages }) => pages
+    .map(({ page, text }) => (unit ? `[${unit[0].toUpperCase()}${unit.slice(1)} ${page}]\n${text}` : text))
+    .join('\n\n');
+
+// --- Document library: chunking and BM25 retrieval ---
+
+const DOCUMENT_CHUNK_SIZE = 1200;
+const DOCUMENT_CHUNK_OVERLAP = 200;
+const RETRIEVAL_TOP_K = Number(process.env.RETRIEVAL_TOP_K) || 6;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'how', 'i', 'if', 'in',
+    'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'their', 'then', 'there', 'these',
+    'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+]);
+
+const tokenize = (text) => (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token));
+
+// Null-prototype so tokens such as "constructor" are not shadowed by Object.prototype members.
+const countTerms = (tokens) => {
+    const counts = Object.create(null);
+    for (const token of tokens) {
+        counts[token] = (counts[token] || 0) + 1;
+    }
+    return counts;
+};
+
+// Stored term maps come back from MongoDB as ordinary objects, so only own keys count.
+const termFrequency = (chunk, term) => (chunk.terms && Object.hasOwn(chunk.terms, term) ? Number(chunk.terms[term]) || 0 : 0);
+
+// Splits one page into overlapping chunks, preferring to break at paragraph or sentence ends.
+const chunkPageText = (text) => {
+    const clean = (text || '').replace(/\r/g, '').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+    const chunks = [];
+    let start = 0;
+
+    while (start < clean.length) {
+        let end = Math.min(start + DOCUMENT_CHUNK_SIZE, clean.length);
+        if (end < clean.length) {
+            const window = clean.slice(start, end);
+            const breakAt = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('. '), window.lastIndexOf('\n'));
+            if (breakAt > DOCUMENT_CHUNK_SIZE / 2) {
+                end = start + breakAt + 1;
+            }
+        }
+
+        const chunk = clean.slice(start, end).trim();
+        if (chunk) chunks.push(chunk);
+        if (end >= clean.length) break;
+        // Step back for overlap, then forward to a word boundary so chunks never start mid-word.
+        const overlapStart = Math.max(end - DOCUMENT_CHUNK_OVERLAP, start + 1);
+        const nextSpace = clean.slice(overlapStart, end).search(/\s/);
+        start = nextSpace === -1 ? overlapStart : overlapStart + nextSpace + 1;
+    }
+
+    return chunks;
+};
+
+// Documents indexed before pageUnit was stored were all paginated as pages.
+const documentPageUnit = (documentDoc) => (documentDoc?.pageUnit === undefined ? 'page' : documentDoc.pageUnit);
+
+const serializeDocument = (documentDoc) => ({
+    id: documentDoc._id.toString(),
+    fileName: documentDoc.fileName,
+    mimeType: documentDoc.mimeType,
+    format: documentDoc.format || null,
+    pageUnit: documentPageUnit(documentDoc),
+    size: documentDoc.size,
+    pageCount: documentDoc.pageCount,
+    chunkCount: documentDoc.chunkCount,
+    createdAt: documentDoc.createdAt,
+});
+
+// Chunks extracted pages and counts each chunk's terms for BM25.
+const buildDocumentChunks = (pages) => {
+    const chunks = [];
+    for (const { page, text } of pages) {
+        for (const chunkText of chunkPageText(text)) {
+            const tokens = tokenize(chunkText);
+            chunks.push({ index: chunks.length, page, text: chunkText, terms: countTerms(tokens), length: tokens.length });
+        }
+    }
+    return chunks;
+};
+
+// Extracts, chunks and indexes an uploaded file into the user's library. Pass `extracted` when
+// the caller has already read the file (e.g. to moderate it first).
+const storeDocumentForUser = async (userId, file, extracted = null) => {
+    extracted ??= await extractDocument(file);
+    if (!extracted.format) {
+        return { error: `Unsupported file type for ${file.originalname}` };
+    }
+    const { pages } = extracted;
+    const now = new Date();
+    const documentId = new ObjectId();
+
+    const chunkDocs = buildDocumentChunks(pages).map((chunk) => ({ userId, documentId: documentId.toString(), ...chunk }));
+
+    if (chunkDocs.length === 0) {
+        return { error: `No readable text found in ${file.originalname}` };
+    }
+
+    const documentDoc = {
+        _id: documentId,
+        userId,
+        fileName: file.originalname,
+        mimeType: extracted.contentType,
+        format: extracted.format,
+        pageUnit: extracted.unit,
+        size: file.size,
+        pageCount: pages.length,
+        chunkCount: chunkDocs.length,
+        createdAt: now,
+    };
+
+    await documentChunksCollection.insertMany(chunkDocs);
+    await documentsCollection.insertOne(documentDoc);
+    return { document: documentDoc };
+};
+
+// Ranks chunks against the query with Okapi BM25. IDF is computed over the given chunks so
+// scores reflect the documents being asked about. Chunks without any query term are dropped.
+const rankChunks = (chunks, query, limit = RETRIEVAL_TOP_K) => {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || chunks.length === 0) return [];
+
+    const averageLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0) / chunks.length || 1;
+    const documentFrequency = new Map(queryTerms.map((term) => [term, chunks.filter((chunk) => termFrequency(chunk, term) > 0).length]));
+
+    return chunks
+        .map((chunk) => {
+            let score = 0;
+            for (const term of queryTerms) {
+                const frequency = termFrequency(chunk, term);
+                if (!frequency) continue;
+                const df = documentFrequency.get(term);
+                const idf = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+                score += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / averageLength));
+            }
+            return { chunk, score };
+        })
+        .filter((result) => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+};
+
+// Ranks the stored chunks of the given library documents against the query.
+const searchDocumentChunks = async (userId, documentIds, query, limit = RETRIEVAL_TOP_K) => {
+    if (documentIds.length === 0 || tokenize(query).length === 0) return [];
+
+    const chunks = await documentChunksCollection
+        .find({ userId, documentId: { $in: documentIds } }, { projection: { userId: 0 } })
+        .toArray();
+    return rankChunks(chunks, query, limit);
+};
+
+// Prompt text for a chat upload that is not saved to the library. Documents up to
+// CHAT_FILE_CONTEXT_CHARS go in whole; from longer ones the passages that best match the message
+// fill that budget (then the remaining passages in order), and are shown in document order.
+const CHAT_FILE_CONTEXT_CHARS = Number(process.env.CHAT_FILE_CONTEXT_CHARS) || 24000;
+
+const selectUploadContext = (extracted, query, budget = CHAT_FILE_CONTEXT_CHARS) => {
+    const fullText = formatExtractedText(extracted);
+    if (fullText.length <= budget) return fullText;
+
+    const chunks = buildDocumentChunks(extracted.pages);
+    const ranked = rankChunks(chunks, query, chunks.length).map(({ chunk }) => chunk);
+    const rankedIndexes = new Set(ranked.map((chunk) => chunk.index));
+    const candidates = [...ranked, ...chunks.filter((chunk) => !rankedIndexes.has(chunk.index))];
+
+    const selected = [];
+    let used = 0;
+    for (const chunk of candidates) {
+        if (used + chunk.text.length > budget) continue;
+        selected.push(chunk);
+        used += chunk.text.length;
+    }
+
+    const unit = extracted.unit ? `${extracted.unit[0].toUpperCase()}${extracted.unit.slice(1)}` : null;
+    const passages = selected
+        .sort((a, b) => a.index - b.index)
+        .map((chunk) => (unit ? `[${unit} ${chunk.page}]\n${chunk.text}` : chunk.text));
+    return `(Excerpts: ${selected.length} of ${chunks.length} passages, chosen by relevance to the question)\n${passages.join('\n[...]\n')}`;
+};
+
+// Builds the prompt block and citation list for retrieved passages. Passages are numbered
+// so the model can cite them inline as [1], [2], ...
+const buildRetrievalContext = async (userId, documentIds, query) => {
+    const documents = await documentsCollection
+        .find({ userId, _id: { $in: documentIds.map(parseObjectId).filter(Boolean) } })
+        .toArray();
+    const documentsById = new Map(documents.map((doc) => [doc._id.toString(), doc]));
+    const results = await searchDocumentChunks(userId, [...documentsById.keys()], query);
+
+    const citations = results.map(({ chunk, score }, index) => ({
+        ref: index + 1,
+        documentId: chunk.documentId,
+        fileName: documentsById.get(chunk.documentId)?.fileName || 'document',
+        page: chunk.page,
+        pageUnit: documentPageUnit(documentsById.get(chunk.documentId)),
+        chunkIndex: chunk.index,
+        score: Number(score.toFixed(4)),
+    }));
+
+    if (citations.length === 0) {
+        return { context: '', citations };
+    }
+
+    const passages = results
+        .map(({ chunk }, index) => {
+            const { fileName, pageUnit } = citations[index];
+            return `[${index + 1}] ${fileName}${pageUnit ? `, ${pageUnit} ${chunk.page}` : ''}:\n${chunk.text}`;
+        })
+        .join('\n\n');
+
+    return {
+        context: `\n\n--- Retrieved Document Passages ---\n${passages}\n--- End of Passages ---\nWhen you use a passage, cite it inline by its number, e.g. [1].`,
+        citations,
+    };
+};
+
+const parseIdList = (value) => {
+    if (Array.isArray(value)) return value.map(String);
+    if (!value) return [];
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed.map(String) : [String(parsed)];
+    } catch (error) {
+        return String(value).split(',').map((item) => item.trim()).filter(Boolean);
+    }
+};
+
+const removeUploadedFiles = (files) => {
+    files.forEach(file => {
+        try {
+            fs.unlinkSync(file.path);
+        } catch (err) {
+            logger.error('Error deleting uploaded file', err);
+        }
+    });
+};
+
+// --- Long-document summarization (map-reduce) ---
+// Input that fits one prompt is summarized directly. Longer input is split into chunks that are
+// summarized independently (map), then the partial notes are merged in rounds until one set remains (reduce).
+
+const SUMMARY_CHUNK_CHARS = Number(process.env.SUMMARY_CHUNK_CHARS || 12000);
+const SUMMARY_MAX_INPUT_CHARS = Number(process.env.SUMMARY_MAX_INPUT_CHARS || 500000);
+const SUMMARY_CONCURRENCY = Math.max(Number(process.env.SUMMARY_CONCURRENCY || 3), 1);
+
+// Runs `task` over `items` with at most `limit` calls in flight; results keep input order.
+const mapWithConcurrency = async (items, limit, task) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next;
+            next += 1;
+            results[index] = await task(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
+
+// Markers such as "[lecture.pdf, page 3]" or "[week2.pptx, slide 7]" give the model something concrete to cite.
+const summarySectionLabel = (section) => {
+    if (section.source && section.page) return `[${section.source}, ${section.unit} ${section.page}]`;
+    if (section.source) return `[${section.source}]`;
+    return '';
+};
+
+// Splits at paragraph, then sentence, then word boundaries.
+const splitSummaryText = (text, limit) => {
+    const pieces = [];
+    let rest = text.trim();
+    while (rest.length > limit) {
+        const window = rest.slice(0, limit);
+        let breakAt = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('. ') + 1);
+        if (breakAt < limit / 2) breakAt = window.lastIndexOf(' ');
+        if (breakAt <= 0) breakAt = limit;
+        pieces.push(rest.slice(0, breakAt).trim());
+        rest = rest.slice(breakAt).trim();
+    }
+    if (rest) pieces.push(rest);
+    return pieces;
+};
+
+// Packs labelled sections into chunks of at most SUMMARY_CHUNK_CHARS, keeping page order.
+const chunkSummarySections = (sections) => {
+    const chunks = [];
+    let current = '';
+    for (const section of sections) {
+        const label = summarySectionLabel(section);
+        for (const piece of splitSummaryText(section.text, SUMMARY_CHUNK_CHARS - label.length - 1)) {
+            const block = label ? `${label}\n${piece}` : piece;
+            if (current && current.length + block.length + 2 > SUMMARY_CHUNK_CHARS) {
+                chunks.push(current);
+                current = '';
+            }
+            current = current ? `${current}\n\n${block}` : block;
+        }
+    }
+    if (current) chunks.push(current);
+    return chunks;
+};
+
+// Groups consecutive partial notes for one merge call; every group but the last holds at least two.
+const groupSummaryPartials = (partials) => {
+    const groups = [];
+    let group = [];
+    let size = 0;
+    for (const partial of partials) {
+        if (group.length >= 2 && size + partial.length > SUMMARY_CHUNK_CHARS) {
+            groups.push(group);
+            group = [];
+            size = 0;
+        }
+        group.push(partial);
+        size += partial.length;
+    }
+    if (group.length) groups.push(group);
+    return groups;
+};
+
+const summaryRules = (hasPages) => [
+    'Keep the section headings of the source as Markdown headings, in their original order.',
+    hasPages ? 'Cite where each point comes from using the [file, page/slide/chapter N] markers, written as (p. N), (slide N) or (ch. N), adding the file name when there are several files. Never invent page numbers.' : '',
+].filter(Boolean).join(' ');
+
+const styleInstruction = (style) => `Create ${style || 'bullet point'} style notes that are clear and easy to study from.`;
+
+const summarizeChunk = async (chunk, { index, total, style, hasPages }) => {
+    const role = total === 1
+        ? styleInstruction(style)
+        : `You are summarizing part ${index + 1} of ${total} of a longer document. Write detailed notes covering every important point in this part; they will be merged with the other parts later.`;
+    const data = await callAIAPI([
+        { role: 'system', content: `You are a study notes generator. ${role} ${summaryRules(hasPages)}` },
+        { role: 'user', content: `Create study notes from the following content:\n\n${chunk}` },
+    ]);
+    return data.choices[0]?.message?.content || '';
+};
+
+const mergeSummaryPartials = async (partials, { style, hasPages, final }) => {
+    const finish = final ? styleInstruction(style) : 'Keep the detail; the notes will be merged again later.';
+    const data = await callAIAPI([
+        {
+            role: 'system',
+            content: `You are a study notes generator merging notes taken from consecutive parts of one document. Combine them into a single set of notes without repeating points. ${summaryRules(hasPages)} ${finish}`,
+        },
+        {
+            role: 'user',
+            content: `Create study notes from the following content:\n\n${partials.map((partial, index) => `--- Part ${index + 1} ---\n${partial}`).join('\n\n')}`,
+        },
+    ]);
+    return data.choices[0]?.message?.content || '';
+};
+
+// sections: [{ source, page, text }] in reading order. Returns { notes, chunks, mergeRounds }.
+const summarizeSections = async (sections, style) => {
+    const hasPages = sections.some((section) => section.page);
+    const chunks = chunkSummarySections(sections);
+    let partials = await mapWithConcurrency(chunks, SUMMARY_CONCURRENCY, (chunk, index) => (
+        summarizeChunk(chunk, { index, total: chunks.length, style, hasPages })
+    ));
+
+    let mergeRounds = 0;
+    while (partials.length > 1) {
+        const groups = groupSummaryPartials(partials.filter(Boolean));
+        const final = groups.length === 1;
+        partials = await mapWithConcurrency(groups, SUMMARY_CONCURRENCY, (group) => (
+            group.length === 1 && !final ? group[0] : mergeSummaryPartials(group, { style, hasPages, final })
+        ));
+        mergeRounds += 1;
+    }
+
+    return { notes: partials[0] || '', chunks: chunks.length, mergeRounds };
+};
+
+// Turns the request body text and uploaded files into summary sections.
+// Returns { sections } or { error } naming the file that could not be read.
+const collectSummarySections = async (text, files) => {
+    const sections = typeof text === 'string' && text.trim() ? [{ source: null, page: null, text }] : [];
+    for (const file of files) {
+        let extracted = { pages: [] };
+        try {
+            extracted = await extractDocument(file);
+        } catch (error) {
+            logger.error('Summarize extraction error', error, { mimetype: file.mimetype, size: file.size });
+        }
+        if (extracted.pages.length === 0) {
+            return { error: `Could not read text from ${file.originalname}. Upload a PDF, Office, EPUB, HTML, CSV or text file.` };
+        }
+
+        sections.push(...extracted.pages.map((page) => ({
+            source: file.originalname,
+            unit: extracted.unit,
+            page: extracted.unit ? page.page : null,
+            text: page.text,
+        })));
+    }
+    return { sections };
+};
+
+// --- Chat history search ---
+
+const SEARCH_SNIPPET_RADIUS = 80;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Word-prefix matcher for the query terms. Plural/-ing endings are trimmed so "cycles" also finds "cycle".
+const buildSearchMatcher = (terms) => {
+    const stems = terms.map((term) => (term.length > 4 ? term.replace(/(ing|es|s)$/, '') : term));
+    return new RegExp(`(?<![\\p{L}\\p{N}])(${stems.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+};
+
+// Scores one piece of text: coverage of distinct query terms dominates, repeated hits and an
+// exact phrase match add smaller boosts.
+const scoreSearchText = (text, terms, matcher, phrase) => {
+    const matches = [...(text || '').matchAll(matcher)];
+    if (matches.length === 0) return null;
+
+    const matchedStems = new Set(matches.map((match) => match[1].toLowerCase()));
+    const coverage = matchedStems.size / terms.length;
+    const phraseBonus = phrase && text.toLowerCase().includes(phrase) ? 1 : 0;
+    return { score: coverage * 3 + Math.log1p(matches.length) + phraseBonus, matches };
+};
+
+const buildSnippet = (text, matches) => {
+    const first = matches[0].index;
+    const start = Math.max(0, first - SEARCH_SNIPPET_RADIUS);
+    const end = Math.min(text.length, first + matches[0][0].length + SEARCH_SNIPPET_RADIUS);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const snippet = `${prefix}${text.slice(start, end)}${suffix}`;
+
+    const highlights = matches
+        .filter((match) => match.index >= start && match.index + match[0].length <= end)
+        .map((match) => [match.index - start + prefix.length, match.index - start + prefix.length + match[0].length]);
+
+    let html = '';
+    let cursor = 0;
+    for (const [from, to] of highlights) {
+        html += `${escapeHtml(snippet.slice(cursor, from))}<mark>${escapeHtml(snippet.slice(from, to))}</mark>`;
+        cursor = to;
+    }
+    html += escapeHtml(snippet.slice(cursor));
+
+    return { snippet, highlights, snippetHtml: html };
+};
+
+const parseDateParam = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// --- Quizzes: schema, storage and grading ---
+
+const QUIZ_QUESTION_TYPES = ['mcq', 'true-false', 'multi-select', 'short-answer'];
+const QUIZ_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const QUIZ_MAX_QUESTIONS = 20;
+const QUIZ_REPAIR_ATTEMPTS = Math.max(Number(process.env.QUIZ_REPAIR_ATTEMPTS ?? 2), 0);
+
+const quizTypeAliases = {
+    'multiple-choice': 'mcq',
+    truefalse: 'true-false',
+    boolean: 'true-false',
+    'multiple-select': 'multi-select',
+    multiselect: 'multi-select',
+    short: 'short-answer',
+    shortanswer: 'short-answer',
+};
+
+const normalizeQuizType = (value) => {
+    const type = String(value || 'mcq').trim().toLowerCase().replace(/[\s_]+/g, '-');
+    return QUIZ_QUESTION_TYPES.includes(type) ? type : (quizTypeAliases[type] || quizTypeAliases[type.replace(/-/g, '')] || null);
+};
+
+// Short answers are compared case-, accent- and punctuation-insensitively.
+const normalizeShortAnswer = (value) => String(value ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+// Validates one question against the quiz schema. `strict` applies the generation rules
+// (exactly 4 MCQ options, difficulty required); otherwise legacy and imported questions with
+// 2+ options are accepted. Returns { question } or { errors } with paths like "[2].options".
+const validateQuizQuestion = (raw, index = 0, { strict = false, types = QUIZ_QUESTION_TYPES, difficulty = null } = {}) => {
+    const errors = [];
+    const at = (field) => `[${index}]${field ? `.${field}` : ''}`;
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { errors: [`${at()} must be an object`] };
+    }
+
+    const type = normalizeQuizType(raw.type);
+    if (!type) {
+        errors.push(`${at('type')} must be one of ${QUIZ_QUESTION_TYPES.join(', ')}`);
+    } else if (!types.includes(type)) {
+        errors.push(`${at('type')} "${type}" was not requested; use one of ${types.join(', ')}`);
+    }
+
+    const text = typeof raw.question === 'string' ? raw.question.trim() : '';
+    if (!text) errors.push(`${at('question')} must be a non-empty string`);
+
+    const questionDifficulty = raw.difficulty ? String(raw.difficulty).toLowerCase() : (strict ? null : 'medium');
+    if (!QUIZ_DIFFICULTIES.includes(questionDifficulty)) {
+        errors.push(`${at('difficulty')} must be one of ${QUIZ_DIFFICULTIES.join(', ')}`);
+    } else if (difficulty && questionDifficulty !== difficulty) {
+        errors.push(`${at('difficulty')} must be "${difficulty}"`);
+    }
+
+    const question = {
+        type,
+        question: text,
+        options: [],
+        correct: null,
+        difficulty: questionDifficulty,
+        explanation: raw.explanation ? String(raw.explanation) : '',
+    };
+
+    if (type === 'short-answer') {
+        const accepted = [raw.acceptedAnswers, raw.answer, typeof raw.correct === 'string' ? raw.correct : null]
+            .flat()
+            .filter((answer) => typeof answer === 'string' && answer.trim())
+            .map((answer) => answer.trim());
+        question.acceptedAnswers = [...new Set(accepted)];
+        if (question.acceptedAnswers.length === 0) {
+            errors.push(`${at('acceptedAnswers')} must list at least one answer`);
+        }
+    } else if (type) {
+        let options = Array.isArray(raw.options) ? raw.options : [];
+        let correct = raw.correct;
+        if (type === 'true-false') {
+            if (options.length === 0) options = ['True', 'False'];
+            if (typeof correct === 'boolean') correct = correct ? 0 : 1;
+        }
+
+        question.options = options.map((option) => (typeof option === 'string' ? option.trim() : ''));
+        const [minOptions, maxOptions] = { mcq: strict ? [4, 4] : [2, 10], 'true-false': [2, 2], 'multi-select': strict ? [4, 6] : [2, 10] }[type];
+        if (question.options.length < minOptions || question.options.length > maxOptions) {
+            errors.push(minOptions === maxOptions
+                ? `${at('options')} must have exactly ${minOptions} items`
+                : `${at('options')} must have between ${minOptions} and ${maxOptions} items`);
+        }
+        if (question.options.some((option) => !option)) {
+            errors.push(`${at('options')} must only contain non-empty strings`);
+        } else if (new Set(question.options.map((option) => option.toLowerCase())).size !== question.options.length) {
+            errors.push(`${at('options')} must not repeat an option`);
+        }
+
+        const inRange = (value) => Number.isInteger(value) && value >= 0 && value < question.options.length;
+        if (type === 'multi-select') {
+            const indexes = Array.isArray(correct) ? correct.map(Number) : [];
+            question.correct = [...new Set(indexes)].sort((a, b) => a - b);
+            if (question.correct.length === 0 || !question.correct.every(inRange)) {
+                errors.push(`${at('correct')} must be a non-empty array of option indexes between 0 and ${question.options.length - 1}`);
+            }
+        } else {
+            question.correct = typeof correct === 'number' || typeof correct === 'string' ? Number(correct) : NaN;
+            if (!inRange(question.correct)) {
+                errors.push(`${at('correct')} must be an option index between 0 and ${question.options.length - 1}`);
+            }
+        }
+    }
+
+    return errors.length ? { errors } : { question };
+};
+
+// Lenient single-question check used for stored, imported and exported questions.
+const normalizeQuizQuestion = (question, index = 0) => validateQuizQuestion(question, index).question || null;
+
+// Reads the quiz generation options from a request body; returns { spec } or { error }.
+const parseQuizSpec = (body) => {
+    const count = body.count === undefined ? 5 : Number(body.count);
+    if (!Number.isInteger(count) || count < 1 || count > QUIZ_MAX_QUESTIONS) {
+        return { error: `count must be an integer between 1 and ${QUIZ_MAX_QUESTIONS}` };
+    }
+
+    const types = body.types === undefined ? ['mcq'] : [body.types].flat().map(normalizeQuizType);
+    if (types.length === 0 || types.includes(null)) {
+        return { error: `types must be a list of ${QUIZ_QUESTION_TYPES.join(', ')}` };
+    }
+
+    // difficulty is one level for every question, "mixed", or an array with one level per question.
+    const difficulty = body.difficulty ?? 'medium';
+    if (Array.isArray(difficulty)) {
+        if (difficulty.length !== count || !difficulty.every((level) => QUIZ_DIFFICULTIES.includes(level))) {
+            return { error: `difficulty must list ${count} values of ${QUIZ_DIFFICULTIES.join(', ')}` };
+        }
+    } else if (![...QUIZ_DIFFICULTIES, 'mixed'].includes(difficulty)) {
+        return { error: `difficulty must be one of ${[...QUIZ_DIFFICULTIES, 'mixed'].join(', ')}, or an array with one per question` };
+    }
+
+    return { spec: { count, types: [...new Set(types)], difficulty } };
+};
+
+const questionDifficultyFor = (spec, index) => {
+    if (Array.isArray(spec.difficulty)) return spec.difficulty[index];
+    return spec.difficulty === 'mixed' ? null : spec.difficulty;
+};
+
+// Accepts a bare JSON array, a fenced ```json block, or an object with a `questions` array.
+const parseQuizJson = (content) => {
+    const parsed = parseModelJson(content);
+    if (Array.isArray(parsed)) return { items: parsed };
+    if (Array.isArray(parsed?.questions)) return { items: parsed.questions };
+    return { error: 'Response must be a valid JSON array of question objects' };
+};
+
+// Checks a model response against the requested spec; returns { questions } or { errors }.
+const validateQuizOutput = (content, spec) => {
+    const parsed = parseQuizJson(content);
+    if (parsed.error) return { errors: [parsed.error] };
+
+    const errors = [];
+    if (parsed.items.length !== spec.count) {
+        errors.push(`Expected exactly ${spec.count} questions but got ${parsed.items.length}`);
+    }
+
+    const questions = parsed.items.map((item, index) => {
+        const result = validateQuizQuestion(item, index, { strict: true, types: spec.types, difficulty: questionDifficultyFor(spec, index) });
+        errors.push(...(result.errors || []));
+        return result.question;
+    });
+
+    return errors.length ? { errors } : { questions };
+};
+
+const quizSchemaPrompt = (spec) => {
+    const examples = {
+        mcq: '{"type": "mcq", "question": "...", "options": ["...", "...", "...", "..."], "correct": 0, "difficulty": "medium", "explanation": "..."}',
+        'true-false': '{"type": "true-false", "question": "...", "options": ["True", "False"], "correct": 1, "difficulty": "easy", "explanation": "..."}',
+        'multi-select': '{"type": "multi-select", "question": "...", "options": ["...", "...", "...", "...", "..."], "correct": [0, 2], "difficulty": "hard", "explanation": "..."}',
+        'short-answer': '{"type": "short-answer", "question": "...", "acceptedAnswers": ["...", "..."], "difficulty": "medium", "explanation": "..."}',
+    };
+    const difficulty = Array.isArray(spec.difficulty)
+        ? `Difficulty per question, in order: ${spec.difficulty.join(', ')}.`
+        : (spec.difficulty === 'mixed' ? 'Mix easy, medium and hard questions.' : `Every question is ${spec.difficulty}.`);
+
+    return [
+        `Question types: ${spec.types.join(', ')}.`,
+        difficulty,
+        'Rules: mcq has exactly 4 options and one correct index; true-false options are ["True", "False"]; multi-select has 4-6 options and "correct" lists every right index; short-answer lists acceptable answers. Indexes are 0-based. Options must be distinct.',
+        `Objects by type:\n${spec.types.map((type) => examples[type]).join('\n')}`,
+    ].join('\n');
+};
+
+// Asks for the quiz; malformed replies are sent back with their validation errors.
+const generateQuizQuestions = async (topic, spec, callAI = callAIAPI) => {
+    const messages = [
+        {
+            role: 'system',
+            content: 'You are a quiz generator. Follow the requested schema exactly. Return ONLY a valid JSON array with no markdown or explanation.'
+        },
+        {
+            role: 'user',
+            content: `Generate ${spec.count} quiz questions about: ${topic}.\n${quizSchemaPrompt(spec)}`
+        }
+    ];
+
+    return callAIWithRepair(messages, (content) => validateQuizOutput(content, spec), {
+        repairAttempts: QUIZ_REPAIR_ATTEMPTS,
+        repairInstruction: `Return the corrected JSON array of ${spec.count} questions only.`,
+        callAI,
+    });
+};
+
+// Answers and explanations stay server-side until the quiz is submitted.
+const serializeQuiz = (quizDoc, { includeAnswers = false } = {}) => ({
+    id: quizDoc._id.toString(),
+    topic: quizDoc.topic,
+    difficulty: quizDoc.difficulty,
+    types: quizDoc.types || ['mcq'],
+    questionCount: quizDoc.questions.length,
+    questions: quizDoc.questions.map((question, index) => ({
+        index,
+        type: question.type || 'mcq',
+        difficulty: question.difficulty || quizDoc.difficulty,
+        question: question.question,
+        options: question.options,
+        ...(includeAnswers ? {
+            correct: question.correct,
+            ...(question.type === 'short-answer' ? { acceptedAnswers: question.acceptedAnswers } : {}),
+            explanation: question.explanation,
+        } : {}),
+    })),
+    createdAt: quizDoc.createdAt,
+});
+
+const serializeQuizAttempt = (attemptDoc, { includeResults = false } = {}) => ({
+    id: attemptDoc._id.toString(),
+    quizId: attemptDoc.quizId,
+    attemptNumber: attemptDoc.attemptNumber,
+    score: attemptDoc.score,
+    total: attemptDoc.total,
+    percentage: attemptDoc.percentage,
+    submittedAt: attemptDoc.submittedAt,
+    ...(includeResults ? { results: attemptDoc.results } : {}),
+});
+
+// Answers are option indexes (mcq, true-false), arrays of indexes (multi-select) or text (short-answer).
+// Multi-select questions only count as correct when exactly the right options are chosen.
+const gradeQuestion = (question, raw) => {
+    const type = question.type || 'mcq';
+    const blank = raw === null || raw === undefined || raw === '';
+
+    if (type === 'short-answer') {
+        const selected = blank ? null : String(raw);
+        const accepted = question.acceptedAnswers.map(normalizeShortAnswer);
+        return { selected, isCorrect: selected !== null && accepted.includes(normalizeShortAnswer(selected)) };
+    }
+
+    if (type === 'multi-select') {
+        const selected = blank ? null : [...new Set([raw].flat().map(Number).filter(Number.isInteger))].sort((a, b) => a - b);
+        return { selected, isCorrect: Boolean(selected) && selected.join(',') === question.correct.join(',') };
+    }
+
+    const selected = blank ? null : Number(raw);
+    return { selected: Number.isInteger(selected) ? selected : null, isCorrect: selected === question.correct };
+};
+
+const gradeQuiz = (quizDoc, answers) => {
+    const results = quizDoc.questions.map((question, index) => {
+        const { selected, isCorrect } = gradeQuestion(question, answers[index]);
+        return {
+            index,
+            type: question.type || 'mcq',
+            selected,
+            correct: question.correct,
+            ...(question.type === 'short-answer' ? { acceptedAnswers: question.acceptedAnswers } : {}),
+            isCorrect,
+            explanation: question.explanation,
+        };
+    });
+
+    const score = results.filter((result) => result.isCorrect).length;
+    const total = results.length;
+    return { results, score, total, percentage: total ? Math.round((score / total) * 100) : 0 };
+};
+
+// --- Quiz export: Moodle XML, GIFT, QTI 2.1, Anki and Markdown ---
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Question text is plain text, so it is HTML-escaped before going into HTML-format fields.
+// The escaped string can never contain "]]>", which keeps the CDATA section well formed.
+const htmlCdata = (value) => `<![CDATA[${escapeHtml(value).replace(/\n/g, '<br>')}]]>`;
+
+// GIFT reserves ~ = # { } : and backslash; newlines must be written as \n.
+const escapeGift = (value) => String(value)
+    .replace(/([\\~=#{}:])/g, '\\$1')
+    .replace(/\r?\n/g, '\\n');
+
+// `&` is escaped too, or text such as "&amp;" would render as an entity.
+const escapeMarkdown = (value) => String(value).replace(/([\\`*_[\]<>|~#&])/g, '\\$1');
+
+// For headings, list items and header comments, which must stay on one line.
+const singleLine = (value) => String(value).replace(/\s*\r?\n\s*/g, ' ');
+
+// Quotes a delimited-text field when it contains the delimiter, a quote or a line break, or starts
+// with "#" (Anki reads any unquoted line starting with "#" as a comment).
+const delimitedField = (value, delimiter) => {
+    const text = String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) || text.startsWith('#') ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const slugify = (value) => String(value || 'quiz')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'quiz';
+
+const optionLetter = (index) => String.fromCharCode(65 + index);
+
+// Human-readable correct answer(s), e.g. ["B) Paris"] or the accepted short answers.
+const correctAnswerLabels = (question) => {
+    if (question.type === 'short-answer') return question.acceptedAnswers;
+    return [question.correct].flat().map((index) => `${optionLetter(index)}) ${question.options[index]}`);
+};
+
+// Moodle needs positive fractions summing to 100 for multi-select, with wrong options penalised.
+const moodleFraction = (question, optionIndex) => {
+    if (question.type !== 'multi-select') return optionIndex === question.correct ? 100 : 0;
+    const rightCount = question.correct.length;
+    const wrongCount = question.options.length - rightCount;
+    const fraction = question.correct.includes(optionIndex) ? 100 / rightCount : (wrongCount ? -100 / wrongCount : 0);
+    return Number(fraction.toFixed(5));
+};
+
+const renderMoodleQuestion = (question, index) => {
+    const type = question.type || 'mcq';
+    const moodleType = { mcq: 'multichoice', 'true-false': 'truefalse', 'multi-select': 'multichoice', 'short-answer': 'shortanswer' }[type];
+    const header = `  <question type="${moodleType}">
+    <name><text>${escapeXml(`Q${index + 1}`)}</text></name>
+    <questiontext format="html"><text>${htmlCdata(question.question)}</text></questiontext>
+    <generalfeedback format="html"><text>${htmlCdata(question.explanation || '')}</text></generalfeedback>
+    <defaultgrade>1</defaultgrade>`;
+
+    if (type === 'true-false') {
+        return `${header}
+    <penalty>1</penalty>
+    <hidden>0</hidden>
+${['true', 'false'].map((value, optionIndex) => `    <answer fraction="${optionIndex === question.correct ? 100 : 0}" format="moodle_auto_format">
+      <text>${value}</text>
+      <feedback format="html"><text></text></feedback>
+    </answer>`).join('\n')}
+  </question>`;
+    }
+
+    if (type === 'short-answer') {
+        return `${header}
+    <penalty>0.3333333</penalty>
+    <hidden>0</hidden>
+    <usecase>0</usecase>
+${question.acceptedAnswers.map((answer) => `    <answer fraction="100" format="moodle_auto_format">
+      <text>${escapeXml(answer)}</text>
+      <feedback format="html"><text></text></feedback>
+    </answer>`).join('\n')}
+  </question>`;
+    }
+
+    return `${header}
+    <penalty>0.3333333</penalty>
+    <hidden>0</hidden>
+    <single>${type === 'multi-select' ? 'false' : 'true'}</single>
+    <shuffleanswers>true</shuffleanswers>
+    <answernumbering>abc</answernumbering>
+${question.options.map((option, optionIndex) => `    <answer fraction="${moodleFraction(question, optionIndex)}" format="html">
+      <text>${htmlCdata(option)}</text>
+      <feedback format="html"><text></text></feedback>
+    </answer>`).join('\n')}
+  </question>`;
+};
+
+const renderMoodleXml = (quiz) => `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>
+  <question type="category">
+    <category><text>${escapeXml(`$course$/EzStudy/${quiz.topic || 'Quiz'}`)}</text></category>
+  </question>
+${quiz.questions.map(renderMoodleQuestion).join('\n')}
+</quiz>
+`;
+
+const renderGiftAnswers = (question) => {
+    switch (question.type) {
+        case 'true-false':
+            return question.correct === 0 ? 'TRUE' : 'FALSE';
+        case 'short-answer':
+            return question.acceptedAnswers.map((answer) => `=${escapeGift(answer)}`).join('\n');
+        case 'multi-select':
+            return question.options.map((option, optionIndex) => `~%${moodleFraction(question, optionIndex)}%${escapeGift(option)}`).join('\n');
+        default:
+            return question.options
+                .map((option, optionIndex) => `${optionIndex === question.correct ? '=' : '~'}${escapeGift(option)}`)
+                .join('\n');
+    }
+};
+
+const renderGift = (quiz) => {
+    // The category line is read verbatim up to the end of the line, so it is not escaped.
+    const topic = singleLine(quiz.topic || 'Quiz');
+    const header = `// EzStudy quiz: ${topic}\n$CATEGORY: $course$/EzStudy/${topic}\n`;
+    const questions = quiz.questions.map((question, index) => {
+        const feedback = question.explanation ? `\n####${escapeGift(question.explanation)}` : '';
+        return `::Q${index + 1}:: ${escapeGift(question.question)} {\n${renderGiftAnswers(question)}${feedback}\n}`;
+    });
+    return `${header}\n${questions.join('\n\n')}\n`;
+};
+
+// Choice questions use a choiceInteraction; short answers a textEntryInteraction matched case-insensitively.
+const renderQtiInteraction = (question) => {
+    if (question.type === 'short-answer') {
+        return {
+            declaration: `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+    <correctResponse><value>${escapeXml(question.acceptedAnswers[0])}</value></correctResponse>
+  </responseDeclaration>`,
+            body: `    <p>${escapeXml(question.question)}</p>
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${Math.max(...question.acceptedAnswers.map((answer) => answer.length), 10)}"/></p>`,
+            condition: `<or>${question.acceptedAnswers.map((answer) => `<stringMatch caseSensitive="false"><variable identifier="RESPONSE"/><baseValue baseType="string">${escapeXml(answer)}</baseValue></stringMatch>`).join('')}</or>`,
+        };
+    }
+
+    const multiple = question.type === 'multi-select';
+    return {
+        declaration: `  <responseDeclaration identifier="RESPONSE" cardinality="${multiple ? 'multiple' : 'single'}" baseType="identifier">
+    <correctResponse>${[question.correct].flat().map((index) => `<value>choice_${index}</value>`).join('')}</correctResponse>
+  </responseDeclaration>`,
+        body: `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="${question.type === 'true-false' ? 'false' : 'true'}" maxChoices="${multiple ? 0 : 1}">
+      <prompt>${escapeXml(question.question)}</prompt>
+${question.options.map((option, optionIndex) => `      <simpleChoice identifier="choice_${optionIndex}">${escapeXml(option)}</simpleChoice>`).join('\n')}
+    </choiceInteraction>`,
+        condition: '<match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>',
+    };
+};
+
+const renderQtiItem = (question, identifier, title) => {
+    const interaction = renderQtiInteraction(question);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+    identifier="${identifier}" title="${escapeXml(title)}" adaptive="false" timeDependent="false">
+${interaction.declaration}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+${interaction.body}
+  </itemBody>
+  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        ${interaction.condition}
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>
+      </responseIf>
+      <responseElse>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">0</baseValue></setOutcomeValue>
+      </responseElse>
+    </responseCondition>
+    <setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">explanation</baseValue></setOutcomeValue>
+  </responseProcessing>
+  <modalFeedback outcomeIdentifier="FEEDBACK" showHide="show" identifier="explanation">${escapeXml(question.explanation || '')}</modalFeedback>
+</assessmentItem>
+`;
+};
+
+// IMS content package: one assessmentItem per question plus imsmanifest.xml, zipped.
+const renderQtiPackage = (quiz) => {
+    const zip = new AdmZip();
+    const resources = quiz.questions.map((question, index) => {
+        const identifier = `item_${index + 1}`;
+        const href = `items/${identifier}.xml`;
+        zip.addFile(href, Buffer.from(renderQtiItem(question, identifier, `Question ${index + 1}`), 'utf-8'));
+        return `    <resource identifier="${identifier}" type="imsqti_item_xmlv2p1" href="${href}">
+      <file href="${href}"/>
+    </resource>`;
+    });
+
+    const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/imscp_v1p1.xsd"
+    identifier="ezstudy_${slugify(quiz.topic)}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+${resources.join('\n')}
+  </resources>
+</manifest>
+`;
+    zip.addFile('imsmanifest.xml', Buffer.from(manifest, 'utf-8'));
+    return zip.toBuffer();
+};
+
+// Anki's text importer reads the header directives; fields are HTML so line breaks become <br>.
+const renderAnki = (quiz, delimiter) => {
+    const separatorName = delimiter === '\t' ? 'Tab' : 'Comma';
+    const tag = slugify(quiz.topic);
+    const lines = quiz.questions.map((question) => {
+        const choices = question.options.length ? `<br><ol type="A">${question.options.map((option) => `<li>${escapeHtml(option)}</li>`).join('')}</ol>` : '';
+        const front = `${escapeHtml(question.question)}${choices}`;
+        const back = `<b>${correctAnswerLabels(question).map(escapeHtml).join('<br>')}</b>${question.explanation ? `<br>${escapeHtml(question.explanation)}` : ''}`;
+        return [front, back, `ezstudy ${tag}`].map((field) => delimitedField(field.replace(/\r?\n/g, '<br>'), delimiter)).join(delimiter);
+    });
+    return `#separator:${separatorName}\n#html:true\n#columns:Front${delimiter}Back${delimiter}Tags\n#tags column:3\n${lines.join('\n')}\n`;
+};
+
+const renderMarkdown = (quiz) => {
+    const heading = `# Quiz: ${escapeMarkdown(singleLine(quiz.topic || 'Untitled'))}\n\n_Difficulty: ${escapeMarkdown(singleLine(quiz.difficulty || 'medium'))} · ${quiz.questions.length} questions_\n`;
+    const questions = quiz.questions.map((question, index) => {
+        const options = question.options.map((option, optionIndex) => `- **${optionLetter(optionIndex)})** ${escapeMarkdown(singleLine(option))}`).join('\n');
+        const answer = correctAnswerLabels(question).map((label) => `**${escapeMarkdown(singleLine(label))}**`).join('\n\n');
+        const explanation = question.explanation ? `\n\n${escapeMarkdown(question.explanation)}` : '';
+        return `## ${index + 1}. ${escapeMarkdown(singleLine(question.question))}\n\n${options ? `${options}\n\n` : ''}<details>\n<summary>Answer</summary>\n\n${answer}${explanation}\n\n</details>`;
+    });
+    return `${heading}\n${questions.join('\n\n')}\n`;
+};
+
+const quizExporters = {
+    moodle: { extension: 'xml', contentType: 'application/xml; charset=utf-8', render: renderMoodleXml },
+    gift: { extension: 'gift.txt', contentType: 'text/plain; charset=utf-8', render: renderGift },
+    qti: { extension: 'qti.zip', contentType: 'application/zip', render: renderQtiPackage },
+    'anki-csv': { extension: 'csv', contentType: 'text/csv; charset=utf-8', render: (quiz) => renderAnki(quiz, ',') },
+    'anki-tsv': { extension: 'tsv', contentType: 'text/tab-separated-values; charset=utf-8', render: (quiz) => renderAnki(quiz, '\t') },
+    markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8', render: renderMarkdown },
+};
+
+const sendQuizExport = (res, quiz, format) => {
+    const exporter = quizExporters[format];
+    if (!exporter) {
+        return res.status(400).json({ error: `Unsupported format. Use one of: ${Object.keys(quizExporters).join(', ')}` });
+    }
+
+    res.setHeader('Content-Type', exporter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${slugify(quiz.topic)}.${exporter.extension}"`);
+    res.send(exporter.render(quiz));
+};
+
+// --- Flashcards: generation and SM-2 scheduling ---
+
+const FLASHCARD_SOURCE_MAX_CHARS = 12000;
+const FLASHCARD_REPAIR_ATTEMPTS = Math.max(Number(process.env.FLASHCARD_REPAIR_ATTEMPTS ?? 2), 0);
+const FLASHCARD_FRONT_MAX_CHARS = 300;
+const FLASHCARD_BACK_MAX_CHARS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const newCardSchedule = (now) => ({
+    easeFactor: 2.5,
+    interval: 0,
+    repetitions: 0,
+    lapses: 0,
+    reviewCount: 0,
+    dueAt: now,
+    lastReviewedAt: null,
+});
+
+// SM-2: grades 0-5, where 3+ counts as recalled. Failed cards restart at a one-day interval.
+const scheduleReview = (card, grade, now = new Date()) => {
+    let { easeFactor = 2.5, interval = 0, repetitions = 0, lapses = 0 } = card;
+
+    if (grade >= 3) {
+        interval = repetitions === 0 ? 1 : (repetitions === 1 ? 6 : Math.round(interval * easeFactor));
+        repetitions += 1;
+    } else {
+        repetitions = 0;
+        interval = 1;
+        lapses += 1;
+    }
+
+    easeFactor = Math.max(1.3, easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+
+    return {
+        easeFactor: Number(easeFactor.toFixed(2)),
+        interval,
+        repetitions,
+        lapses,
+        dueAt: new Date(now.getTime() + interval * DAY_MS),
+        lastReviewedAt: now,
+    };
+};
+
+// End of the caller's current day. `timezoneOffset` uses Date#getTimezoneOffset semantics (minutes behind UTC).
+const endOfLocalDay = (timezoneOffset = 0, now = new Date()) => {
+    const offsetMs = (Number(timezoneOffset) || 0) * 60 * 1000;
+    const local = new Date(now.getTime() - offsetMs);
+    local.setUTCHours(23, 59, 59, 999);
+    return new Date(local.getTime() + offsetMs);
+};
+
+const serializeDeck = (deckDoc) => ({
+    id: deckDoc._id.toString(),
+    name: deckDoc.name,
+    source: deckDoc.source,
+    cardCount: deckDoc.cardCount || 0,
+    createdAt: deckDoc.createdAt,
+    updatedAt: deckDoc.updatedAt,
+});
+
+const serializeFlashcard = (cardDoc) => ({
+    id: cardDoc._id.toString(),
+    deckId: cardDoc.deckId,
+    front: cardDoc.front,
+    back: cardDoc.back,
+    easeFactor: cardDoc.easeFactor,
+    interval: cardDoc.interval,
+    repetitions: cardDoc.repetitions,
+    lapses: cardDoc.lapses,
+    reviewCount: cardDoc.reviewCount,
+    dueAt: cardDoc.dueAt,
+    lastReviewedAt: cardDoc.lastReviewedAt,
+});
+
+const chatTranscript = (chatDoc) => (chatDoc.messages || [])
+    .map((message) => `${message.sender === 'user' ? 'Student' : 'Tutor'}: ${message.text}`)
+    .join('\n');
+
+// Checks a model response against the card schema; returns { cards } or { errors }. Short
+// material may yield fewer cards than asked for, but never more and never none.
+const validateFlashcardOutput = (content, count) => {
+    const parsed = parseModelJson(content);
+    const items = Array.isArray(parsed) ? parsed : parsed?.cards;
+    if (!Array.isArray(items)) return { errors: ['Response must be a valid JSON array of {"front", "back"} objects'] };
+
+    const errors = [];
+    if (items.length === 0) errors.push('Return at least one flashcard');
+    if (items.length > count) errors.push(`Expected at most ${count} flashcards but got ${items.length}`);
+
+    const seenFronts = new Set();
+    const cards = items.map((item, index) => {
+        const label = `Card ${index + 1}`;
+        const front = typeof item?.front === 'string' ? item.front.trim() : '';
+        const back = typeof item?.back === 'string' ? item.back.trim() : '';
+        if (!front) errors.push(`${label}: "front" must be a non-empty string`);
+        else if (front.length > FLASHCARD_FRONT_MAX_CHARS) errors.push(`${label}: "front" must be at most ${FLASHCARD_FRONT_MAX_CHARS} characters`);
+        if (!back) errors.push(`${label}: "back" must be a non-empty string`);
+        else if (back.length > FLASHCARD_BACK_MAX_CHARS) errors.push(`${label}: "back" must be at most ${FLASHCARD_BACK_MAX_CHARS} characters`);
+
+        const key = front.toLowerCase();
+        if (front && seenFronts.has(key)) errors.push(`${label}: duplicates an earlier card`);
+        seenFronts.add(key);
+        return { front, back };
+    });
+
+    return errors.length ? { errors } : { cards };
+};
+
+// Asks for the cards; malformed replies are sent back with their validation errors.
+const generateFlashcards = async (sourceText, count) => {
+    const messages = [
+        {
+            role: 'system',
+            content: 'You are a flashcard generator. Turn study material into concise question/answer flashcards. Each front is a single question or term; each back is a short, self-contained answer. Return ONLY a valid JSON array with no markdown or explanation.'
+        },
+        {
+            role: 'user',
+            content: `Generate ${count} flashcards from the following material. Format as JSON array: [{"front": "...", "back": "..."}]. Fronts are at most ${FLASHCARD_FRONT_MAX_CHARS} characters and distinct; backs are at most ${FLASHCARD_BACK_MAX_CHARS} characters.\n\n${sourceText}`
+        }
+    ];
+
+    return callAIWithRepair(messages, (content) => validateFlashcardOutput(content, count), {
+        repairAttempts: FLASHCARD_REPAIR_ATTEMPTS,
+        repairInstruction: `Return the corrected JSON array of at most ${count} flashcards only.`,
+    });
+};
+
+// --- Study plans: generation, progress tracking and calendar export ---
+// Plan dates are calendar dates ("YYYY-MM-DD") in the student's own timezone; session times in
+// the calendar export are floating local times, so they show at the same clock time anywhere.
+
+const STUDY_PLAN_MAX_DAYS = 180;
+const STUDY_PLAN_REPAIR_ATTEMPTS = Math.max(Number(process.env.STUDY_PLAN_REPAIR_ATTEMPTS ?? 2), 0);
+const STUDY_SESSION_ACTIVITIES = ['learn', 'practice', 'review'];
+const STUDY_SESSION_STATUSES = ['pending', 'done', 'skipped'];
+const STUDY_SESSION_BREAK_MINUTES = 10;
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isIsoDate = (value) => typeof value === 'string'
+    && ISO_DATE_PATTERN.test(value)
+    && !Number.isNaN(Date.parse(`${value}T00:00:00Z`))
+    && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+const addDaysToIsoDate = (value, days) => new Date(Date.parse(`${value}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const daysBetweenIsoDates = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+// Same `timezoneOffset` semantics as endOfLocalDay.
+const localIsoDate = (timezoneOffset = 0, now = new Date()) => new Date(now.getTime() - (Number(timezoneOffset) || 0) * 60 * 1000).toISOString().slice(0, 10);
+
+const isStudyDay = (plan, date) => !plan.restDays.includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+
+// Study days run from the start date up to the day before the exam.
+const listStudyDays = (plan) => Array.from({ length: Math.max(daysBetweenIsoDates(plan.startDate, plan.examDate), 0) }, (_, index) => addDaysToIsoDate(plan.startDate, index))
+    .filter((date) => isStudyDay(plan, date));
+
+// Reads a plan request; returns { spec } or { error }.
+const parseStudyPlanRequest = (body) => {
+    const subjects = (Array.isArray(body.subjects) ? body.subjects : [])
+        .map((subject) => (typeof subject === 'string' ? { name: subject, topics: [] } : subject))
+        .map((subject) => ({
+            name: String(subject?.name || '').trim(),
+            topics: [...new Set((Array.isArray(subject?.topics) ? subject.topics : []).map((topic) => String(topic).trim()).filter(Boolean))],
+        }))
+        .filter((subject) => subject.name);
+    if (subjects.length === 0 || subjects.length > 10) {
+        return { error: 'subjects must list 1-10 subjects, each a name or { name, topics }' };
+    }
+    if (subjects.some((subject) => subject.topics.length > 50)) {
+        return { error: 'Each subject can have at most 50 topics' };
+    }
+
+    const timezoneOffset = Number(body.timezoneOffset) || 0;
+    const startDate = body.startDate || localIsoDate(timezoneOffset);
+    const { examDate } = body;
+    if (!isIsoDate(examDate) || !isIsoDate(startDate)) {
+        return { error: 'examDate (and startDate, if given) must be dates in YYYY-MM-DD format' };
+    }
+    const span = daysBetweenIsoDates(startDate, examDate);
+    if (span < 1 || span > STUDY_PLAN_MAX_DAYS) {
+        return { error: `examDate must be 1-${STUDY_PLAN_MAX_DAYS} days after startDate` };
+    }
+
+    const hoursPerDay = Number(body.hoursPerDay);
+    if (!Number.isFinite(hoursPerDay) || hoursPerDay < 0.25 || hoursPerDay > 16) {
+        return { error: 'hoursPerDay must be a number between 0.25 and 16' };
+    }
+
+    const restDays = [...new Set((Array.isArray(body.restDays) ? body.restDays : []).map(Number))];
+    if (!restDays.every((day) => Number.isInteger(day) && day >= 0 && day <= 6) || restDays.length > 6) {
+        return { error: 'restDays must be weekday numbers 0-6 (0 = Sunday), leaving at least one study day' };
+    }
+
+    const dailyStartTime = body.dailyStartTime || '18:00';
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(dailyStartTime)) {
+        return { error: 'dailyStartTime must be in HH:MM format' };
+    }
+
+    const spec = {
+        title: String(body.title || `${subjects.map((subject) => subject.name).join(', ')} exam plan`).slice(0, 200),
+        subjects,
+        startDate,
+        examDate,
+        hoursPerDay,
+        restDays,
+        dailyStartTime,
+        timezoneOffset,
+    };
+    if (listStudyDays(spec).length === 0) {
+        return { error: 'No study days between startDate and examDate once restDays are excluded' };
+    }
+    return { spec };
+};
+
+// Checks the model's day-by-day plan against the request; returns { sessions } or { errors }.
+const validateStudyPlanOutput = (content, spec) => {
+    const parsed = parseModelJson(content);
+    const days = Array.isArray(parsed) ? parsed : parsed?.days;
+    if (!Array.isArray(days)) return { errors: ['Response must be a JSON array of { date, sessions } objects'] };
+
+    const errors = [];
+    const studyDays = new Set(listStudyDays(spec));
+    const minutesPerDay = Math.round(spec.hoursPerDay * 60);
+    const subjectsByName = new Map(spec.subjects.map((subject) => [subject.name.toLowerCase(), subject]));
+    const sessions = [];
+
+    days.forEach((day, dayIndex) => {
+        if (!studyDays.has(day?.date)) {
+            errors.push(`[${dayIndex}].date "${day?.date}" is not one of the study days`);
+            return;
+        }
+        const daySessions = Array.isArray(day.sessions) ? day.sessions : [];
+        let total = 0;
+        daySessions.forEach((session, sessionIndex) => {
+            const at = `[${dayIndex}].sessions[${sessionIndex}]`;
+            const subject = subjectsByName.get(String(session?.subject || '').trim().toLowerCase());
+            const minutes = Number(session?.minutes);
+            const activity = String(session?.activity || 'learn').toLowerCase();
+            const topic = String(session?.topic || '').trim();
+            if (!subject) errors.push(`${at}.subject must be one of ${spec.subjects.map((item) => item.name).join(', ')}`);
+            if (!topic) errors.push(`${at}.topic must be a non-empty string`);
+            if (!Number.isInteger(minutes) || minutes < 10 || minutes > minutesPerDay) errors.push(`${at}.minutes must be a whole number between 10 and ${minutesPerDay}`);
+            if (!STUDY_SESSION_ACTIVITIES.includes(activity)) errors.push(`${at}.activity must be one of ${STUDY_SESSION_ACTIVITIES.join(', ')}`);
+            total += Number.isFinite(minutes) ? minutes : 0;
+            sessions.push({ date: day.date, subject: subject?.name, topic, minutes, activity, notes: session?.notes ? String(session.notes) : '' });
+        });
+        if (total > minutesPerDay) {
+            errors.push(`[${dayIndex}] (${day.date}) has ${total} minutes of sessions; the limit is ${minutesPerDay}`);
+        }
+    });
+
+    const covered = new Set(sessions.map((session) => `${session.subject}\n${session.topic}`.toLowerCase()));
+    const missing = spec.subjects.flatMap((subject) => subject.topics
+        .filter((topic) => !covered.has(`${subject.name}\n${topic}`.toLowerCase()))
+        .map((topic) => `${subject.name}: ${topic}`));
+    if (missing.length) errors.push(`These topics are never scheduled: ${missing.join('; ')}`);
+    if (sessions.length === 0) errors.push('The plan has no sessions');
+
+    if (errors.length) return { errors };
+
+    sessions.sort((a, b) => a.date.localeCompare(b.date));
+    return { sessions };
+};
+
+const generateStudyPlanSessions = async (spec) => {
+    const minutesPerDay = Math.round(spec.hoursPerDay * 60);
+    const details = {
+        subjects: spec.subjects,
+        examDate: spec.examDate,
+        studyDays: listStudyDays(spec),
+        minutesPerDay,
+    };
+    const messages = [
+        {
+            role: 'system',
+            content: 'You are a study planner. Build realistic day-by-day revision schedules that cover every topic, mix subjects, and leave review time before the exam. Return ONLY a valid JSON array with no markdown or explanation.'
+        },
+        {
+            role: 'user',
+            content: `Create a study plan from these details (JSON):\n${JSON.stringify(details)}\nFormat: [{"date": "YYYY-MM-DD", "sessions": [{"subject": "...", "topic": "...", "minutes": 45, "activity": "learn", "notes": "..."}]}]\nRules: only use the listed study days; each day's sessions total at most ${minutesPerDay} minutes; use each topic name exactly as given and schedule every topic at least once; activity is one of ${STUDY_SESSION_ACTIVITIES.join(', ')}; use the final days for review.`
+        }
+    ];
+
+    return callAIWithRepair(messages, (content) => validateStudyPlanOutput(content, spec), {
+        repairAttempts: STUDY_PLAN_REPAIR_ATTEMPTS,
+        repairInstruction: 'Return the corrected JSON array only.',
+    });
+};
+
+const compareStudySessions = (a, b) => a.date.localeCompare(b.date) || a.order - b.order;
+
+// Numbers sessions within each day in their current sequence.
+const orderStudySessions = (sessions) => {
+    const sorted = [...sessions].sort(compareStudySessions);
+    let previousDate = null;
+    let order = 0;
+    for (const session of sorted) {
+        order = session.date === previousDate ? order + 1 : 0;
+        previousDate = session.date;
+        session.order = order;
+    }
+    return sorted;
+};
+
+// Moves every pending session (including overdue ones) onto study days from `fromDate` onward,
+// keeping their sequence and filling each day up to hoursPerDay. Done and skipped sessions stay put
+// and count against their day. A session longer than a day still gets a day to itself.
+const repackStudySessions = (plan, fromDate) => {
+    const minutesPerDay = Math.round(plan.hoursPerDay * 60);
+    const used = new Map();
+    for (const session of plan.sessions) {
+        if (session.status !== 'pending') used.set(session.date, (used.get(session.date) || 0) + session.minutes);
+    }
+
+    let date = fromDate;
+    let moved = 0;
+    for (const session of plan.sessions.filter((item) => item.status === 'pending').sort(compareStudySessions)) {
+        while (!isStudyDay(plan, date) || ((used.get(date) || 0) > 0 && (used.get(date) || 0) + session.minutes > minutesPerDay)) {
+            date = addDaysToIsoDate(date, 1);
+        }
+        if (session.date !== date) {
+            session.rescheduledFrom = session.rescheduledFrom || session.date;
+            session.date = date;
+            session.order = Number.MAX_SAFE_INTEGER;
+            moved += 1;
+        }
+        used.set(date, (used.get(date) || 0) + session.minutes);
+    }
+
+    return { sessions: orderStudySessions(plan.sessions), moved };
+};
+
+const studyPlanProgress = (sessions, today) => {
+    const count = (predicate) => sessions.filter(predicate).length;
+    const minutes = (predicate) => sessions.filter(predicate).reduce((sum, session) => sum + session.minutes, 0);
+    const totalMinutes = minutes(() => true);
+    const doneMinutes = minutes((session) => session.status === 'done');
+    return {
+        totalSessions: sessions.length,
+        done: count((session) => session.status === 'done'),
+        skipped: count((session) => session.status === 'skipped'),
+        pending: count((session) => session.status === 'pending'),
+        overdue: count((session) => session.status === 'pending' && session.date < today),
+        totalMinutes,
+        doneMinutes,
+        percentComplete: totalMinutes ? Math.round((doneMinutes / totalMinutes) * 100) : 0,
+    };
+};
+
+const serializeStudySession = (session) => ({
+    id: session.id,
+    date: session.date,
+    order: session.order,
+    subject: session.subject,
+    topic: session.topic,
+    minutes: session.minutes,
+    activity: session.activity,
+    notes: session.notes,
+    status: session.status,
+    completedAt: session.completedAt || null,
+    rescheduledFrom: session.rescheduledFrom || null,
+});
+
+const serializeStudyPlan = (planDoc, { includeSessions = true } = {}) => {
+    const sessions = [...planDoc.sessions].sort(compareStudySessions);
+    return {
+        id: planDoc._id.toString(),
+        title: planDoc.title,
+        subjects: planDoc.subjects,
+        startDate: planDoc.startDate,
+        examDate: planDoc.examDate,
+        hoursPerDay: planDoc.hoursPerDay,
+        restDays: planDoc.restDays,
+        dailyStartTime: planDoc.dailyStartTime,
+        calendarFeed: Boolean(planDoc.calendarTokenHash),
+        progress: studyPlanProgress(sessions, localIsoDate(planDoc.timezoneOffset)),
+        // Sessions scheduled on or after the exam date after rescheduling no longer fit the plan.
+        sessionsAfterExam: sessions.filter((session) => session.status === 'pending' && session.date >= planDoc.examDate).length,
+        ...(includeSessions ? { sessions: sessions.map(serializeStudySession) } : {}),
+        revision: planDoc.revision,
+        createdAt: planDoc.createdAt,
+        updatedAt: planDoc.updatedAt,
+    };
+};
+
+// iCalendar text values escape backslashes, semicolons, commas and newlines.
+const escapeIcsText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines are folded at 75 octets without splitting a UTF-8 character (RFC 5545 §3.1).
+const foldIcsLine = (line) => {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        if (size + charSize > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const icsUtcTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Floating local time `minutes` after midnight on `date`; may roll over into the next day.
+const icsLocalTime = (date, minutes) => {
+    const day = addDaysToIsoDate(date, Math.floor(minutes / (24 * 60)));
+    const minuteOfDay = minutes % (24 * 60);
+    return `${day.replace(/-/g, '')}T${String(Math.floor(minuteOfDay / 60)).padStart(2, '0')}${String(minuteOfDay % 60).padStart(2, '0')}00`;
+};
+
+// Sessions on a day run back to back from dailyStartTime with a short break between them.
+// Skipped sessions are left out; completed ones are marked with a check mark.
+const renderStudyPlanIcs = (planDoc) => {
+    const stamp = icsUtcTimestamp(planDoc.updatedAt || new Date());
+    const [startHour, startMinute] = planDoc.dailyStartTime.split(':').map(Number);
+    const sessions = [...planDoc.sessions].sort(compareStudySessions).filter((session) => session.status !== 'skipped');
+    const events = [];
+
+    let cursorDate = null;
+    let cursor = 0;
+    for (const session of sessions) {
+        if (session.date !== cursorDate) {
+            cursorDate = session.date;
+            cursor = startHour * 60 + startMinute;
+        }
+        const description = [`Activity: ${session.activity}`, session.notes, session.rescheduledFrom ? `Rescheduled from ${session.rescheduledFrom}` : '']
+            .filter(Boolean)
+            .join('\n');
+        events.push([
+            'BEGIN:VEVENT',
+            `UID:${session.id}@ezstudy`,
+            `DTSTAMP:${stamp}`,
+            `SEQUENCE:${planDoc.revision || 0}`,
+            `DTSTART:${icsLocalTime(session.date, cursor)}`,
+            `DTEND:${icsLocalTime(session.date, cursor + session.minutes)}`,
+            `SUMMARY:${escapeIcsText(`${session.status === 'done' ? '✓ ' : ''}${session.subject}: ${session.topic}`)}`,
+            `DESCRIPTION:${escapeIcsText(description)}`,
+            `CATEGORIES:${escapeIcsText(session.subject)}`,
+            'END:VEVENT',
+        ]);
+        cursor += session.minutes + STUDY_SESSION_BREAK_MINUTES;
+    }
+
+    events.push([
+        'BEGIN:VEVENT',
+        `UID:exam-${planDoc._id.toString()}@ezstudy`,
+        `DTSTAMP:${stamp}`,
+        `SEQUENCE:${planDoc.revision || 0}`,
+        `DTSTART;VALUE=DATE:${planDoc.examDate.replace(/-/g, '')}`,
+        `DTEND;VALUE=DATE:${addDaysToIsoDate(planDoc.examDate, 1).replace(/-/g, '')}`,
+        `SUMMARY:${escapeIcsText(`Exam: ${planDoc.subjects.map((subject) => subject.name).join(', ')}`)}`,
+        'END:VEVENT',
+    ]);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//EzStudy//Study Planner//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(planDoc.title)}`,
+        ...events.flat(),
+        'END:VCALENDAR',
+    ];
+    return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+};
+
+const sendStudyPlanIcs = (res, planDoc) => {
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${slugify(planDoc.title)}.ics"`);
+    res.send(renderStudyPlanIcs(planDoc));
+};
+
+// --- Learning analytics ---
+// Everything is computed by aggregation pipelines over the user's own documents and bucketed by
+// calendar day in the caller's timezone.
+
+const ANALYTICS_MAX_RANGE_DAYS = 366;
+const ANALYTICS_STREAK_LOOKBACK_DAYS = 365;
+const WEAK_TOPIC_THRESHOLD = Number(process.env.WEAK_TOPIC_THRESHOLD || 70);
+const CHAT_MODES = ['tutor', 'summarizer', 'examiner'];
+
+// Mongo takes the UTC offset as "+HH:MM"; `timezoneOffset` uses getTimezoneOffset semantics.
+const mongoTimezone = (timezoneOffset = 0) => {
+    const minutes = -Math.max(Math.min(Math.round(Number(timezoneOffset) || 0), 14 * 60), -14 * 60);
+    const absolute = Math.abs(minutes);
+    return `${minutes < 0 ? '-' : '+'}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+};
+
+// The UTC instant at which a local calendar day starts.
+const startOfLocalDate = (date, timezoneOffset = 0) => new Date(Date.parse(`${date}T00:00:00Z`) + (Number(timezoneOffset) || 0) * 60 * 1000);
+
+// `from`/`to` are inclusive local dates; the default range is the last 30 days.
+const parseAnalyticsRange = (query) => {
+    const timezoneOffset = Number(query.timezoneOffset) || 0;
+    const today = localIsoDate(timezoneOffset);
+    const to = query.to || today;
+    const from = query.from || (isIsoDate(to) ? addDaysToIsoDate(to, -29) : to);
+    if (!isIsoDate(from) || !isIsoDate(to)) {
+        return { error: 'from and to must be dates in YYYY-MM-DD format' };
+    }
+    const days = daysBetweenIsoDates(from, to) + 1;
+    if (days < 1 || days > ANALYTICS_MAX_RANGE_DAYS) {
+        return { error: `from must be on or before to, covering at most ${ANALYTICS_MAX_RANGE_DAYS} days` };
+    }
+    return {
+        range: {
+            from,
+            to,
+            today,
+            days,
+            timezoneOffset,
+            timezone: mongoTimezone(timezoneOffset),
+            start: startOfLocalDate(from, timezoneOffset),
+            end: startOfLocalDate(addDaysToIsoDate(to, 1), timezoneOffset),
+        },
+    };
+};
+
+const localDayExpression = (field, timezone) => ({ $dateToString: { format: '%Y-%m-%d', date: field, timezone } });
+
+const countKind = (kind) => ({ $sum: { $cond: [{ $eq: ['$kind', kind] }, 1, 0] } });
+
+// One row per active day: user chat messages (and distinct chats), quiz attempts, flashcard reviews
+// and completed study-plan sessions, merged with $unionWith.
+const dailyActivityPipeline = (userId, start, end, timezone) => {
+    const window = { $gte: start, $lt: end };
+    return [
+        { $match: { userId, updatedAt: { $gte: start } } },
+        { $unwind: '$messages' },
+        { $match: { 'messages.sender': 'user' } },
+        {
+            $project: {
+                _id: 0,
+                chatId: 1,
+                kind: { $literal: 'message' },
+                // Older chats may hold timestamps as strings.
+                at: { $convert: { input: '$messages.timestamp', to: 'date', onError: null, onNull: null } },
+            },
+        },
+        { $match: { at: window } },
+        {
+            $unionWith: {
+                coll: quizAttemptsCollection.collectionName,
+                pipeline: [
+                    { $match: { userId, submittedAt: window } },
+                    { $project: { _id: 0, kind: { $literal: 'quiz' }, at: '$submittedAt' } },
+                ],
+            },
+        },
+        {
+            $unionWith: {
+                coll: flashcardsCollection.collectionName,
+                pipeline: [
+                    { $match: { userId, lastReviewedAt: { $gte: start } } },
+                    { $unwind: '$reviews' },
+                    { $match: { 'reviews.reviewedAt': window } },
+                    { $project: { _id: 0, kind: { $literal: 'flashcard' }, at: '$reviews.reviewedAt' } },
+                ],
+            },
+        },
+        {
+            $unionWith: {
+                coll: studyPlansCollection.collectionName,
+                pipeline: [
+                    { $match: { userId, updatedAt: { $gte: start } } },
+                    { $unwind: '$sessions' },
+                    { $match: { 'sessions.status': 'done', 'sessions.completedAt': window } },
+                    { $project: { _id: 0, kind: { $literal: 'studySession' }, at: '$sessions.completedAt' } },
+                ],
+            },
+        },
+        {
+            $group: {
+                _id: localDayExpression('$at', timezone),
+                messages: countKind('message'),
+                chats: { $addToSet: '$chatId' },
+                quizAttempts: countKind('quiz'),
+                flashcardReviews: countKind('flashcard'),
+                studySessions: countKind('studySession'),
+            },
+        },
+        {
+            $project: {
+                _id: 0,
+                date: '$_id',
+                messages: 1,
+                chatSessions: { $size: { $setDifference: ['$chats', [null]] } },
+                quizAttempts: 1,
+                flashcardReviews: 1,
+                studySessions: 1,
+            },
+        },
+        { $sort: { date: 1 } },
+    ];
+};
+
+// Topics come from chat titles and quiz topics, merged case-insensitively.
+const topicsCoveredPipeline = (userId, start, end) => {
+    const window = { $gte: start, $lt: end };
+    return [
+        { $match: { userId, updatedAt: window, title: { $nin: [null, '', 'New Study Session'] } } },
+        { $project: { _id: 0, topic: '$title', source: { $literal: 'chat' }, at: '$updatedAt' } },
+        {
+            $unionWith: {
+                coll: quizzesCollection.collectionName,
+                pipeline: [
+                    { $match: { userId, createdAt: window } },
+                    { $project: { _id: 0, topic: '$topic', source: { $literal: 'quiz' }, at: '$createdAt' } },
+                ],
+            },
+        },
+        { $match: { topic: { $type: 'string' } } },
+        {
+            $group: {
+                _id: { $toLower: { $trim: { input: '$topic' } } },
+                topic: { $first: { $trim: { input: '$topic' } } },
+                chats: { $sum: { $cond: [{ $eq: ['$source', 'chat'] }, 1, 0] } },
+                quizzes: { $sum: { $cond: [{ $eq: ['$source', 'quiz'] }, 1, 0] } },
+                lastStudiedAt: { $max: '$at' },
+            },
+        },
+        { $match: { _id: { $ne: '' } } },
+        { $sort: { lastStudiedAt: -1 } },
+        { $limit: 50 },
+        { $project: { _id: 0 } },
+    ];
+};
+
+// Per-topic score history in submission order; `recentAverage` covers the last three attempts.
+const quizTrendsPipeline = (userId, start, end, timezone) => [
+    { $match: { userId, submittedAt: { $gte: start, $lt: end } } },
+    { $sort: { submittedAt: 1 } },
+    {
+        $group: {
+            _id: { $toLower: { $trim: { input: { $ifNull: ['$topic', 'Untitled'] } } } },
+            topic: { $last: { $ifNull: ['$topic', 'Untitled'] } },
+            attempts: { $sum: 1 },
+            averagePercentage: { $avg: '$percentage' },
+            bestPercentage: { $max: '$percentage' },
+            scores: { $push: { date: localDayExpression('$submittedAt', timezone), quizId: '$quizId', percentage: '$percentage' } },
+        },
+    },
+    {
+        $project: {
+            _id: 0,
+            topic: 1,
+            attempts: 1,
+            averagePercentage: { $round: ['$averagePercentage', 1] },
+            bestPercentage: 1,
+            firstPercentage: { $first: '$scores.percentage' },
+            lastPercentage: { $last: '$scores.percentage' },
+            recentAverage: { $round: [{ $avg: { $slice: ['$scores.percentage', -3] } }, 1] },
+            scores: { $slice: ['$scores', -20] },
+        },
+    },
+    { $addFields: { change: { $subtract: ['$lastPercentage', '$firstPercentage'] } } },
+    { $sort: { attempts: -1, topic: 1 } },
+];
+
+const modeUsagePipeline = (userId, start, end) => [
+    { $match: { userId, route: '/api/chat', createdAt: { $gte: start, $lt: end }, mode: { $in: CHAT_MODES } } },
+    { $group: { _id: '$mode', requests: { $sum: 1 }, totalTokens: { $sum: { $ifNull: ['$totalTokens', 0] } } } },
+];
+
+// `current` counts back from today, or from yesterday when nothing has been done yet today.
+const computeStudyStreaks = (activeDays, { from, to, today }) => {
+    let current = 0;
+    let day = activeDays.has(today) ? today : addDaysToIsoDate(today, -1);
+    while (activeDays.has(day) && current < ANALYTICS_STREAK_LOOKBACK_DAYS) {
+        current += 1;
+        day = addDaysToIsoDate(day, -1);
+    }
+
+    let longest = 0;
+    let run = 0;
+    for (day = from; day <= to; day = addDaysToIsoDate(day, 1)) {
+        run = activeDays.has(day) ? run + 1 : 0;
+        longest = Math.max(longest, run);
+    }
+
+    return { current, longestInRange: longest, lastActiveDate: [...activeDays].sort().pop() || null };
+};
+
+const buildLearningAnalytics = async (userId, range) => {
+    // Activity is read back far enough to measure the current streak even when the range is older.
+    const streakStart = startOfLocalDate(addDaysToIsoDate(range.today, -ANALYTICS_STREAK_LOOKBACK_DAYS), range.timezoneOffset);
+    const activityStart = new Date(Math.min(range.start.getTime(), streakStart.getTime()));
+    const activityEnd = new Date(Math.max(range.end.getTime(), startOfLocalDate(addDaysToIsoDate(range.today, 1), range.timezoneOffset).getTime()));
+
+    const [activity, topics, quizTrends, modes] = await Promise.all([
+        chatsCollection.aggregate(dailyActivityPipeline(userId, activityStart, activityEnd, range.timezone)).toArray(),
+        chatsCollection.aggregate(topicsCoveredPipeline(userId, range.start, range.end)).toArray(),
+        quizAttemptsCollection.aggregate(quizTrendsPipeline(userId, range.start, range.end, range.timezone)).toArray(),
+        aiUsageCollection.aggregate(modeUsagePipeline(userId, range.start, range.end)).toArray(),
+    ]);
+
+    const activeDays = new Set(activity.map((entry) => entry.date));
+    const activityByDate = new Map(activity.map((entry) => [entry.date, entry]));
+    const perDay = Array.from({ length: range.days }, (_, index) => {
+        const date = addDaysToIsoDate(range.from, index);
+        return activityByDate.get(date) || { date, messages: 0, chatSessions: 0, quizAttempts: 0, flashcardReviews: 0, studySessions: 0 };
+    });
+    const totals = perDay.reduce((sum, entry) => ({
+        activeDays: sum.activeDays + (activeDays.has(entry.date) ? 1 : 0),
+        messages: sum.messages + entry.messages,
+        chatSessions: sum.chatSessions + entry.chatSessions,
+        quizAttempts: sum.quizAttempts + entry.quizAttempts,
+        flashcardReviews: sum.flashcardReviews + entry.flashcardReviews,
+        studySessions: sum.studySessions + entry.studySessions,
+    }), { activeDays: 0, messages: 0, chatSessions: 0, quizAttempts: 0, flashcardReviews: 0, studySessions: 0 });
+
+    const totalModeRequests = modes.reduce((sum, entry) => sum + entry.requests, 0);
+    const modeUsage = CHAT_MODES.map((mode) => {
+        const entry = modes.find((item) => item._id === mode);
+        return {
+            mode,
+            requests: entry?.requests || 0,
+            totalTokens: entry?.totalTokens || 0,
+            share: totalModeRequests ? Math.round(((entry?.requests || 0) / totalModeRequests) * 100) : 0,
+        };
+    });
+
+    const weakestTopics = quizTrends
+        .filter((trend) => trend.recentAverage < WEAK_TOPIC_THRESHOLD)
+        .sort((a, b) => a.recentAverage - b.recentAverage || b.attempts - a.attempts)
+        .slice(0, 5)
+        .map(({ topic, attempts, recentAverage, change }) => ({ topic, attempts, recentAverage, change }));
+
+    return {
+        streaks: computeStudyStreaks(activeDays, range),
+        totals,
+        perDay,
+        topicsCovered: topics,
+        quizTrends,
+        weakestTopics,
+        modeUsage,
+    };
+};
+
+// --- Account data: profile, export and deletion ---
+// Deleting an account signs it out everywhere and schedules a purge after a grace period; signing
+// back in and calling the restore endpoint cancels it. The purge job removes everything stored under
+// the user, including their Cloudinary profile image.
+
+const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS || 14);
+const ACCOUNT_PURGE_INTERVAL_MINUTES = Number(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES || 60);
+const PROFILE_NAME_MAX_LENGTH = 80;
+
+// Takes a Cloudinary public_id recorded on the user document by /api/upload-profile-image, never one
+// derived from a URL, so only images the user uploaded themselves are ever deleted.
+const destroyProfileImage = async (publicId, uploader = cloudinary.uploader) => {
+    if (!publicId) return;
+    const result = await uploader.destroy(publicId, { invalidate: true });
+    if (result?.result !== 'ok' && result?.result !== 'not found') {
+        throw new Error(`Cloudinary could not delete ${publicId}: ${result?.result || 'unknown error'}`);
+    }
+};
+
+// The profile may only point at the caller's latest upload, so it can never show (and on replacement
+// or account deletion destroy) an image that belongs to someone else. Returns { $set, $unset } or { error }.
+const profileImageUpdate = (userDoc, profileImage) => {
+    if (profileImage === undefined || profileImage === userDoc.profileImage) return { $set: {}, $unset: {} };
+    if (profileImage === null) return { $set: { profileImage: null, profileImagePublicId: null }, $unset: {} };
+    if (!userDoc.pendingProfileImage || profileImage !== userDoc.pendingProfileImage.url) {
+        return { error: 'profileImage must be the URL returned by /api/upload-profile-image, or null' };
+    }
+    return {
+        $set: { profileImage, profileImagePublicId: userDoc.pendingProfileImage.publicId },
+        $unset: { pendingProfileImage: '' },
+    };
+};
+
+const omitFields = (doc, fields) => Object.fromEntries(Object.entries(doc).filter(([key]) => !fields.includes(key)));
+
+// Everything stored for the user, with secrets (password digests, token hashes) and
+// derived index data (BM25 term counts) left out.
+const collectUserData = async (userDoc) => {
+    const userId = userDoc._id.toString();
+    const [chats, chatShares, documents, chunks, quizzes, quizAttempts, flashcardDecks, flashcards, studyPlans, classrooms, aiUsage] = await Promise.all([
+        chatsCollection.find({ userId }).sort({ createdAt: 1 }).toArray(),
+        chatSharesCollection.find({ userId }, { projection: { messages: 0 } }).sort({ createdAt: 1 }).toArray(),
+        documentsCollection.find({ userId }).sort({ createdAt: 1 }).toArray(),
+        documentChunksCollection.find({ userId }, { projection: { terms: 0, length: 0 } }).sort({ documentId: 1, index: 1 }).toArray(),
+        quizzesCollection.find({ userId }).sort({ createdAt: 1 }).toArray(),
+        quizAttemptsCollection.find({ userId }).sort({ submittedAt: 1 }).toArray(),
+        flashcardDecksCollection.find({ userId }).sort({ createdAt: 1 }).toArray(),
+        flashcardsCollection.find({ userId }).sort({ createdAt: 1 }).toArray(),
+        studyPlansCollection.find({ userId }).sort({ createdAt: 1 }).toArray(),
+        classroomsCollection.find(
+            { $or: [{ teacherId: userId }, { 'students.userId': userId }] },
+            { projection: { name: 1, description: 1, teacherId: 1, createdAt: 1 } }
+        ).toArray(),
+        aiUsageCollection.find({ userId }, { projection: { subject: 0, ip: 0 } }).sort({ createdAt: 1 }).toArray(),
+    ]);
+
+    const chunksByDocument = new Map();
+    for (const chunk of chunks) {
+        if (!chunksByDocument.has(chunk.documentId)) chunksByDocument.set(chunk.documentId, []);
+        chunksByDocument.get(chunk.documentId).push({ index: chunk.index, page: chunk.page, text: chunk.text });
+    }
+
+    return {
+        exportedAt: new Date(),
+        user: omitFields(userDoc, ['passwordDigest', 'passwordHash']),
+        chats,
+        chatShares,
+        // Document text is kept as the indexed chunks, which overlap slightly at their edges.
+        documents: documents.map((documentDoc) => ({ ...documentDoc, chunks: chunksByDocument.get(documentDoc._id.toString()) || [] })),
+        quizzes,
+        quizAttempts,
+        flashcardDecks,
+        flashcards,
+        studyPlans: studyPlans.map((planDoc) => omitFields(planDoc, ['calendarTokenHash'])),
+        classrooms: classrooms.map((classroom) => ({ ...classroom, role: classroom.teacherId === userId ? 'teacher' : 'student' })),
+        aiUsage,
+    };
+};
+
+// One JSON file per kind of data, plus a readable transcript per chat.
+const renderUserDataZip = (data) => {
+    const zip = new AdmZip();
+    const addJson = (name, value) => zip.addFile(name, Buffer.from(JSON.stringify(value, null, 2), 'utf-8'));
+
+    addJson('user.json', { exportedAt: data.exportedAt, ...data.user });
+    for (const [name, value] of Object.entries(data)) {
+        if (name === 'user' || name === 'exportedAt') continue;
+        addJson(`${slugify(name.replace(/[A-Z]/g, (letter) => `-${letter}`))}.json`, value);
+    }
+    for (const chatDoc of data.chats) {
+        const title = chatDoc.title || 'New Study Session';
+        zip.addFile(`chats/${slugify(`${chatDoc.chatId}-${title}`)}.md`, Buffer.from(`# ${title}\n\n${chatTranscript(chatDoc)}\n`, 'utf-8'));
+    }
+    return zip.toBuffer();
+};
+
+// Removes every record of the user. Safe to re-run if an earlier purge stopped part-way.
+const purgeUserData = async (userDoc) => {
+    const userId = userDoc._id.toString();
+    await destroyProfileImage(userDoc.profileImagePublicId);
+    await destroyProfileImage(userDoc.pendingProfileImage?.publicId);
+    await Promise.all([
+        chatsCollection.deleteMany({ userId }),
+        sessionsCollection.deleteMany({ userId }),
+        documentsCollection.deleteMany({ userId }),
+        documentChunksCollection.deleteMany({ userId }),
+        quizzesCollection.deleteMany({ userId }),
+        quizAttemptsCollection.deleteMany({ userId }),
+        flashcardDecksCollection.deleteMany({ userId }),
+        flashcardsCollection.deleteMany({ userId }),
+        studyPlansCollection.deleteMany({ userId }),
+        aiUsageCollection.deleteMany({ userId }),
+        aiUsageCountersCollection.deleteMany({ subject: `user:${userId}` }),
+        authTokensCollection.deleteMany({ userId }),
+        chatSharesCollection.deleteMany({ userId }),
+        classAssignmentsCollection.deleteMany({ teacherId: userId }),
+        classroomsCollection.deleteMany({ teacherId: userId }),
+        classroomsCollection.updateMany({ 'students.userId': userId }, { $pull: { students: { userId } } }),
+        moderationEventsCollection.deleteMany({ userId }),
+    ]);
+    await usersCollection.deleteOne({ _id: userDoc._id });
+};
+
+// Claims one due account at a time so several server instances never purge the same user twice;
+// a claim older than an hour is assumed to belong to a crashed run and is retried.
+const purgeDeletedAccounts = async () => {
+    if (!usersCollection) return 0;
+    let purged = 0;
+    for (;;) {
+        const now = new Date();
+        const userDoc = await usersCollection.findOneAndUpdate(
+            {
+                'deletion.purgeAfter': { $lte: now },
+                $or: [{ 'deletion.purgeStartedAt': null }, { 'deletion.purgeStartedAt': { $lt: new Date(now.getTime() - 60 * 60 * 1000) } }],
+            },
+            { $set: { 'deletion.purgeStartedAt': now } },
+            { returnDocument: 'after' }
+        );
+        if (!userDoc) return purged;
+
+        try {
+            await purgeUserData(userDoc);
+            purged += 1;
+            logger.info('Purged deleted account', { purgedUserId: userDoc._id.toString() });
+        } catch (error) {
+            logger.error('Account purge failed', error, { purgedUserId: userDoc._id.toString() });
+            return purged;
+        }
+    }
+};
+
+mongoReadyPromise.then((ready) => {
+    if (!ready) return;
+    const runPurge = () => purgeDeletedAccounts().catch((error) => logger.error('Account purge error:', error));
+    runPurge();
+    setInterval(runPurge, ACCOUNT_PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+});
+
+// --- Shared chat links ---
+// A share is a frozen copy of the chat's messages at the moment the link was made, reachable by an
+// unguessable slug. Only sender, text and time are copied: no device context, attachments or
+// anything from the owner's profile.
+
+const SHARE_MAX_EXPIRY_DAYS = 365;
+
+const snapshotChatMessages = (chatDoc) => (Array.isArray(chatDoc.messages) ? chatDoc.messages : [])
+    .filter((message) => message?.text)
+    .map((message) => ({
+        sender: message.sender === 'user' ? 'user' : 'ai',
+        text: String(message.text),
+        timestamp: message.timestamp ? new Date(message.timestamp) : null,
+    }));
+
+const isShareActive = (shareDoc, now = new Date()) => Boolean(shareDoc) && (!shareDoc.expiresAt || shareDoc.expiresAt > now);
+
+const serializeChatShare = (shareDoc, req) => ({
+    id: shareDoc.slug,
+    chatId: shareDoc.chatId,
+    title: shareDoc.title,
+    messageCount: shareDoc.messages.length,
+    url: `${APP_BASE_URL}/shared/${shareDoc.slug}`,
+    apiUrl: `${req.protocol}://${req.get('host')}/api/shared/${shareDoc.slug}`,
+    viewCount: shareDoc.viewCount || 0,
+    createdAt: shareDoc.createdAt,
+    expiresAt: shareDoc.expiresAt || null,
+});
+
+// --- Classrooms: roles, join codes and assigned quizzes ---
+// Users are students unless given the teacher role. A teacher owns classrooms that students join
+// with a code, and publishes their stored quizzes to them as assignments. An assignment keeps its
+// own copy of the questions, so later edits or deletion of the quiz do not change it. Submissions
+// are stored as quiz attempts tagged with the classroom and assignment.
+
+const USER_ROLES = ['student', 'teacher'];
+const ALLOW_TEACHER_SIGNUP = process.env.ALLOW_TEACHER_SIGNUP === 'true';
+// No 0/O or 1/I/L, so codes survive being read out in class.
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 7;
+const CLASSROOM_MAX_STUDENTS = Number(process.env.CLASSROOM_MAX_STUDENTS || 200);
+
+const userRole = (userDoc) => (USER_ROLES.includes(userDoc?.role) ? userDoc.role : 'student');
+
+const generateJoinCode = () => Array.from(crypto.randomBytes(JOIN_CODE_LENGTH), (byte) => JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length]).join('');
+
+const normalizeJoinCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Retries on the rare clash with an existing code (unique index).
+const withFreshJoinCode = async (write) => {
+    for (let attempt = 0; ; attempt += 1) {
+        const joinCode = generateJoinCode();
+        try {
+            await write(joinCode);
+            return joinCode;
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= 4) throw error;
+        }
+    }
+};
+
+// Must run after requireAuth.
+const requireTeacher = async (req, res, next) => {
+    try {
+        const user = await usersCollection.findOne({ _id: parseObjectId(req.auth?.userId) }, { projection: { role: 1 } });
+        if (userRole(user) !== 'teacher') {
+            return res.status(403).json({ error: 'Teacher access required' });
+        }
+        next();
+    } catch (error) {
+        logger.error('Teacher check error:', error);
+        res.status(500).json({ error: 'Authorization failed' });
+    }
+};
+
+// Must run after requireAuth on routes with a :classroomId param. Sets req.classroom and
+// req.classroomRole. Non-members get 404 so classroom ids reveal nothing.
+const requireClassroomMember = ({ teacherOnly = false } = {}) => async (req, res, next) => {
+    try {
+        const classroomObjectId = parseObjectId(req.params.classroomId);
+        const classroom = classroomObjectId ? await classroomsCollection.findOne({ _id: classroomObjectId }) : null;
+        const role = classroom?.teacherId === req.auth.userId
+            ? 'teacher'
+            : (classroom?.students || []).some((student) => student.userId === req.auth.userId) ? 'student' : null;
+        if (!role) {
+            return res.status(404).json({ error: 'Classroom not found' });
+        }
+        if (teacherOnly && role !== 'teacher') {
+            return res.status(403).json({ error: 'Only the classroom teacher can do this' });
+        }
+        req.classroom = classroom;
+        req.classroomRole = role;
+        next();
+    } catch (error) {
+        logger.error('Classroom access error:', error);
+        res.status(500).json({ error: 'Authorization failed' });
+    }
+};
+
+const serializeClassroom = (classroomDoc, role, { teacherName } = {}) => ({
+    id: classroomDoc._id.toString(),
+    name: classroomDoc.name,
+    description: classroomDoc.description || '',
+    role,
+    teacher: { id: classroomDoc.teacherId, name: teacherName || null },
+    studentCount: (classroomDoc.students || []).length,
+    ...(role === 'teacher' ? { joinCode: classroomDoc.joinCode } : {}),
+    createdAt: classroomDoc.createdAt,
+});
+
+const isAssignmentClosed = (assignmentDoc, now = new Date()) => Boolean(assignmentDoc.dueAt) && now > assignmentDoc.dueAt;
+
+const serializeAssignment = (assignmentDoc, { includeQuestions = false, includeAnswers = false } = {}) => ({
+    id: assignmentDoc._id.toString(),
+    classroomId: assignmentDoc.classroomId,
+    quizId: assignmentDoc.quizId,
+    title: assignmentDoc.title,
+    topic: assignmentDoc.topic,
+    questionCount: assignmentDoc.questionCount ?? assignmentDoc.questions.length,
+    dueAt: assignmentDoc.dueAt,
+    allowLate: assignmentDoc.allowLate,
+    maxAttempts: assignmentDoc.maxAttempts,
+    publishedAt: assignmentDoc.publishedAt,
+    ...(includeQuestions ? { questions: serializeQuiz(assignmentDoc, { includeAnswers }).questions } : {}),
+});
+
+// One row per enrolled student: their attempts at the assignment, best and latest score, and a
+// status of submitted, late, missing (past due) or pending.
+const buildAssignmentResults = async (classroomDoc, assignmentDoc) => {
+    const studentIds = (classroomDoc.students || []).map((student) => student.userId);
+    const [attempts, users] = await Promise.all([
+        quizAttemptsCollection.aggregate([
+            { $match: { assignmentId: assignmentDoc._id.toString(), userId: { $in: studentIds } } },
+            { $sort: { submittedAt: 1 } },
+            {
+                $group: {
+                    _id: '$userId',
+                    attempts: { $sum: 1 },
+                    bestScore: { $max: '$score' },
+                    bestPercentage: { $max: '$percentage' },
+                    lastPercentage: { $last: '$percentage' },
+                    firstSubmittedAt: { $first: '$submittedAt' },
+                    lastSubmittedAt: { $last: '$submittedAt' },
+                    late: { $first: '$late' },
+                },
+            },
+        ]).toArray(),
+        usersCollection.find(
+            { _id: { $in: studentIds.map(parseObjectId).filter(Boolean) } },
+            { projection: { name: 1, emailLower: 1 } }
+        ).toArray(),
+    ]);
+
+    const attemptsByUser = new Map(attempts.map((entry) => [entry._id, entry]));
+    const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+    const closed = isAssignmentClosed(assignmentDoc);
+
+    return studentIds.map((userId) => {
+        const entry = attemptsByUser.get(userId);
+        const user = usersById.get(userId);
+        let status = closed ? 'missing' : 'pending';
+        if (entry) status = entry.late ? 'late' : 'submitted';
+        return {
+            studentId: userId,
+            name: user?.name || '',
+            email: user?.emailLower || '',
+            status,
+            attempts: entry?.attempts || 0,
+            bestScore: entry?.bestScore ?? null,
+            total: assignmentDoc.questions.length,
+            bestPercentage: entry?.bestPercentage ?? null,
+            lastPercentage: entry?.lastPercentage ?? null,
+            firstSubmittedAt: entry?.firstSubmittedAt || null,
+            lastSubmittedAt: entry?.lastSubmittedAt || null,
+        };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Spreadsheet apps run cells starting with these characters as formulas.
+const spreadsheetSafe = (value) => (/^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+const renderAssignmentResultsCsv = (results) => {
+    const header = ['Student', 'Email', 'Status', 'Attempts', 'Best score', 'Out of', 'Best %', 'Last %', 'First submitted', 'Last submitted'];
+    const rows = results.map((row) => [
+        row.name,
+        row.email,
+        row.status,
+        row.attempts,
+        row.bestScore ?? '',
+        row.total,
+        row.bestPercentage ?? '',
+        row.lastPercentage ?? '',
+        row.firstSubmittedAt ? row.firstSubmittedAt.toISOString() : '',
+        row.lastSubmittedAt ? row.lastSubmittedAt.toISOString() : '',
+    ]);
+    return `${[header, ...rows].map((row) => row.map((field) => delimitedField(spreadsheetSafe(String(field)), ',')).join(',')).join('\r\n')}\r\n`;
+};
+
+// Health check endpoint
+app.get('/', (req, res) => {
+    res.send('EzStudy Backend is running! Access API at /api/health');
+});
+
+app.get('/api/health', (req, res) => {
+    res.json({
+        status: 'ok',
+        message: 'EzStudy Backend is running!',
+        mongodb: usersCollection && chatsCollection ? 'connected' : 'not-connected',
+        ai: {
+            geminiConfigured: Boolean(aiProviders.get('gemini')?.isConfigured()),
+            groqConfigured: Boolean(aiProviders.get('groq')?.isConfigured()),
+            providers: [...aiProviders.values()].map((provider) => ({
+                name: provider.name,
+                type: provider.type,
+                models: provider.models,
+                vision: provider.supportsImages,
+                configured: provider.isConfigured(),
+                breaker: provider.breaker.describe(),
+                latency: provider.latency.describe(),
+            })),
+        },
+        cache: describeAICache(),
+        mail: { transport: mailer.transport },
+    });
+});
+
+// Prometheus scrape endpoint. Set METRICS_TOKEN to require `Authorization: Bearer <token>`.
+app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN) {
+        const token = readBearerToken(req);
+        if (!token || !safeEqualStrings(token, METRICS_TOKEN)) {
+            return res.status(401).json({ error: 'Metrics token required' });
+        }
+    }
+
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+});
+
+app.post('/api/auth/signup', async (req, res) => {
+    try {
+        if (!await ensureMongoReady(res)) return;
+
+        const { name, email, role = 'student' } = req.body || {};
+        const { password, error: passwordError } = readPassword(req.body);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+        const normalizedEmail = normalizeEmail(email);
+
+        if (!normalizedEmail || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+        if (!USER_ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of ${USER_ROLES.join(', ')}` });
+        }
+        if (role === 'teacher' && !ALLOW_TEACHER_SIGNUP) {
+            return res.status(403).json({ error: 'Teacher accounts are set up by an administrator' });
+        }
+
+        const existingUser = await findUserByEmail(normalizedEmail);
+        if (existingUser) {
+            return res.status(409).json({ error: 'User already exists with this email' });
+        }
+
+        const now = new Date();
+        const userDoc = {
+            name: name?.trim() || normalizedEmail.split('@')[0] || 'User',
+            email: normalizedEmail,
+            emailLower: normalizedEmail,
+            passwordDigest: await hashPassword(password),
+            authMethods: ['local'],
+            provider: 'local',
+            role,
+            profileImage: null,
+            emailVerified: false,
+            createdAt: now,
+            updatedAt: now,
+            lastLoginAt: now,
+            signInCount: 1,
+            activeChatId: null,
+        };
+
+        const result = await usersCollection.insertOne(userDoc);
+        const savedUser = await usersCollection.findOne({ _id: result.insertedId });
+        const session = await createSession(savedUser, req);
+
+        // A mail outage should not fail the sign-up; the user can ask for a new link.
+        sendAuthEmail(savedUser, 'verify-email').catch((error) => logger.error('Verification email error:', error));
+
+        return res.status(201).json({ user: serializeUser(savedUser), session });
+    } catch (error) {
+        logger.error('Signup error:', error);
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'User already exists with this email' });
+        }
+        res.status(500).json({ error: error.message || 'Signup failed' });
+    }
+});
+
+app.post('/api/auth/signin', async (req, res) => {
+    try {
+        if (!await ensureMongoReady(res)) return;
+
+        const { email } = req.body || {};
+        const { password, error: passwordError } = readPassword(req.body, 'password', { allowLegacyField: true });
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+        const normalizedEmail = normalizeEmail(email);
+
+        if (!normalizedEmail || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+
+        const user = await findUserByEmail(normalizedEmail);
+        const { valid, needsUpgrade } = await checkUserPassword(user, password);
+        if (!user || !valid) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        // Checked after the password so the response does not reveal which emails have accounts.
+        if (!user.emailVerified && REQUIRE_EMAIL_VERIFICATION) {
+            return res.status(403).json({ error: 'Please verify your email address before signing in', code: 'email_not_verified' });
+        }
+
+        const now = new Date();
+        const update = {
+            $set: {
+                lastLoginAt: now,
+                updatedAt: now,
+            },
+            $addToSet: { authMethods: 'local' },
+            $inc: { signInCount: 1 },
+        };
+
+        // Transparently move legacy accounts onto a server-side scrypt digest.
+        if (needsUpgrade) {
+            update.$set.passwordDigest = await hashPassword(password);
+            update.$set.passwordUpgradedAt = now;
+            update.$unset = { passwordHash: '' };
+        }
+
+        await usersCollection.updateOne({ _id: user._id }, update);
+
+        const refreshedUser = await usersCollection.findOne({ _id: user._id });
+        const session = await createSession(refreshedUser, req);
+        return res.json({ user: serializeUser(refreshedUser), session });
+    } catch (error) {
+        logger.error('Signin error:', error);
+        res.status(500).json({ error: error.message || 'Signin failed' });
+    }
+});
+
+// Only a Google ID token that verifies against GOOGLE_CLIENT_ID identifies the user; profile data
+// sent by the client is never trusted. Returns { payload } or { status, error }.
+const verifyGoogleCredential = async (credential, client = googleAuthClient) => {
+    if (!client || !GOOGLE_CLIENT_ID) {
+        return { status: 500, error: 'Google auth is not configured on backend. Set GOOGLE_CLIENT_ID in Render env.' };
+    }
+    if (typeof credential !== 'string' || !credential.trim()) {
+        return { status: 400, error: 'Google credential is required' };
+    }
+
+    let payload;
+    try {
+        const ticket = await client.verifyIdToken({ idToken: credential, audience: GOOGLE_CLIENT_ID });
+        payload = ticket.getPayload();
+    } catch (error) {
+        return { status: 401, error: 'Invalid Google credential' };
+    }
+
+    if (!payload?.email) {
+        return { status: 400, error: 'Unable to read Google account details' };
+    }
+    if (payload.email_verified !== true) {
+        return { status: 403, error: 'Google account email is not verified' };
+    }
+    return { payload };
+};
+
+app.post('/api/auth/google', async (req, res) => {
+    try {
+        if (!await ensureMongoReady(res)) return;
+
+        const verified = await verifyGoogleCredential(req.body?.credential);
+        if (verified.error) {
+            return res.status(verified.status).json({ error: verified.error });
+        }
+        const { payload } = verified;
+
+        const normalizedEmail = normalizeEmail(payload.email);
+        const now = new Date();
+        const setPayload = {
+            name: payload.name || payload.given_name || normalizedEmail.split('@')[0] || 'Google User',
+            email: normalizedEmail,
+            emailLower: normalizedEmail,
+            googleSub: payload.sub || null,
+            provider: 'google',
+            lastLoginAt: now,
+            updatedAt: now,
+        };
+
+        if (payload.picture) {
+            setPayload.profileImage = payload.picture;
+        }
+
+        // A verified Google ID token means Google has already confirmed the address.
+        setPayload.emailVerified = true;
+
+        const updateDoc = {
+            $set: setPayload,
+            $setOnInsert: {
+                createdAt: now,
+                passwordDigest: null,
+                activeChatId: null,
+            },
+            $addToSet: { authMethods: 'google' },
+            $inc: { signInCount: 1 },
+        };
+
+        const result = await usersCollection.findOneAndUpdate(
+            { emailLower: normalizedEmail },
+            updateDoc,
+            { upsert: true, returnDocument: 'after' }
+        );
+
+        // MongoDB driver versions differ in findOneAndUpdate return shape.
+        // Normalize to always return the actual user document.
+        const updatedUserDoc = result?.value || result || await usersCollection.findOne({ emailLower: normalizedEmail });
+        const session = await createSession(updatedUserDoc, req);
+
+        return res.json({ user: serializeUser(updatedUserDoc), session });
+    } catch (error) {
+        logger.error('Google auth error:', error);
+        res.status(500).json({ error: error.message || 'Google authentication failed' });
+    }
+});
+
+// Exchanges a refresh token for a new access token, rotating the refresh secret.
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        if (!await ensureMongoReady(res)) return;
+
+        const parsed = splitRefreshToken(req.body?.refreshToken);
+        if (!parsed) {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const session = await sessionsCollection.findOne({ _id: parsed.sessionObjectId });
+        if (!isSessionActive(session)) {
+            return res.status(401).json({ error: 'Session has been revoked or expired' });
+        }
+
+        const expectedHash = Buffer.from(session.refreshTokenHash, 'hex');
+        const providedHash = Buffer.from(hashToken(parsed.secret), 'hex');
+        if (!crypto.timingSafeEqual(expectedHash, providedHash)) {
+            // A stale refresh token means it leaked or was replayed; kill the session.
+            await sessionsCollection.updateOne({ _id: session._id }, { $set: { revokedAt: new Date() } });
+            return res.status(401).json({ error: 'Session has been revoked or expired' });
+        }
+
+        const nextSecret = crypto.randomBytes(32).toString('hex');
+        await sessionsCollection.updateOne(
+            { _id: session._id },
+            { $set: { refreshTokenHash: hashToken(nextSecret), lastUsedAt: new Date() } }
+        );
+
+        res.json({ session: buildSessionTokens(session.userId, session._id.toString(), nextSecret, session.expiresAt) });
+    } catch (error) {
+        logger.error('Refresh token error:', error);
+        res.status(500).json({ error: error.message || 'Failed to refresh session' });
+    }
+});
+
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+    try {
+        const { allDevices = false } = req.body || {};
+        const filter = allDevices
+            ? { userId: req.auth.userId, revokedAt: null }
+            : { _id: parseObjectId(req.auth.sessionId) };
+
+        const result = await sessionsCollection.updateMany(filter, { $set: { revokedAt: new Date() } });
+        res.json({ success: true, revokedSessions: result.modifiedCount });
+    } catch (error) {
+        logger.error('Logout error:', error);
+        res.status(500).json({ error: error.message || 'Logout failed' });
+    }
+});
+
+// Confirms the address from the link sent at sign-up (`{ token }`).
+app.post('/api/auth/verify-email', async (req, res) => {
+    try {
+        if (!await ensureMongoReady(res)) return;
+
+        const tokenDoc = await consumeAuthToken(req.body?.token, 'verify-email');
+        if (!tokenDoc) {
+            return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+        }
+
+        const now = new Date();
+        const user = await usersCollection.findOneAndUpdate(
+            { _id: parseObjectId(tokenDoc.userId), emailLower: tokenDoc.email },
+            { $set: { emailVerified: true, emailVerifiedAt: now, updatedAt: now } },
+            { returnDocument: 'after' }
+        );
+        if (!user) {
+            return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+        }
+
+        res.json({ success: true, user: serializeUser(user) });
+    } catch (error) {
+        logger.error('Email verification error:', error);
+        res.status(500).json({ error: error.message || 'Email verification failed' });
+    }
+});
+
+// The email routes below always answer 202 with the same message, so they cannot be used to
+// find out which addresses have accounts.
+const AUTH_EMAIL_ACCEPTED = { success: true, message: 'If an account matches that email, a message is on its way.' };
+
+app.post('/api/auth/verify-email/resend', async (req, res) => {
+    try {
+        if (!await ensureMongoReady(res)) return;
+        if (!takeAuthEmailSlot(req, res)) return;
+
+        const user = await findUserByEmail(req.body?.email);
+        if (user && !user.emailVerified) {
+            await sendAuthEmail(user, 'verify-email');
+        }
+        res.status(202).json(AUTH_EMAIL_ACCEPTED);
+    } catch (error) {
+        logger.error('Resend verification error:', error);
+        res.status(500).json({ error: error.message || 'Failed to send verification email' });
+    }
+});
+
+app.post('/api/auth/password-reset', async (req, res) => {
+    try {
+        if (!await ensureMongoReady(res)) return;
+        if (!takeAuthEmailSlot(req, res)) return;
+
+        const user = await findUserByEmail(req.body?.email);
+        if (user && !user.deletion) {
+            await sendAuthEmail(user, 'reset-password');
+        }
+        res.status(202).json(AUTH_EMAIL_ACCEPTED);
+    } catch (error) {
+        logger.error('Password reset request error:', error);
+        res.status(500).json({ error: error.message || 'Failed to send password reset email' });
+    }
+});
+
+// Sets a new password from a reset link (`{ token, password }`) and signs out every session.
+// Google-only accounts gain a password this way too.
+app.post('/api/auth/password-reset/confirm', async (req, res) => {
+    try {
+        if (!await ensureMongoReady(res)) return;
+
+        const { password, error: passwordError } = readPassword(req.body);
+        if (passwordError || !password) {
+            return res.status(400).json({ error: passwordError || 'New password is required' });
+        }
+
+        const tokenDoc = await consumeAuthToken(req.body?.token, 'reset-password');
+        if (!tokenDoc) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+        }
+
+        const now = new Date();
+        const result = await usersCollection.updateOne(
+            { _id: parseObjectId(tokenDoc.userId), emailLower: tokenDoc.email },
+            {
+                $set: {
+                    passwordDigest: await hashPassword(password),
+                    passwordChangedAt: now,
+                    // Following the emailed link proves the address too.
+                    emailVerified: true,
+                    updatedAt: now,
+                },
+                $unset: { passwordHash: '' },
+                $addToSet: { authMethods: 'local' },
+            }
+        );
+        if (!result.matchedCount) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+        }
+
+        await sessionsCollection.updateMany({ userId: tokenDoc.userId, revokedAt: null }, { $set: { revokedAt: now } });
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Password reset error:', error);
+        res.status(500).json({ error: error.message || 'Password reset failed' });
+    }
+});
+
+app.put('/api/users/:userId/password', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const { password: currentPassword, error: currentPasswordError } = readPassword(req.body, 'currentPassword');
+        const { password: newPassword, error: newPasswordError } = readPassword(req.body, 'newPassword');
+
+        if (currentPasswordError || newPasswordError) {
+            return res.status(400).json({ error: currentPasswordError || newPasswordError });
+        }
+        if (!newPassword) {
+            return res.status(400).json({ error: 'New password is required' });
+        }
+
+        const user = await usersCollection.findOne({ _id: parseObjectId(req.params.userId) });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Google-only accounts have no password yet and may set one without the current password.
+        const hasPassword = Boolean(user.passwordDigest || user.passwordHash);
+        if (hasPassword) {
+            const { valid } = currentPassword ? await checkUserPassword(user, currentPassword) : { valid: false };
+            if (!valid) {
+                return res.status(401).json({ error: 'Current password is incorrect' });
+            }
+        }
+
+        const now = new Date();
+        await usersCollection.updateOne(
+            { _id: user._id },
+            {
+                $set: {
+                    passwordDigest: await hashPassword(newPassword),
+                    passwordChangedAt: now,
+                    updatedAt: now,
+                },
+                $unset: { passwordHash: '' },
+                $addToSet: { authMethods: 'local' },
+            }
+        );
+
+        // Sign out every other device; the session making this request stays valid.
+        await sessionsCollection.updateMany(
+            { userId: req.auth.userId, revokedAt: null, _id: { $ne: parseObjectId(req.auth.sessionId) } },
+            { $set: { revokedAt: now } }
+        );
+
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Password change error:', error);
+        res.status(500).json({ error: error.message || 'Failed to change password' });
+    }
+});
+
+app.get('/api/users/:userId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const user = await usersCollection.findOne({ _id: parseObjectId(req.params.userId) });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ user: serializeUser(user) });
+    } catch (error) {
+        logger.error('Fetch profile error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load profile' });
+    }
+});
+
+// Updates `name` and/or `profileImage` (the URL of the caller's latest /api/upload-profile-image
+// upload, or null to remove it). A replaced uploaded image is deleted.
+app.patch('/api/users/:userId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const { name, profileImage } = req.body || {};
+        const $set = {};
+
+        if (name !== undefined) {
+            const trimmed = typeof name === 'string' ? name.trim() : '';
+            if (!trimmed || trimmed.length > PROFILE_NAME_MAX_LENGTH) {
+                return res.status(400).json({ error: `Name must be 1-${PROFILE_NAME_MAX_LENGTH} characters` });
+            }
+            $set.name = trimmed;
+        }
+        if (name === undefined && profileImage === undefined) {
+            return res.status(400).json({ error: 'Provide a name or profileImage to update' });
+        }
+
+        const userObjectId = parseObjectId(req.params.userId);
+        const user = await usersCollection.findOne({ _id: userObjectId });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const imageUpdate = profileImageUpdate(user, profileImage);
+        if (imageUpdate.error) {
+            return res.status(400).json({ error: imageUpdate.error });
+        }
+        Object.assign($set, imageUpdate.$set);
+        const { $unset } = imageUpdate;
+
+        const previous = await usersCollection.findOneAndUpdate(
+            { _id: userObjectId },
+            { $set: { ...$set, updatedAt: new Date() }, ...(Object.keys($unset).length ? { $unset } : {}) },
+            { returnDocument: 'before' }
+        );
+        if (!previous) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if ('profileImagePublicId' in $set && previous.profileImagePublicId && previous.profileImagePublicId !== $set.profileImagePublicId) {
+            destroyProfileImage(previous.profileImagePublicId).catch((error) => logger.error('Failed to delete old profile image:', error));
+        }
+
+        res.json({ user: serializeUser({ ...previous, ...$set }) });
+    } catch (error) {
+        logger.error('Profile update error:', error);
+        res.status(500).json({ error: error.message || 'Failed to update profile' });
+    }
+});
+
+// Personal-data export: a zip of JSON files and chat transcripts (default), or `?format=json`.
+app.get('/api/users/:userId/export', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const format = String(req.query.format || 'zip');
+        if (format !== 'zip' && format !== 'json') {
+            return res.status(400).json({ error: 'Unsupported format. Use one of: zip, json' });
+        }
+
+        const user = await usersCollection.findOne({ _id: parseObjectId(req.params.userId) });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const data = await collectUserData(user);
+        const fileName = `ezstudy-export-${localIsoDate()}`;
+        if (format === 'json') {
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+            return res.json(data);
+        }
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+        res.send(renderUserDataZip(data));
+    } catch (error) {
+        logger.error('Data export error:', error);
+        res.status(500).json({ error: error.message || 'Failed to export data' });
+    }
+});
+
+// Schedules the account for deletion. Accounts with a password must confirm it; Google-only
+// accounts confirm with their email address instead.
+app.delete('/api/users/:userId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const user = await usersCollection.findOne({ _id: parseObjectId(req.params.userId) });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.passwordDigest || user.passwordHash) {
+            const { password, error: passwordError } = readPassword(req.body);
+            if (passwordError) {
+                return res.status(400).json({ error: passwordError });
+            }
+            const { valid } = password ? await checkUserPassword(user, password) : { valid: false };
+            if (!valid) {
+                return res.status(401).json({ error: 'Password is incorrect' });
+            }
+        } else if (normalizeEmail(req.body?.confirmEmail) !== user.emailLower) {
+            return res.status(400).json({ error: 'Confirm by sending confirmEmail with your account email' });
+        }
+
+        const now = new Date();
+        const purgeAfter = user.deletion?.purgeAfter || new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * DAY_MS);
+        await usersCollection.updateOne(
+            { _id: user._id },
+            { $set: { deletion: { requestedAt: user.deletion?.requestedAt || now, purgeAfter, purgeStartedAt: null }, updatedAt: now } }
+        );
+        await sessionsCollection.updateMany({ userId: req.params.userId, revokedAt: null }, { $set: { revokedAt: now } });
+
+        res.status(202).json({ success: true, deletionScheduledFor: purgeAfter });
+    } catch (error) {
+        logger.error('Account deletion error:', error);
+        res.status(500).json({ error: error.message || 'Failed to delete account' });
+    }
+});
+
+// Cancels a scheduled deletion during the grace period (after signing back in).
+app.post('/api/users/:userId/restore', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const result = await usersCollection.findOneAndUpdate(
+            { _id: parseObjectId(req.params.userId), deletion: { $exists: true }, 'deletion.purgeStartedAt': null },
+            { $unset: { deletion: '' }, $set: { updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        if (!result) {
+            return res.status(409).json({ error: 'This account is not scheduled for deletion' });
+        }
+        res.json({ user: serializeUser(result) });
+    } catch (error) {
+        logger.error('Account restore error:', error);
+        res.status(500).json({ error: error.message || 'Failed to restore account' });
+    }
+});
+
+app.get('/api/usage/:userId/quota', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const subject = `user:${req.params.userId}`;
+        const periods = quotaPeriods();
+        const usage = await readQuotaUsage(subject, periods);
+
+        const byModel = await aiUsageCollection.aggregate([
+            { $match: { subject, createdAt: { $gte: periods.month.start } } },
+            {
+                $group: {
+                    _id: { provider: '$provider', model: '$model' },
+                    requests: { $sum: 1 },
+                    promptTokens: { $sum: { $ifNull: ['$promptTokens', 0] } },
+                    completionTokens: { $sum: { $ifNull: ['$completionTokens', 0] } },
+                    totalTokens: { $sum: { $ifNull: ['$totalTokens', 0] } },
+                },
+            },
+            { $sort: { totalTokens: -1 } },
+        ]).toArray();
+
+        const quota = Object.fromEntries(Object.entries(AI_QUOTAS).map(([name, limits]) => [name, {
+            limits,
+            used: { requests: usage[name].requests, tokens: usage[name].tokens },
+            remaining: {
+                requests: Math.max(0, limits.requests - usage[name].requests),
+                tokens: Math.max(0, limits.tokens - usage[name].tokens),
+            },
+            resetsAt: usage[name].resetsAt,
+        }]));
+
+        res.json({
+            quota,
+            rateLimit: { windowSeconds: RATE_LIMIT_WINDOW_MS / 1000, perUser: RATE_LIMIT_PER_USER, perIp: RATE_LIMIT_PER_IP },
+            monthByModel: byModel.map(({ _id, ...totals }) => ({ provider: _id.provider, model: _id.model, ...totals })),
+        });
+    } catch (error) {
+        logger.error('Quota lookup error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load quota' });
+    }
+});
+
+app.get('/api/chats/:userId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        if (!await ensureMongoReady(res)) return;
+
+        const userObjectId = parseObjectId(req.params.userId);
+        if (!userObjectId) {
+            return res.status(400).json({ error: 'Invalid user id' });
+        }
+
+        const user = await usersCollection.findOne({ _id: userObjectId });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const chats = await chatsCollection.find({ userId: userObjectId.toString() }).sort({ updatedAt: -1 }).toArray();
+
+        res.json({
+            chats: chats.map(serializeChat),
+            activeChatId: user.activeChatId || null,
+        });
+    } catch (error) {
+        logger.error('Fetch chats error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load chats' });
+    }
+});
+
+app.put('/api/chats/:userId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        if (!await ensureMongoReady(res)) return;
+
+        const userObjectId = parseObjectId(req.params.userId);
+        if (!userObjectId) {
+            return res.status(400).json({ error: 'Invalid user id' });
+        }
+
+        const { chats = [], activeChatId = null } = req.body || {};
+        if (!Array.isArray(chats)) {
+            return res.status(400).json({ error: 'Chats must be an array' });
+        }
+
+        const syncedAt = req.body?.syncedAt ? new Date(req.body.syncedAt) : null;
+        if (syncedAt && Number.isNaN(syncedAt.getTime())) {
+            return res.status(400).json({ error: 'syncedAt must be a valid date' });
+        }
+
+        // Superseded by the per-chat endpoints below; kept so older clients keep working.
+        res.setHeader('Deprecation', 'true');
+        const { conflicts } = await syncChatsForUser(userObjectId.toString(), chats, { syncedAt });
+
+        await usersCollection.updateOne(
+            { _id: userObjectId },
+            {
+                $set: {
+                    activeChatId,
+                    updatedAt: new Date(),
+                },
+            }
+        );
+
+        const savedChats = await chatsCollection.find({ userId: userObjectId.toString() }).sort({ updatedAt: -1 }).toArray();
+
+        res.json({
+            success: true,
+            chats: savedChats.map(serializeChat),
+            activeChatId,
+            conflicts,
+        });
+    } catch (error) {
+        logger.error('Save chats error:', error);
+        res.status(500).json({ error: error.message || 'Failed to save chats' });
+    }
+});
+
+// Searches chat titles and message text. MongoDB's text index and the date bounds narrow the
+// candidate chats; individual messages are then scored, date-filtered and highlighted here.
+app.get('/api/chats/:userId/search', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const query = (req.query.q || '').toString().trim();
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0) {
+            return res.status(400).json({ error: 'Query parameter q is required' });
+        }
+
+        const from = parseDateParam(req.query.from);
+        const to = parseDateParam(req.query.to);
+        if (from === undefined || to === undefined) {
+            return res.status(400).json({ error: 'from/to must be valid dates' });
+        }
+
+        const page = Math.max(Number(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+        const chatFilter = { userId: req.params.userId, $text: { $search: query } };
+        if (from || to) {
+            const range = {};
+            if (from) range.$gte = from;
+            if (to) range.$lte = to;
+            // A chat can match through its title (dated by updatedAt) or any message in range.
+            // Missing or string dates from older chats are checked per message below.
+            chatFilter.$or = [
+                { updatedAt: range },
+                { updatedAt: { $not: { $type: 'date' } } },
+                { messages: { $elemMatch: { timestamp: range } } },
+                { messages: { $elemMatch: { timestamp: { $not: { $type: 'date' } } } } },
+            ];
+        }
+
+        // Every matching chat is scanned (no candidate cap) so that total and later pages are exact.
+        const candidates = chatsCollection
+            .find(chatFilter, { projection: { chatId: 1, title: 1, messages: 1, updatedAt: 1, textScore: { $meta: 'textScore' } } });
+
+        const matcher = buildSearchMatcher(terms);
+        const phrase = terms.length > 1 ? query.toLowerCase() : null;
+        const inRange = (date) => (!from || date >= from) && (!to || date <= to);
+        const results = [];
+
+        for await (const chatDoc of candidates) {
+            const chatBoost = Math.min(chatDoc.textScore || 0, 5) * 0.2;
+            const title = chatDoc.title || 'New Study Session';
+
+            const titleHit = scoreSearchText(title, terms, matcher, phrase);
+            const chatDate = chatDoc.updatedAt ? new Date(chatDoc.updatedAt) : null;
+            if (titleHit && (!chatDate || inRange(chatDate))) {
+                results.push({
+                    chatId: chatDoc.chatId,
+                    chatTitle: title,
+                    messageId: null,
+                    field: 'title',
+                    timestamp: chatDoc.updatedAt || null,
+                    score: titleHit.score * 1.5 + chatBoost,
+                    ...buildSnippet(title, titleHit.matches),
+                });
+            }
+
+            for (const message of chatDoc.messages || []) {
+                const timestamp = message.timestamp ? new Date(message.timestamp) : null;
+                if (timestamp && !inRange(timestamp)) continue;
+
+                const hit = scoreSearchText(message.text || '', terms, matcher, phrase);
+                if (!hit) continue;
+
+                results.push({
+                    chatId: chatDoc.chatId,
+                    chatTitle: title,
+                    messageId: message.id,
+                    field: 'message',
+                    sender: message.sender === 'user' ? 'user' : 'ai',
+                    timestamp: message.timestamp || null,
+                    score: hit.score + chatBoost,
+                    ...buildSnippet(message.text, hit.matches),
+                });
+            }
+        }
+
+        results.sort((a, b) => b.score - a.score || new Date(b.timestamp || 0) - new Date(a.timestamp || 0));
+        const total = results.length;
+
+        res.json({
+            query,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            results: results.slice((page - 1) * limit, page * limit).map((result) => ({
+                ...result,
+                score: Number(result.score.toFixed(4)),
+            })),
+        });
+    } catch (error) {
+        logger.error('Chat search error:', error);
+        res.status(500).json({ error: error.message || 'Failed to search chats' });
+    }
+});
+
+// --- Incremental chat endpoints ---
+// Every mutation of an existing chat must carry the `version` the client last saw (body field,
+// `?version=` or an If-Match header). A mismatch means another device changed the chat first.
+
+const readExpectedVersion = (req) => {
+    const raw = req.body?.version ?? req.query?.version ?? req.get('if-match');
+    if (raw === undefined || raw === null || raw === '') return null;
+    const version = Number(String(raw).replace(/^W\//, '').replace(/"/g, ''));
+    return Number.isInteger(version) && version >= 0 ? version : NaN;
+};
+
+// Applies `update` only if the chat is still at the expected version; responds and returns null otherwise.
+const updateChatWithVersion = async (req, res, update, collection = chatsCollection) => {
+    const expectedVersion = readExpectedVersion(req);
+    if (expectedVersion === null || Number.isNaN(expectedVersion)) {
+        res.status(428).json({ error: 'The current chat version is required (version field or If-Match header)' });
+        return null;
+    }
+
+    const filter = { userId: req.params.userId, chatId: chatIdFilter(req.params.chatId) };
+    const result = await collection.findOneAndUpdate(
+        { ...filter, version: versionFilter(expectedVersion) },
+        { ...update, $inc: { version: 1 } },
+        { returnDocument: 'after' }
+    );
+    const updated = result?.value !== undefined ? result.value : result;
+    if (updated) return updated;
+
+    const current = await collection.findOne(filter);
+    if (!current) {
+        res.status(404).json({ error: 'Chat not found' });
+    } else {
+        res.status(409).json({ error: 'Chat was modified by another session', chat: serializeChat(current) });
+    }
+    return null;
+};
+
+app.get('/api/chats/:userId/chats/:chatId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const chatDoc = await chatsCollection.findOne({ userId: req.params.userId, chatId: chatIdFilter(req.params.chatId) });
+        if (!chatDoc) {
+            return res.status(404).json({ error: 'Chat not found' });
+        }
+        res.setHeader('ETag', `"${chatDoc.version || 0}"`);
+        res.json({ chat: serializeChat(chatDoc) });
+    } catch (error) {
+        logger.error('Fetch chat error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load chat' });
+    }
+});
+
+app.post('/api/chats/:userId/chats', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const chat = req.body || {};
+        const now = new Date();
+        const chatDoc = {
+            userId: req.params.userId,
+            chatId: chat.id ?? Date.now(),
+            ...chatFieldsFromPayload(chat, now),
+            createdAt: now,
+            version: 1,
+        };
+
+        try {
+            await chatsCollection.insertOne(chatDoc);
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'A chat with this id already exists' });
+            }
+            throw error;
+        }
+
+        res.status(201).json({ chat: serializeChat(chatDoc) });
+    } catch (error) {
+        logger.error('Create chat error:', error);
+        res.status(500).json({ error: error.message || 'Failed to create chat' });
+    }
+});
+
+// Rename a chat or update its preview / active flag.
+app.patch('/api/chats/:userId/chats/:chatId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const { title, preview, isActive } = req.body || {};
+        const $set = { updatedAt: new Date() };
+        if (typeof title === 'string') $set.title = title.trim() || 'New Study Session';
+        if (typeof preview === 'string') $set.preview = preview;
+        if (typeof isActive === 'boolean') $set.isActive = isActive;
+
+        const chatDoc = await updateChatWithVersion(req, res, { $set });
+        if (!chatDoc) return;
+
+        res.json({ chat: serializeChat(chatDoc) });
+    } catch (error) {
+        logger.error('Update chat error:', error);
+        res.status(500).json({ error: error.message || 'Failed to update chat' });
+    }
+});
+
+app.delete('/api/chats/:userId/chats/:chatId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const expectedVersion = readExpectedVersion(req);
+        if (expectedVersion === null || Number.isNaN(expectedVersion)) {
+            return res.status(428).json({ error: 'The current chat version is required (version field or If-Match header)' });
+        }
+
+        const filter = { userId: req.params.userId, chatId: chatIdFilter(req.params.chatId) };
+        const result = await chatsCollection.deleteOne({ ...filter, version: versionFilter(expectedVersion) });
+        if (result.deletedCount === 0) {
+            const current = await chatsCollection.findOne(filter);
+            if (!current) {
+                return res.status(404).json({ error: 'Chat not found' });
+            }
+            return res.status(409).json({ error: 'Chat was modified by another session', chat: serializeChat(current) });
+        }
+
+        await usersCollection.updateOne(
+            { _id: parseObjectId(req.params.userId), activeChatId: filter.chatId },
+            { $set: { activeChatId: null, updatedAt: new Date() } }
+        );
+        await chatSharesCollection.deleteMany(filter);
+
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Delete chat error:', error);
+        res.status(500).json({ error: error.message || 'Failed to delete chat' });
+    }
+});
+
+// Appends one or more messages to the end of a chat.
+app.post('/api/chats/:userId/chats/:chatId/messages', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const { messages, message, preview } = req.body || {};
+        const incoming = Array.isArray(messages) ? messages : (message ? [message] : []);
+        if (incoming.length === 0) {
+            return res.status(400).json({ error: 'At least one message is required' });
+        }
+
+        const now = new Date();
+        const normalizedMessages = incoming.map((item) => normalizeMessage({ ...item, id: item.id || crypto.randomUUID() }));
+        const lastMessage = normalizedMessages[normalizedMessages.length - 1];
+
+        const chatDoc = await updateChatWithVersion(req, res, {
+            $push: { messages: { $each: normalizedMessages } },
+            $set: {
+                preview: typeof preview === 'string' ? preview : lastMessage.text.slice(0, 100),
+                date: now,
+                updatedAt: now,
+            },
+        });
+        if (!chatDoc) return;
+
+        res.status(201).json({
+            chat: { ...serializeChat(chatDoc), messages: undefined },
+            messages: normalizedMessages,
+            version: chatDoc.version,
+        });
+    } catch (error) {
+        logger.error('Append messages error:', error);
+        res.status(500).json({ error: error.message || 'Failed to append messages' });
+    }
+});
+
+app.put('/api/chats/:userId/active-chat', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const activeChatId = req.body?.activeChatId ?? null;
+        await usersCollection.updateOne(
+            { _id: parseObjectId(req.params.userId) },
+            { $set: { activeChatId, updatedAt: new Date() } }
+        );
+        res.json({ activeChatId });
+    } catch (error) {
+        logger.error('Set active chat error:', error);
+        res.status(500).json({ error: error.message || 'Failed to set active chat' });
+    }
+});
+
+// Creates a read-only link to a snapshot of the chat. Optional `expiresInDays` (1-365); links
+// without one last until revoked.
+app.post('/api/chats/:userId/chats/:chatId/shares', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const { expiresInDays } = req.body || {};
+        if (expiresInDays !== undefined && expiresInDays !== null) {
+            const days = Number(expiresInDays);
+            if (!Number.isFinite(days) || days < 1 || days > SHARE_MAX_EXPIRY_DAYS) {
+                return res.status(400).json({ error: `expiresInDays must be between 1 and ${SHARE_MAX_EXPIRY_DAYS}` });
+            }
+        }
+
+        const chatDoc = await chatsCollection.findOne({ userId: req.params.userId, chatId: chatIdFilter(req.params.chatId) });
+        if (!chatDoc) {
+            return res.status(404).json({ error: 'Chat not found' });
+        }
+
+        const messages = snapshotChatMessages(chatDoc);
+        if (messages.length === 0) {
+            return res.status(400).json({ error: 'There is nothing in this chat to share yet' });
+        }
+
+        const now = new Date();
+        const shareDoc = {
+            slug: crypto.randomBytes(16).toString('base64url'),
+            userId: req.params.userId,
+            chatId: chatDoc.chatId,
+            chatVersion: chatDoc.version || 0,
+            title: chatDoc.title || 'New Study Session',
+            messages,
+            viewCount: 0,
+            createdAt: now,
+            expiresAt: expiresInDays ? new Date(now.getTime() + Number(expiresInDays) * DAY_MS) : null,
+        };
+        await chatSharesCollection.insertOne(shareDoc);
+
+        res.status(201).json({ share: serializeChatShare(shareDoc, req) });
+    } catch (error) {
+        logger.error('Create share error:', error);
+        res.status(500).json({ error: error.message || 'Failed to create share link' });
+    }
+});
+
+app.get('/api/chats/:userId/shares', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const filter = { userId: req.params.userId, $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] };
+        if (req.query.chatId) {
+            filter.chatId = chatIdFilter(String(req.query.chatId));
+        }
+
+        const shares = await chatSharesCollection.find(filter).sort({ createdAt: -1 }).toArray();
+        res.json({ shares: shares.map((shareDoc) => serializeChatShare(shareDoc, req)) });
+    } catch (error) {
+        logger.error('List shares error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load share links' });
+    }
+});
+
+app.delete('/api/chats/:userId/shares/:shareId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const result = await chatSharesCollection.deleteOne({ userId: req.params.userId, slug: req.params.shareId });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Revoke share error:', error);
+        res.status(500).json({ error: error.message || 'Failed to revoke share link' });
+    }
+});
+
+// Public, read-only view of a shared chat.
+app.get('/api/shared/:slug', async (req, res) => {
+    try {
+        if (!await ensureMongoReady(res)) return;
+
+        const shareDoc = await chatSharesCollection.findOneAndUpdate(
+            { slug: req.params.slug },
+            { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        // Expired links may linger until MongoDB's TTL sweep removes them.
+        if (!isShareActive(shareDoc)) {
+            return res.status(404).json({ error: 'This shared chat does not exist or is no longer available' });
+        }
+
+        res.setHeader('Cache-Control', 'no-store');
+        res.setHeader('X-Robots-Tag', 'noindex');
+        res.json({
+            title: shareDoc.title,
+            messages: shareDoc.messages,
+            sharedAt: shareDoc.createdAt,
+            expiresAt: shareDoc.expiresAt || null,
+        });
+    } catch (error) {
+        logger.error('Shared chat error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load shared chat' });
+    }
+});
+
+// Upload files into the user's document library so chats can retrieve from them later.
+app.post('/api/documents/:userId', requireAuth, requireSameUser, withRequestContext(upload.array('files')), async (req, res) => {
+    const files = req.files || [];
+    try {
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'No files uploaded' });
+        }
+
+        const documents = [];
+        const errors = [];
+        for (const file of files) {
+            try {
+                const { document, error } = await storeDocumentForUser(req.params.userId, file);
+                if (document) documents.push(serializeDocument(document));
+                if (error) errors.push({ fileName: file.originalname, error });
+            } catch (err) {
+                logger.error('Document indexing error:', err);
+                errors.push({ fileName: file.originalname, error: 'Unable to process file' });
+            }
+        }
+
+        res.status(documents.length ? 201 : 422).json({ documents, errors });
+    } catch (error) {
+        logger.error('Document upload error:', error);
+        res.status(500).json({ error: error.message || 'Failed to store documents' });
+    } finally {
+        removeUploadedFiles(files);
+    }
+});
+
+app.get('/api/documents/:userId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const documents = await documentsCollection.find({ userId: req.params.userId }).sort({ createdAt: -1 }).toArray();
+        res.json({ documents: documents.map(serializeDocument) });
+    } catch (error) {
+        logger.error('List documents error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load documents' });
+    }
+});
+
+// Preview which passages a question would retrieve, without calling the AI.
+app.get('/api/documents/:userId/search', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const query = (req.query.q || '').toString();
+        if (!query.trim()) {
+            return res.status(400).json({ error: 'Query parameter q is required' });
+        }
+
+        let documentIds = parseIdList(req.query.documentIds);
+        if (documentIds.length === 0) {
+            const documents = await documentsCollection.find({ userId: req.params.userId }, { projection: { _id: 1 } }).toArray();
+            documentIds = documents.map((doc) => doc._id.toString());
+        }
+
+        const { citations } = await buildRetrievalContext(req.params.userId, documentIds, query);
+        const chunks = await documentChunksCollection
+            .find({ userId: req.params.userId, $or: citations.map((c) => ({ documentId: c.documentId, index: c.chunkIndex })) })
+            .toArray();
+        const textByKey = new Map(chunks.map((chunk) => [`${chunk.documentId}:${chunk.index}`, chunk.text]));
+
+        res.json({
+            results: citations.map((citation) => ({ ...citation, text: textByKey.get(`${citation.documentId}:${citation.chunkIndex}`) || '' })),
+        });
+    } catch (error) {
+        logger.error('Document search error:', error);
+        res.status(500).json({ error: error.message || 'Failed to search documents' });
+    }
+});
+
+app.delete('/api/documents/:userId/:documentId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const documentObjectId = parseObjectId(req.params.documentId);
+        if (!documentObjectId) {
+            return res.status(400).json({ error: 'Invalid document id' });
+        }
+
+        const result = await documentsCollection.deleteOne({ _id: documentObjectId, userId: req.params.userId });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        await documentChunksCollection.deleteMany({ userId: req.params.userId, documentId: req.params.documentId });
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Delete document error:', error);
+        res.status(500).json({ error: error.message || 'Failed to delete document' });
+    }
+});
+
+// Chat completion endpoint - uses Google Gemini with Groq fallback
+app.post('/api/chat', optionalAuth, withRequestContext(upload.array('files')), enforceAIQuota, async (req, res) => {
+    try {
+        const messages = JSON.parse(req.body.messages || '[]');
+        const userMessage = req.body.userMessage || '';
+        const config = JSON.parse(req.body.config || '{}');
+        const files = req.files || [];
+        const documentIds = parseIdList(req.body.documentIds);
+        const saveFiles = req.body.saveFiles === true || req.body.saveFiles === 'true';
+
+        // Recorded with the provider usage so analytics can report which modes are used.
+        const usageContext = aiUsageContext.getStore();
+        if (usageContext) {
+            usageContext.mode = CHAT_MODES.includes(config?.mode) ? config.mode : 'tutor';
+        }
+
+        if ((documentIds.length > 0 || saveFiles) && !req.auth) {
+            removeUploadedFiles(files);
+            return res.status(401).json({ error: 'Sign in to use your document library' });
+        }
+
+        const imageError = validateImageUploads(files);
+        if (imageError) {
+            removeUploadedFiles(files);
+            return res.status(imageError.status).json({ error: imageError.error });
+        }
+
+        // Moderate the message, and the earlier user turns the client sends back as history, before
+        // any file, library or AI work.
+        const conversationText = [
+            ...messages.filter((message) => message?.role === 'user' && typeof message.content === 'string').map((message) => message.content),
+            userMessage,
+        ].join('\n');
+        const messageCheck = checkModeration(req, conversationText);
+        if (!messageCheck.allowed) {
+            removeUploadedFiles(files);
+            return sendInputBlocked(res, messageCheck);
+        }
+
+        if (files.length > 0) {
+            logger.info('Chat files received', { files: files.map((f) => ({ mimetype: f.mimetype, size: f.size })) });
+        }
+
+        // Read every document once up front so its text is moderated before anything is stored.
+        // Content type is detected from the bytes; see documentExtractors for supported formats.
+        const uploads = [];
+        for (const file of files) {
+            if (isImageUpload(file)) {
+                uploads.push({ file });
+                continue;
+            }
+            try {
+                uploads.push({ file, extracted: await extractDocument(file) });
+            } catch (extractErr) {
+                logger.error('Text extraction failed', extractErr, { mimetype: file.mimetype });
+                uploads.push({ file, extractionFailed: true });
+            }
+        }
+
+        const uploadedText = uploads.filter(({ extracted }) => extracted?.pages.length).map(({ extracted }) => formatExtractedText(extracted)).join('\n');
+        if (uploadedText) {
+            const fileCheck = checkModeration(req, uploadedText, { contextText: userMessage });
+            if (!fileCheck.allowed) {
+                removeUploadedFiles(files);
+                return sendInputBlocked(res, fileCheck);
+            }
+        }
+
+        // Process uploaded files
+        let fileContext = "";
+        const images = [];
+        if (uploads.length > 0) {
+            fileContext = "\n\n--- Uploaded Files Context ---\n";
+
+            for (const { file, extracted, extractionFailed } of uploads) {
+                try {
+                    fileContext += `\n[FILE: ${file.originalname}]\n`;
+
+                    // Saved files are indexed in full and reach the prompt through retrieval below.
+                    if (saveFiles && extracted?.format) {
+                        const { document } = await storeDocumentForUser(req.auth.userId, file, extracted);
+                        if (document) {
+                            documentIds.push(document._id.toString());
+                            fileContext += `[Saved to document library as ${document._id.toString()}; relevant passages are provided below]\n`;
+                            continue;
+                        }
+                    }
+
+                    if (isImageUpload(file)) {
+                        images.push(await prepareImageForModel(file));
+                        fileContext += `[IMAGE ${images.length} - attached to the user's message; analyze its visual content, diagrams, charts and text]\n`;
+                    } else if (extractionFailed) {
+                        fileContext += "[FILE - Unable to read, but available for context]\n";
+                    } else if (!extracted.format) {
+                        fileContext += `[${file.mimetype} FILE - unsupported format, no text extracted]\n`;
+                    } else if (extracted.pages.length === 0) {
+                        fileContext += `[${extracted.label} FILE - no readable text]\n`;
+                    } else {
+                        fileContext += `[${extracted.label} CONTENT]:\n${selectUploadContext(extracted, userMessage)}\n`;
+                    }
+                } catch (err) {
+                    logger.error(`Error processing file:`, err);
+                    fileContext += `[Error processing file: ${file.originalname}]\n`;
+                }
+            }
+            fileContext += "--- End of Files ---\n";
+        }
+
+        // Clean up uploaded files
+        removeUploadedFiles(files);
+
+        // Pull the most relevant passages from referenced library documents into the prompt.
+        let retrieval = { context: '', citations: [] };
+        if (documentIds.length > 0) {
+            if (!await ensureMongoReady(res)) return;
+            retrieval = await buildRetrievalContext(req.auth.userId, documentIds, userMessage);
+
+            // Library passages reach the model too, so they are moderated like uploads.
+            const passageCheck = checkModeration(req, retrieval.context, { contextText: userMessage });
+            if (!passageCheck.allowed) {
+                return sendInputBlocked(res, passageCheck);
+            }
+        }
+
+        // Prepare messages for AI API
+        // Add explicit study-only / safety instructions to system message
+        const safetyInstructions = `\n\nSafety and scope: Only answer study-related, educational, or academic questions. If a user asks for adult, sexual, illegal, violent, or political content, refuse and respond with: "I can only help with study-related questions."`;
+
+        // Dynamic context: current date/time/year/month and optional location/weather
+        const now = new Date();
+        const currentDate = now.toLocaleDateString();
+        const currentTime = now.toLocaleTimeString();
+        const currentYear = now.getFullYear();
+        const currentMonth = now.toLocaleString('default', { month: 'long' });
+        const serverTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+        // Determine location: prefer device-provided location in config.deviceContext, then config.location (string), otherwise default env var
+        let locationObj = null;
+        if (config && config.deviceContext && config.deviceContext.location) {
+            locationObj = config.deviceContext.location; // expected { lat, lon, label }
+        } else if (config && config.location) {
+            locationObj = config.location; // could be string or { lat, lon }
+        }
+        const defaultLocation = process.env.DEFAULT_LOCATION || null;
+
+        // Helper to fetch weather (OpenWeatherMap) if API key provided
+        let weatherSummary = '';
+        const weatherApiKey = process.env.WEATHER_API_KEY;
+        if (weatherApiKey) {
+            try {
+                let weatherResp;
+                if (locationObj && typeof locationObj === 'object' && locationObj.lat && locationObj.lon) {
+                    // fetch by coordinates
+                    weatherResp = await fetch(`https://api.openweathermap.org/data/2.5/weather?lat=${locationObj.lat}&lon=${locationObj.lon}&units=metric&appid=${weatherApiKey}`);
+                } else if (locationObj && typeof locationObj === 'string') {
+                    weatherResp = await fetch(`https://api.openweathermap.org/data/2.5/weather?q=${encodeURIComponent(locationObj)}&units=metric&appid=${weatherApiKey}`);
+                } else if (defaultLocation) {
+                    weatherResp = await fetch(`https://api.openweathermap.org/data/2.5/weather?q=${encodeURIComponent(defaultLocation)}&units=metric&appid=${weatherApiKey}`);
+                }
+
+                if (weatherResp && weatherResp.ok) {
+                    const w = await weatherResp.json();
+                    const desc = w.weather && w.weather[0] && w.weather[0].description ? w.weather[0].description : '';
+                    const temp = w.main && w.main.temp ? `${w.main.temp}°C` : '';
+                    const feels = w.main && w.main.feels_like ? `${w.main.feels_like}°C` : '';
+                    const locLabel = (locationObj && locationObj.label) || (typeof locationObj === 'string' ? locationObj : (defaultLocation || `${locationObj?.lat || ''},${locationObj?.lon || ''}`));
+                    weatherSummary = `${locLabel ? `Current weather in ${locLabel}: ` : 'Current weather:'}${desc}. Temperature: ${temp}. Feels like: ${feels}.`;
+                } else if (weatherResp) {
+                    logger.warn('Weather API request failed', { status: weatherResp.status });
+                }
+            } catch (werr) {
+                logger.warn('Weather fetch failed', werr);
+            }
+        }
+
+        const locationLabel = (locationObj && (locationObj.label || (locationObj.lat && locationObj.lon ? `${locationObj.lat},${locationObj.lon}` : null))) || defaultLocation || 'unspecified location';
+
+        const dynamicContext = `\n\nContext: Current server date: ${currentDate}; time: ${currentTime}; year: ${currentYear}; month: ${currentMonth}; timezone: ${serverTimezone}; location: ${locationLabel}. ${weatherSummary}`;
+
+        // Attach device-provided context if present (frontend should send config.deviceContext)
+        const deviceContextBlock = (config && config.deviceContext) ? `\n\nDevice Context (from user's device): ${JSON.stringify(config.deviceContext)}` : '';
+
+        // Explicit system instructions: allow the model to use provided device/server context for real-time answers
+        const realTimeInstruction = `\n\nReal-time behavior: If the request asks for the current time, date, location, or weather, use the values provided in the Device Context above (if present). If Device Context is not provided, use the server dynamic context included in the prompt. Do NOT claim you lack access to the current time or location when this contextual information is provided. If neither source is available, say: "I don't have device or server time/location available right now."`;
+
+        const systemMessage = {
+            role: 'system',
+            content: `You are EzStudy AI, a ${config?.personality || 'friendly'} ${config?.mode || 'tutor'}.
+    Your tone should be ${config?.tone || 'balanced'}.
+    ${config?.mode === 'tutor' ? 'Focus on explaining concepts clearly and asking guiding questions.' : ''}
+    ${config?.mode === 'summarizer' ? 'Focus on condensing information into high-impact bullet points.' : ''}
+    ${config?.mode === 'examiner' ? 'Focus on testing the user knowledge and providing critical feedback.' : ''}
+    ${fileContext ? `Files have been uploaded. Please carefully read and analyze their content when answering the user's questions. Use specific information from the files.${fileContext}` : ''}
+    ${retrieval.context ? `Passages from the user's study documents are provided. Ground your answer in them and cite the passage numbers you use.${retrieval.context}` : ''}
+    Provide answers in clear markdown format.${safetyInstructions}${dynamicContext}${deviceContextBlock}${realTimeInstruction}`
+        };
+
+        const apiMessages = [systemMessage, ...messages, { role: 'user', content: userMessage, ...(images.length ? { images } : {}) }];
+
+        // Opt-in streaming: send tokens as Server-Sent Events instead of a single JSON body.
+        if (wantsEventStream(req)) {
+            res.status(200);
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache, no-transform');
+            res.setHeader('Connection', 'keep-alive');
+            res.setHeader('X-Accel-Buffering', 'no');
+            res.flushHeaders();
+
+            const abortController = new AbortController();
+            res.on('close', () => abortController.abort());
+
+            try {
+                const { content, usage } = await streamAIAPI(apiMessages, config, {
+                    signal: abortController.signal,
+                    onToken: (text) => writeSseEvent(res, 'token', { text }),
+                });
+
+                // Tokens are already on the wire, so a blocked answer tells the client to discard them.
+                const outputCheck = checkModeration(req, content, { stage: 'output', contextText: userMessage });
+                if (!outputCheck.allowed) {
+                    writeSseEvent(res, 'blocked', { error: 'Response withheld: generated content not allowed', reason: outputCheck.reason });
+                } else {
+                    writeSseEvent(res, 'done', { content, usage, citations: retrieval.citations });
+                }
+            } catch (streamError) {
+                if (!abortController.signal.aborted) {
+                    logger.error('Chat stream error:', streamError);
+                    writeSseEvent(res, 'error', { error: streamError.message || 'Streaming failed' });
+                }
+            }
+            return res.end();
+        }
+
+        // Call AI API with fallback
+        const data = await callAIAPI(apiMessages, config, fileContext);
+        const outputCheck = checkModeration(req, data.choices[0]?.message?.content || '', { stage: 'output', contextText: userMessage });
+        if (!outputCheck.allowed) {
+            return sendOutputBlocked(res, outputCheck);
+        }
+        res.json({ ...data, citations: retrieval.citations });
+
+    } catch (error) {
+        logger.error('Chat API Error:', error);
+        if (res.headersSent) {
+            writeSseEvent(res, 'error', { error: error.message || 'Internal server error' });
+            return res.end();
+        }
+        res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+});
+
+// Generate quiz endpoint
+app.post('/api/quiz', optionalAuth, enforceAIQuota, async (req, res) => {
+    try {
+        const { topic } = req.body;
+
+        const { spec, error } = parseQuizSpec(req.body || {});
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Moderate input topic/text before calling AI
+        const mod = checkModeration(req, topic || '');
+        if (!mod.allowed) {
+            return sendInputBlocked(res, mod);
+        }
+
+        // Only validated, moderation-approved question sets are cached.
+        let failure = null;
+        const cacheKey = buildAICacheKey('quiz', String(topic || '').toLowerCase(), spec);
+        const generated = await withAICache(req, res, cacheKey, async () => {
+            const result = await generateQuizQuestions(topic, spec);
+            if (result.errors) {
+                failure = () => res.status(502).json({
+                    error: 'The AI did not return valid quiz questions. Please try again.',
+                    details: result.errors.slice(0, 20),
+                    attempts: result.attempts,
+                });
+                return null;
+            }
+
+            const outputCheck = checkModeration(req, result.content, { stage: 'output', contextText: topic || '' });
+            if (!outputCheck.allowed) {
+                failure = () => sendOutputBlocked(res, outputCheck);
+                return null;
+            }
+            return { questions: result.questions, usage: result.usage || null, attempts: result.attempts };
+        });
+        if (!generated) {
+            return failure();
+        }
+        const cachedQuiz = res.getHeader('X-Cache') === 'HIT';
+
+        // Anonymous callers get the legacy shape (answers included) since there is nowhere to grade them.
+        if (!req.auth) {
+            return res.json({ questions: generated.questions });
+        }
+
+        const quizDoc = {
+            userId: req.auth.userId,
+            topic: topic || '',
+            difficulty: Array.isArray(spec.difficulty) ? 'mixed' : spec.difficulty,
+            types: spec.types,
+            questions: generated.questions,
+            // A cache hit made no provider call, so it carries no usage of its own.
+            usage: cachedQuiz ? null : generated.usage,
+            generationAttempts: cachedQuiz ? 0 : generated.attempts,
+            cached: cachedQuiz,
+            createdAt: new Date(),
+        };
+        const result = await quizzesCollection.insertOne(quizDoc);
+        const quiz = serializeQuiz({ ...quizDoc, _id: result.insertedId });
+
+        res.status(201).json({ quizId: quiz.id, quiz, questions: quiz.questions });
+
+    } catch (error) {
+        logger.error('Quiz API Error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+});
+
+app.get('/api/quizzes/:userId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const limit = Math.min(Number(req.query.limit) || 50, 200);
+        const quizzes = await quizzesCollection.find({ userId: req.params.userId }).sort({ createdAt: -1 }).limit(limit).toArray();
+
+        const stats = await quizAttemptsCollection.aggregate([
+            { $match: { userId: req.params.userId, quizId: { $in: quizzes.map((quiz) => quiz._id.toString()) } } },
+            { $sort: { submittedAt: 1 } },
+            {
+                $group: {
+                    _id: '$quizId',
+                    attempts: { $sum: 1 },
+                    bestPercentage: { $max: '$percentage' },
+                    lastPercentage: { $last: '$percentage' },
+                    lastSubmittedAt: { $last: '$submittedAt' },
+                },
+            },
+        ]).toArray();
+        const statsByQuiz = new Map(stats.map((stat) => [stat._id, stat]));
+
+        res.json({
+            quizzes: quizzes.map((quizDoc) => {
+                const { questions, ...quiz } = serializeQuiz(quizDoc);
+                const stat = statsByQuiz.get(quiz.id);
+                return {
+                    ...quiz,
+                    attempts: stat?.attempts || 0,
+                    bestPercentage: stat?.bestPercentage ?? null,
+                    lastPercentage: stat?.lastPercentage ?? null,
+                    lastSubmittedAt: stat?.lastSubmittedAt || null,
+                };
+            }),
+        });
+    } catch (error) {
+        logger.error('List quizzes error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load quizzes' });
+    }
+});
+
+app.get('/api/quizzes/:userId/:quizId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const quizObjectId = parseObjectId(req.params.quizId);
+        const quizDoc = quizObjectId ? await quizzesCollection.findOne({ _id: quizObjectId, userId: req.params.userId }) : null;
+        if (!quizDoc) {
+            return res.status(404).json({ error: 'Quiz not found' });
+        }
+
+        const attempts = await quizAttemptsCollection
+            .find({ userId: req.params.userId, quizId: req.params.quizId })
+            .sort({ submittedAt: -1 })
+            .toArray();
+
+        res.json({ quiz: serializeQuiz(quizDoc), attempts: attempts.map((attempt) => serializeQuizAttempt(attempt)) });
+    } catch (error) {
+        logger.error('Fetch quiz error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load quiz' });
+    }
+});
+
+app.get('/api/quizzes/:userId/:quizId/export', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const quizObjectId = parseObjectId(req.params.quizId);
+        const quizDoc = quizObjectId ? await quizzesCollection.findOne({ _id: quizObjectId, userId: req.params.userId }) : null;
+        if (!quizDoc) {
+            return res.status(404).json({ error: 'Quiz not found' });
+        }
+
+        sendQuizExport(res, quizDoc, String(req.query.format || 'moodle'));
+    } catch (error) {
+        logger.error('Quiz export error:', error);
+        res.status(500).json({ error: error.message || 'Failed to export quiz' });
+    }
+});
+
+// Exports questions supplied in the body, e.g. the legacy anonymous /api/quiz output.
+app.post('/api/quiz/export', (req, res) => {
+    try {
+        const { questions, topic, difficulty, format = 'moodle' } = req.body || {};
+        const normalized = Array.isArray(questions) ? questions.map(normalizeQuizQuestion) : [];
+        if (normalized.length === 0 || normalized.includes(null)) {
+            return res.status(400).json({ error: 'Questions must be an array of { type, question, options, correct | acceptedAnswers, explanation }' });
+        }
+
+        sendQuizExport(res, { topic, difficulty, questions: normalized }, String(format));
+    } catch (error) {
+        logger.error('Quiz export error:', error);
+        res.status(500).json({ error: error.message || 'Failed to export quiz' });
+    }
+});
 
-        const existingUser = await findUserByEmail(normalizedEmail);
-        if (existingUser) {
-            return res.status(409).json({ error: 'User already exists with this email' });
+// Grades a submission. Each submission is stored as a new attempt so quizzes can be retaken.
+app.post('/api/quizzes/:userId/:quizId/submit', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const quizObjectId = parseObjectId(req.params.quizId);
+        const quizDoc = quizObjectId ? await quizzesCollection.findOne({ _id: quizObjectId, userId: req.params.userId }) : null;
+        if (!quizDoc) {
+            return res.status(404).json({ error: 'Quiz not found' });
+        }
+
+        const { answers } = req.body || {};
+        if (!Array.isArray(answers)) {
+            return res.status(400).json({ error: 'Answers must be an array with one entry per question' });
+        }
+
+        const grade = gradeQuiz(quizDoc, answers);
+        const previousAttempts = await quizAttemptsCollection.countDocuments({ userId: req.params.userId, quizId: req.params.quizId });
+        const attemptDoc = {
+            userId: req.params.userId,
+            quizId: req.params.quizId,
+            topic: quizDoc.topic,
+            attemptNumber: previousAttempts + 1,
+            answers: grade.results.map((result) => result.selected),
+            results: grade.results,
+            score: grade.score,
+            total: grade.total,
+            percentage: grade.percentage,
+            submittedAt: new Date(),
+        };
+        const result = await quizAttemptsCollection.insertOne(attemptDoc);
+
+        res.status(201).json({
+            attempt: serializeQuizAttempt({ ...attemptDoc, _id: result.insertedId }, { includeResults: true }),
+            quiz: serializeQuiz(quizDoc, { includeAnswers: true }),
+        });
+    } catch (error) {
+        logger.error('Submit quiz error:', error);
+        res.status(500).json({ error: error.message || 'Failed to submit quiz' });
+    }
+});
+
+app.get('/api/quizzes/:userId/:quizId/attempts/:attemptId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const attemptObjectId = parseObjectId(req.params.attemptId);
+        const attemptDoc = attemptObjectId
+            ? await quizAttemptsCollection.findOne({ _id: attemptObjectId, userId: req.params.userId, quizId: req.params.quizId })
+            : null;
+        if (!attemptDoc) {
+            return res.status(404).json({ error: 'Attempt not found' });
+        }
+
+        res.json({ attempt: serializeQuizAttempt(attemptDoc, { includeResults: true }) });
+    } catch (error) {
+        logger.error('Fetch quiz attempt error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load attempt' });
+    }
+});
+
+// Generates cards from a saved chat (`source: "chat"`, `chatId`) or from notes text such as
+// /api/summarize output (`source: "notes"`, `notes`). Cards go into a new deck unless `deckId` is given.
+app.post('/api/flashcards/:userId/generate', requireAuth, requireSameUser, enforceAIQuota, async (req, res) => {
+    try {
+        const { source = 'notes', chatId, notes, deckId, deckName } = req.body || {};
+        const count = Math.min(Math.max(Number(req.body?.count) || 10, 1), 50);
+        const userId = req.params.userId;
+
+        let sourceText = '';
+        let sourceInfo = { type: source };
+        let defaultName = 'Study Deck';
+
+        if (source === 'chat') {
+            const chatDoc = chatId ? await chatsCollection.findOne({ userId, chatId: chatIdFilter(chatId) }) : null;
+            if (!chatDoc) {
+                return res.status(404).json({ error: 'Chat not found' });
+            }
+            sourceText = chatTranscript(chatDoc);
+            sourceInfo = { type: 'chat', chatId };
+            defaultName = chatDoc.title || defaultName;
+        } else if (source === 'notes') {
+            sourceText = typeof notes === 'string' ? notes : '';
+        } else {
+            return res.status(400).json({ error: 'Source must be "chat" or "notes"' });
+        }
+
+        if (!sourceText.trim()) {
+            return res.status(400).json({ error: 'There is no content to generate flashcards from' });
+        }
+
+        const mod = checkModeration(req, sourceText);
+        if (!mod.allowed) {
+            return sendInputBlocked(res, mod);
+        }
+
+        let deckDoc = null;
+        if (deckId) {
+            const deckObjectId = parseObjectId(deckId);
+            deckDoc = deckObjectId ? await flashcardDecksCollection.findOne({ _id: deckObjectId, userId }) : null;
+            if (!deckDoc) {
+                return res.status(404).json({ error: 'Deck not found' });
+            }
+        }
+
+        const generated = await generateFlashcards(sourceText.slice(-FLASHCARD_SOURCE_MAX_CHARS), count);
+        if (generated.errors) {
+            return res.status(502).json({
+                error: 'The AI did not return usable flashcards. Please try again.',
+                details: generated.errors.slice(0, 20),
+                attempts: generated.attempts,
+            });
+        }
+        const { cards } = generated;
+
+        const outputCheck = checkModeration(req, cards.map((card) => `${card.front}\n${card.back}`).join('\n'), { stage: 'output', contextText: sourceText });
+        if (!outputCheck.allowed) {
+            return sendOutputBlocked(res, outputCheck);
         }
 
         const now = new Date();
-        const userDoc = {
-            name: name?.trim() || normalizedEmail.split('@')[0] || 'User',
-            email: normalizedEmail,
-            emailLower: normalizedEmail,
-            passwordHash,
-            authMethods: ['local'],
-            provider: 'local',
-            profileImage: null,
+        if (!deckDoc) {
+            deckDoc = {
+                userId,
+                name: deckName?.trim() || defaultName,
+                source: sourceInfo,
+                cardCount: 0,
+                createdAt: now,
+                updatedAt: now,
+            };
+            const result = await flashcardDecksCollection.insertOne(deckDoc);
+            deckDoc._id = result.insertedId;
+        }
+
+        const cardDocs = cards.map((card) => ({
+            userId,
+            deckId: deckDoc._id.toString(),
+            ...card,
+            ...newCardSchedule(now),
+            createdAt: now,
+        }));
+        await flashcardsCollection.insertMany(cardDocs);
+        await flashcardDecksCollection.updateOne(
+            { _id: deckDoc._id },
+            { $inc: { cardCount: cardDocs.length }, $set: { updatedAt: now } }
+        );
+
+        res.status(201).json({
+            deck: serializeDeck({ ...deckDoc, cardCount: (deckDoc.cardCount || 0) + cardDocs.length, updatedAt: now }),
+            cards: cardDocs.map(serializeFlashcard),
+        });
+    } catch (error) {
+        logger.error('Flashcard generation error:', error);
+        res.status(500).json({ error: error.message || 'Failed to generate flashcards' });
+    }
+});
+
+app.get('/api/flashcards/:userId/decks', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const userId = req.params.userId;
+        const dueBefore = endOfLocalDay(req.query.timezoneOffset);
+        const decks = await flashcardDecksCollection.find({ userId }).sort({ updatedAt: -1 }).toArray();
+        const dueCounts = await flashcardsCollection.aggregate([
+            { $match: { userId, dueAt: { $lte: dueBefore } } },
+            { $group: { _id: '$deckId', due: { $sum: 1 } } },
+        ]).toArray();
+        const dueByDeck = new Map(dueCounts.map((entry) => [entry._id, entry.due]));
+
+        res.json({
+            decks: decks.map((deckDoc) => ({ ...serializeDeck(deckDoc), dueToday: dueByDeck.get(deckDoc._id.toString()) || 0 })),
+        });
+    } catch (error) {
+        logger.error('List decks error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load decks' });
+    }
+});
+
+app.get('/api/flashcards/:userId/decks/:deckId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const deckObjectId = parseObjectId(req.params.deckId);
+        const deckDoc = deckObjectId ? await flashcardDecksCollection.findOne({ _id: deckObjectId, userId: req.params.userId }) : null;
+        if (!deckDoc) {
+            return res.status(404).json({ error: 'Deck not found' });
+        }
+
+        const cards = await flashcardsCollection.find({ userId: req.params.userId, deckId: req.params.deckId }).sort({ createdAt: 1 }).toArray();
+        res.json({ deck: serializeDeck(deckDoc), cards: cards.map(serializeFlashcard) });
+    } catch (error) {
+        logger.error('Fetch deck error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load deck' });
+    }
+});
+
+app.delete('/api/flashcards/:userId/decks/:deckId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const deckObjectId = parseObjectId(req.params.deckId);
+        const result = deckObjectId ? await flashcardDecksCollection.deleteOne({ _id: deckObjectId, userId: req.params.userId }) : null;
+        if (!result?.deletedCount) {
+            return res.status(404).json({ error: 'Deck not found' });
+        }
+
+        await flashcardsCollection.deleteMany({ userId: req.params.userId, deckId: req.params.deckId });
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Delete deck error:', error);
+        res.status(500).json({ error: error.message || 'Failed to delete deck' });
+    }
+});
+
+// Cards due by the end of the caller's day, most overdue first.
+app.get('/api/flashcards/:userId/due', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const filter = { userId: req.params.userId, dueAt: { $lte: endOfLocalDay(req.query.timezoneOffset) } };
+        if (req.query.deckId) {
+            filter.deckId = String(req.query.deckId);
+        }
+
+        const limit = Math.min(Number(req.query.limit) || 50, 200);
+        const [cards, total] = await Promise.all([
+            flashcardsCollection.find(filter).sort({ dueAt: 1 }).limit(limit).toArray(),
+            flashcardsCollection.countDocuments(filter),
+        ]);
+
+        res.json({ cards: cards.map(serializeFlashcard), total });
+    } catch (error) {
+        logger.error('Due flashcards error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load due flashcards' });
+    }
+});
+
+app.post('/api/flashcards/:userId/cards/:cardId/review', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const grade = Number(req.body?.grade);
+        if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+            return res.status(400).json({ error: 'Grade must be an integer from 0 to 5' });
+        }
+
+        const cardObjectId = parseObjectId(req.params.cardId);
+        const cardDoc = cardObjectId ? await flashcardsCollection.findOne({ _id: cardObjectId, userId: req.params.userId }) : null;
+        if (!cardDoc) {
+            return res.status(404).json({ error: 'Flashcard not found' });
+        }
+
+        const schedule = scheduleReview(cardDoc, grade);
+        await flashcardsCollection.updateOne(
+            { _id: cardDoc._id },
+            { $set: schedule, $inc: { reviewCount: 1 }, $push: { reviews: { grade, reviewedAt: schedule.lastReviewedAt } } }
+        );
+
+        res.json({ card: serializeFlashcard({ ...cardDoc, ...schedule, reviewCount: (cardDoc.reviewCount || 0) + 1 }) });
+    } catch (error) {
+        logger.error('Flashcard review error:', error);
+        res.status(500).json({ error: error.message || 'Failed to record review' });
+    }
+});
+
+app.post('/api/study-plans/:userId', requireAuth, requireSameUser, enforceAIQuota, async (req, res) => {
+    try {
+        const { spec, error } = parseStudyPlanRequest(req.body || {});
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const inputText = [spec.title, ...spec.subjects.flatMap((subject) => [subject.name, ...subject.topics])].join('\n');
+        const mod = checkModeration(req, inputText);
+        if (!mod.allowed) {
+            return sendInputBlocked(res, mod);
+        }
+
+        const generated = await generateStudyPlanSessions(spec);
+        if (!generated.sessions) {
+            logger.error('Study plan validation failed', { errors: generated.errors });
+            return res.status(502).json({ error: 'The AI did not return a usable study plan. Please try again.', details: generated.errors });
+        }
+
+        const outputCheck = checkModeration(req, generated.sessions.map((session) => `${session.topic}\n${session.notes}`).join('\n'), { stage: 'output', contextText: inputText });
+        if (!outputCheck.allowed) {
+            return sendOutputBlocked(res, outputCheck);
+        }
+
+        const now = new Date();
+        const planDoc = {
+            userId: req.params.userId,
+            ...spec,
+            sessions: orderStudySessions(generated.sessions.map((session, index) => ({
+                id: new ObjectId().toString(),
+                ...session,
+                order: index,
+                status: 'pending',
+                completedAt: null,
+                rescheduledFrom: null,
+            }))),
+            generationAttempts: generated.attempts,
+            revision: 0,
             createdAt: now,
             updatedAt: now,
-            lastLoginAt: now,
-            signInCount: 1,
-            activeChatId: null,
         };
+        const result = await studyPlansCollection.insertOne(planDoc);
+        planDoc._id = result.insertedId;
 
-        const result = await usersCollection.insertOne(userDoc);
-        const savedUser = await usersCollection.findOne({ _id: result.insertedId });
+        res.status(201).json({ plan: serializeStudyPlan(planDoc) });
+    } catch (error) {
+        logger.error('Study plan generation error:', error);
+        res.status(500).json({ error: error.message || 'Failed to generate study plan' });
+    }
+});
 
-        return res.status(201).json({ user: serializeUser(savedUser) });
+app.get('/api/study-plans/:userId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const plans = await studyPlansCollection.find({ userId: req.params.userId }).sort({ createdAt: -1 }).toArray();
+        res.json({ plans: plans.map((planDoc) => serializeStudyPlan(planDoc, { includeSessions: false })) });
     } catch (error) {
-        console.error('Signup error:', error);
-        if (error.code === 11000) {
-            return res.status(409).json({ error: 'User already exists with this email' });
+        logger.error('List study plans error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load study plans' });
+    }
+});
+
+const findStudyPlan = (req) => {
+    const planObjectId = parseObjectId(req.params.planId);
+    return planObjectId ? studyPlansCollection.findOne({ _id: planObjectId, userId: req.params.userId }) : null;
+};
+
+app.get('/api/study-plans/:userId/:planId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const planDoc = await findStudyPlan(req);
+        if (!planDoc) {
+            return res.status(404).json({ error: 'Study plan not found' });
         }
-        res.status(500).json({ error: error.message || 'Signup failed' });
+        res.json({ plan: serializeStudyPlan(planDoc) });
+    } catch (error) {
+        logger.error('Fetch study plan error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load study plan' });
     }
 });
 
-app.post('/api/auth/signin', async (req, res) => {
+app.delete('/api/study-plans/:userId/:planId', requireAuth, requireSameUser, async (req, res) => {
     try {
-        if (!await ensureMongoReady(res)) return;
+        const planObjectId = parseObjectId(req.params.planId);
+        const result = planObjectId ? await studyPlansCollection.deleteOne({ _id: planObjectId, userId: req.params.userId }) : null;
+        if (!result?.deletedCount) {
+            return res.status(404).json({ error: 'Study plan not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Delete study plan error:', error);
+        res.status(500).json({ error: error.message || 'Failed to delete study plan' });
+    }
+});
 
-        const { email, passwordHash } = req.body || {};
-        const normalizedEmail = normalizeEmail(email);
+// Marks a session done, skipped or pending again, and/or moves it to another date.
+app.patch('/api/study-plans/:userId/:planId/sessions/:sessionId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const { status, date } = req.body || {};
+        if (status === undefined && date === undefined) {
+            return res.status(400).json({ error: 'Provide a status or a date' });
+        }
+        if (status !== undefined && !STUDY_SESSION_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${STUDY_SESSION_STATUSES.join(', ')}` });
+        }
+        if (date !== undefined && !isIsoDate(date)) {
+            return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+        }
 
-        if (!normalizedEmail || !passwordHash) {
-            return res.status(400).json({ error: 'Email and password are required' });
+        const planDoc = await findStudyPlan(req);
+        const session = planDoc?.sessions.find((item) => item.id === req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Study session not found' });
         }
 
-        const user = await usersCollection.findOne({ emailLower: normalizedEmail, passwordHash });
-        if (!user) {
-            return res.status(401).json({ error: 'Invalid email or password' });
+        const now = new Date();
+        const changes = {};
+        if (status !== undefined) {
+            changes['sessions.$.status'] = status;
+            changes['sessions.$.completedAt'] = status === 'done' ? now : null;
+        }
+        if (date !== undefined && date !== session.date) {
+            changes['sessions.$.date'] = date;
+            // Goes to the end of its new day.
+            changes['sessions.$.order'] = Math.max(-1, ...planDoc.sessions.filter((item) => item.date === date).map((item) => item.order)) + 1;
+            changes['sessions.$.rescheduledFrom'] = session.rescheduledFrom || session.date;
         }
 
+        const updated = await studyPlansCollection.findOneAndUpdate(
+            { _id: planDoc._id, 'sessions.id': session.id },
+            { $set: { ...changes, updatedAt: now }, $inc: { revision: 1 } },
+            { returnDocument: 'after' }
+        );
+
+        res.json({ plan: serializeStudyPlan(updated) });
+    } catch (error) {
+        logger.error('Update study session error:', error);
+        res.status(500).json({ error: error.message || 'Failed to update study session' });
+    }
+});
+
+// Pushes unfinished work forward: every pending session, overdue ones included, is re-packed onto
+// study days from `fromDate` (default: today in the plan's timezone) in its original order.
+app.post('/api/study-plans/:userId/:planId/reschedule', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const planDoc = await findStudyPlan(req);
+        if (!planDoc) {
+            return res.status(404).json({ error: 'Study plan not found' });
+        }
+
+        const fromDate = req.body?.fromDate || localIsoDate(planDoc.timezoneOffset);
+        if (!isIsoDate(fromDate)) {
+            return res.status(400).json({ error: 'fromDate must be in YYYY-MM-DD format' });
+        }
+
+        const { sessions, moved } = repackStudySessions(planDoc, fromDate);
         const now = new Date();
-        await usersCollection.updateOne(
-            { _id: user._id },
-            {
-                $set: {
-                    lastLoginAt: now,
-                    updatedAt: now,
-                },
-                $addToSet: { authMethods: 'local' },
-                $inc: { signInCount: 1 },
-            }
+        // Compare-and-set on revision so a concurrent session update is not overwritten.
+        const updated = await studyPlansCollection.findOneAndUpdate(
+            { _id: planDoc._id, revision: planDoc.revision },
+            { $set: { sessions, updatedAt: now }, $inc: { revision: 1 } },
+            { returnDocument: 'after' }
         );
+        if (!updated) {
+            return res.status(409).json({ error: 'The plan changed while rescheduling. Please try again.' });
+        }
 
-        const refreshedUser = await usersCollection.findOne({ _id: user._id });
-        return res.json({ user: serializeUser(refreshedUser) });
+        const plan = serializeStudyPlan(updated);
+        res.json({
+            plan,
+            moved,
+            ...(plan.sessionsAfterExam ? { warning: `${plan.sessionsAfterExam} session(s) no longer fit before the exam` } : {}),
+        });
     } catch (error) {
-        console.error('Signin error:', error);
-        res.status(500).json({ error: error.message || 'Signin failed' });
+        logger.error('Reschedule study plan error:', error);
+        res.status(500).json({ error: error.message || 'Failed to reschedule study plan' });
+    }
+});
+
+app.get('/api/study-plans/:userId/:planId/calendar.ics', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const planDoc = await findStudyPlan(req);
+        if (!planDoc) {
+            return res.status(404).json({ error: 'Study plan not found' });
+        }
+        sendStudyPlanIcs(res, planDoc);
+    } catch (error) {
+        logger.error('Study plan calendar error:', error);
+        res.status(500).json({ error: error.message || 'Failed to export calendar' });
+    }
+});
+
+// Calendar apps cannot send a bearer token, so subscriptions use an unguessable feed URL.
+// Only the token's hash is stored; creating a new one revokes the old URL.
+app.post('/api/study-plans/:userId/:planId/calendar-feed', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const token = crypto.randomBytes(24).toString('base64url');
+        const planObjectId = parseObjectId(req.params.planId);
+        const result = planObjectId
+            ? await studyPlansCollection.updateOne({ _id: planObjectId, userId: req.params.userId }, { $set: { calendarTokenHash: hashToken(token) } })
+            : null;
+        if (!result?.matchedCount) {
+            return res.status(404).json({ error: 'Study plan not found' });
+        }
+        res.status(201).json({ url: `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics` });
+    } catch (error) {
+        logger.error('Calendar feed error:', error);
+        res.status(500).json({ error: error.message || 'Failed to create calendar feed' });
+    }
+});
+
+app.delete('/api/study-plans/:userId/:planId/calendar-feed', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const planObjectId = parseObjectId(req.params.planId);
+        const result = planObjectId
+            ? await studyPlansCollection.updateOne({ _id: planObjectId, userId: req.params.userId }, { $unset: { calendarTokenHash: '' } })
+            : null;
+        if (!result?.matchedCount) {
+            return res.status(404).json({ error: 'Study plan not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Revoke calendar feed error:', error);
+        res.status(500).json({ error: error.message || 'Failed to revoke calendar feed' });
+    }
+});
+
+app.get('/api/calendar/:token.ics', async (req, res) => {
+    try {
+        if (!await ensureMongoReady(res)) return;
+        const planDoc = await studyPlansCollection.findOne({ calendarTokenHash: hashToken(req.params.token) });
+        if (!planDoc) {
+            return res.status(404).json({ error: 'Calendar not found' });
+        }
+        sendStudyPlanIcs(res, planDoc);
+    } catch (error) {
+        logger.error('Calendar feed error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load calendar' });
+    }
+});
+
+// Progress summary for a date range (`from`/`to` as YYYY-MM-DD, default the last 30 days).
+app.get('/api/analytics/:userId', requireAuth, requireSameUser, async (req, res) => {
+    try {
+        const { range, error } = parseAnalyticsRange(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const userObjectId = parseObjectId(req.params.userId);
+        const [user, analytics] = await Promise.all([
+            userObjectId ? usersCollection.findOne({ _id: userObjectId }, { projection: { signInCount: 1, lastLoginAt: 1, createdAt: 1 } }) : null,
+            buildLearningAnalytics(req.params.userId, range),
+        ]);
+
+        res.json({
+            range: { from: range.from, to: range.to, timezoneOffset: range.timezoneOffset },
+            account: {
+                signInCount: user?.signInCount || 0,
+                lastLoginAt: user?.lastLoginAt || null,
+                memberSince: user?.createdAt || null,
+            },
+            ...analytics,
+        });
+    } catch (error) {
+        logger.error('Analytics error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load analytics' });
+    }
+});
+
+app.post('/api/classrooms', requireAuth, requireTeacher, async (req, res) => {
+    try {
+        const name = String(req.body?.name || '').trim();
+        if (!name || name.length > 120) {
+            return res.status(400).json({ error: 'Name must be 1-120 characters' });
+        }
+
+        const now = new Date();
+        const classroomDoc = {
+            name,
+            description: String(req.body?.description || '').trim().slice(0, 1000),
+            teacherId: req.auth.userId,
+            students: [],
+            createdAt: now,
+            updatedAt: now,
+        };
+        await withFreshJoinCode(async (joinCode) => {
+            classroomDoc.joinCode = joinCode;
+            await classroomsCollection.insertOne(classroomDoc);
+        });
+
+        res.status(201).json({ classroom: serializeClassroom(classroomDoc, 'teacher') });
+    } catch (error) {
+        logger.error('Create classroom error:', error);
+        res.status(500).json({ error: error.message || 'Failed to create classroom' });
+    }
+});
+
+// Classrooms the caller teaches or has joined.
+app.get('/api/classrooms', requireAuth, async (req, res) => {
+    try {
+        const userId = req.auth.userId;
+        const classrooms = await classroomsCollection
+            .find({ $or: [{ teacherId: userId }, { 'students.userId': userId }] })
+            .sort({ createdAt: -1 })
+            .toArray();
+        const teachers = await usersCollection.find(
+            { _id: { $in: [...new Set(classrooms.map((classroom) => classroom.teacherId))].map(parseObjectId).filter(Boolean) } },
+            { projection: { name: 1 } }
+        ).toArray();
+        const teacherNames = new Map(teachers.map((teacher) => [teacher._id.toString(), teacher.name]));
+
+        res.json({
+            classrooms: classrooms.map((classroom) => serializeClassroom(
+                classroom,
+                classroom.teacherId === userId ? 'teacher' : 'student',
+                { teacherName: teacherNames.get(classroom.teacherId) }
+            )),
+        });
+    } catch (error) {
+        logger.error('List classrooms error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load classrooms' });
+    }
+});
+
+app.post('/api/classrooms/join', requireAuth, async (req, res) => {
+    try {
+        const userId = req.auth.userId;
+        const classroom = await classroomsCollection.findOne({ joinCode: normalizeJoinCode(req.body?.code) });
+        if (!classroom) {
+            return res.status(404).json({ error: 'No classroom matches that code' });
+        }
+        if (classroom.teacherId === userId) {
+            return res.status(400).json({ error: 'You teach this classroom' });
+        }
+
+        if (!classroom.students.some((student) => student.userId === userId)) {
+            // The size check is part of the update so concurrent joins cannot overfill the class.
+            const result = await classroomsCollection.updateOne(
+                { _id: classroom._id, 'students.userId': { $ne: userId }, [`students.${CLASSROOM_MAX_STUDENTS - 1}`]: { $exists: false } },
+                { $push: { students: { userId, joinedAt: new Date() } } }
+            );
+            if (!result.modifiedCount && !await classroomsCollection.countDocuments({ _id: classroom._id, 'students.userId': userId })) {
+                return res.status(409).json({ error: 'This classroom is full' });
+            }
+        }
+
+        const updated = await classroomsCollection.findOne({ _id: classroom._id });
+        res.json({ classroom: serializeClassroom(updated, 'student') });
+    } catch (error) {
+        logger.error('Join classroom error:', error);
+        res.status(500).json({ error: error.message || 'Failed to join classroom' });
+    }
+});
+
+// Teachers also get the roster.
+app.get('/api/classrooms/:classroomId', requireAuth, requireClassroomMember(), async (req, res) => {
+    try {
+        const { classroom, classroomRole } = req;
+        const ids = [classroom.teacherId, ...(classroomRole === 'teacher' ? classroom.students.map((student) => student.userId) : [])];
+        const users = await usersCollection.find(
+            { _id: { $in: ids.map(parseObjectId).filter(Boolean) } },
+            { projection: { name: 1, emailLower: 1 } }
+        ).toArray();
+        const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+        res.json({
+            classroom: {
+                ...serializeClassroom(classroom, classroomRole, { teacherName: usersById.get(classroom.teacherId)?.name }),
+                ...(classroomRole === 'teacher' ? {
+                    students: classroom.students.map((student) => ({
+                        id: student.userId,
+                        name: usersById.get(student.userId)?.name || '',
+                        email: usersById.get(student.userId)?.emailLower || '',
+                        joinedAt: student.joinedAt,
+                    })),
+                } : {}),
+            },
+        });
+    } catch (error) {
+        logger.error('Fetch classroom error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load classroom' });
+    }
+});
+
+app.delete('/api/classrooms/:classroomId', requireAuth, requireClassroomMember({ teacherOnly: true }), async (req, res) => {
+    try {
+        const classroomId = req.classroom._id.toString();
+        await classAssignmentsCollection.deleteMany({ classroomId });
+        await classroomsCollection.deleteOne({ _id: req.classroom._id });
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Delete classroom error:', error);
+        res.status(500).json({ error: error.message || 'Failed to delete classroom' });
+    }
+});
+
+// Issues a new join code; the old one stops working.
+app.post('/api/classrooms/:classroomId/join-code', requireAuth, requireClassroomMember({ teacherOnly: true }), async (req, res) => {
+    try {
+        const joinCode = await withFreshJoinCode((code) => classroomsCollection.updateOne(
+            { _id: req.classroom._id },
+            { $set: { joinCode: code, updatedAt: new Date() } }
+        ));
+        res.json({ joinCode });
+    } catch (error) {
+        logger.error('Join code error:', error);
+        res.status(500).json({ error: error.message || 'Failed to reset join code' });
     }
 });
 
-app.post('/api/auth/google', async (req, res) => {
+// Teachers remove a student; students may remove themselves to leave.
+app.delete('/api/classrooms/:classroomId/students/:studentId', requireAuth, requireClassroomMember(), async (req, res) => {
     try {
-        if (!await ensureMongoReady(res)) return;
+        if (req.classroomRole !== 'teacher' && req.params.studentId !== req.auth.userId) {
+            return res.status(403).json({ error: 'Only the classroom teacher can remove other students' });
+        }
 
-        const { credential, profile } = req.body || {};
-        let payload = profile || null;
+        const result = await classroomsCollection.updateOne(
+            { _id: req.classroom._id },
+            { $pull: { students: { userId: req.params.studentId } } }
+        );
+        if (!result.modifiedCount) {
+            return res.status(404).json({ error: 'Student not found in this classroom' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Remove student error:', error);
+        res.status(500).json({ error: error.message || 'Failed to remove student' });
+    }
+});
 
-        if (credential) {
-            if (!googleAuthClient || !GOOGLE_CLIENT_ID) {
-                return res.status(500).json({
-                    error: 'Google auth is not configured on backend. Set GOOGLE_CLIENT_ID in Render env.',
-                });
-            }
+// Publishes one of the teacher's stored quizzes (from POST /api/quiz) to the classroom.
+app.post('/api/classrooms/:classroomId/assignments', requireAuth, requireClassroomMember({ teacherOnly: true }), async (req, res) => {
+    try {
+        const { quizId, dueAt, title, allowLate = false, maxAttempts = 1 } = req.body || {};
 
-            const ticket = await googleAuthClient.verifyIdToken({
-                idToken: credential,
-                audience: GOOGLE_CLIENT_ID,
-            });
-            payload = ticket.getPayload();
+        const due = new Date(dueAt);
+        if (!dueAt || Number.isNaN(due.getTime()) || due <= new Date()) {
+            return res.status(400).json({ error: 'dueAt must be a future date and time (ISO 8601)' });
         }
-
-        if (!payload?.email) {
-            return res.status(400).json({ error: 'Unable to read Google account details' });
+        const attemptsAllowed = Number(maxAttempts);
+        if (!Number.isInteger(attemptsAllowed) || attemptsAllowed < 1 || attemptsAllowed > 10) {
+            return res.status(400).json({ error: 'maxAttempts must be a whole number from 1 to 10' });
         }
 
-        const normalizedEmail = normalizeEmail(payload.email);
-        const now = new Date();
-        const setPayload = {
-            name: payload.name || payload.given_name || normalizedEmail.split('@')[0] || 'Google User',
-            email: normalizedEmail,
-            emailLower: normalizedEmail,
-            googleSub: payload.sub || null,
-            provider: 'google',
-            lastLoginAt: now,
-            updatedAt: now,
-        };
-
-        if (payload.picture) {
-            setPayload.profileImage = payload.picture;
+        const quizObjectId = parseObjectId(quizId);
+        const quizDoc = quizObjectId ? await quizzesCollection.findOne({ _id: quizObjectId, userId: req.auth.userId }) : null;
+        if (!quizDoc) {
+            return res.status(404).json({ error: 'Quiz not found' });
         }
 
-        const updateDoc = {
-            $set: setPayload,
-            $setOnInsert: {
-                createdAt: now,
-                passwordHash: null,
-                activeChatId: null,
-            },
-            $addToSet: { authMethods: 'google' },
-            $inc: { signInCount: 1 },
+        const assignmentDoc = {
+            classroomId: req.classroom._id.toString(),
+            teacherId: req.auth.userId,
+            quizId: quizDoc._id.toString(),
+            title: String(title || '').trim().slice(0, 200) || quizDoc.topic,
+            topic: quizDoc.topic,
+            difficulty: quizDoc.difficulty,
+            types: quizDoc.types,
+            questions: quizDoc.questions,
+            dueAt: due,
+            allowLate: Boolean(allowLate),
+            maxAttempts: attemptsAllowed,
+            publishedAt: new Date(),
         };
+        const result = await classAssignmentsCollection.insertOne(assignmentDoc);
+        assignmentDoc._id = result.insertedId;
 
-        const result = await usersCollection.findOneAndUpdate(
-            { emailLower: normalizedEmail },
-            updateDoc,
-            { upsert: true, returnDocument: 'after' }
-        );
-
-        // MongoDB driver versions differ in findOneAndUpdate return shape.
-        // Normalize to always return the actual user document.
-        const updatedUserDoc = result?.value || result || await usersCollection.findOne({ emailLower: normalizedEmail });
-
-        return res.json({ user: serializeUser(updatedUserDoc) });
+        res.status(201).json({ assignment: serializeAssignment(assignmentDoc, { includeQuestions: true, includeAnswers: true }) });
     } catch (error) {
-        console.error('Google auth error:', error);
-        res.status(500).json({ error: error.message || 'Google authentication failed' });
+        logger.error('Publish assignment error:', error);
+        res.status(500).json({ error: error.message || 'Failed to publish assignment' });
     }
 });
 
-app.get('/api/chats/:userId', async (req, res) => {
+// Teachers see how many students have submitted; students see their own progress.
+app.get('/api/classrooms/:classroomId/assignments', requireAuth, requireClassroomMember(), async (req, res) => {
     try {
-        if (!await ensureMongoReady(res)) return;
-
-        const userObjectId = parseObjectId(req.params.userId);
-        if (!userObjectId) {
-            return res.status(400).json({ error: 'Invalid user id' });
-        }
-
-        const user = await usersCollection.findOne({ _id: userObjectId });
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
-        }
+        const classroomId = req.classroom._id.toString();
+        const assignments = await classAssignmentsCollection.aggregate([
+            { $match: { classroomId } },
+            { $addFields: { questionCount: { $size: '$questions' } } },
+            { $project: { questions: 0 } },
+            { $sort: { dueAt: 1 } },
+        ]).toArray();
 
-        const chats = await chatsCollection.find({ userId: userObjectId.toString() }).sort({ updatedAt: -1 }).toArray();
+        const teacherView = req.classroomRole === 'teacher';
+        const studentIds = req.classroom.students.map((student) => student.userId);
+        const progress = await quizAttemptsCollection.aggregate([
+            {
+                $match: teacherView
+                    ? { classroomId, userId: { $in: studentIds } }
+                    : { classroomId, userId: req.auth.userId },
+            },
+            {
+                $group: {
+                    _id: teacherView ? { assignmentId: '$assignmentId', userId: '$userId' } : { assignmentId: '$assignmentId' },
+                    attempts: { $sum: 1 },
+                    bestPercentage: { $max: '$percentage' },
+                },
+            },
+            {
+                $group: {
+                    _id: '$_id.assignmentId',
+                    submitted: { $sum: 1 },
+                    attempts: { $sum: '$attempts' },
+                    bestPercentage: { $max: '$bestPercentage' },
+                },
+            },
+        ]).toArray();
+        const progressById = new Map(progress.map((entry) => [entry._id, entry]));
 
         res.json({
-            chats: chats.map(serializeChat),
-            activeChatId: user.activeChatId || null,
+            assignments: assignments.map((assignmentDoc) => {
+                const id = assignmentDoc._id.toString();
+                const entry = progressById.get(id);
+                return {
+                    ...serializeAssignment(assignmentDoc),
+                    closed: isAssignmentClosed(assignmentDoc),
+                    ...(teacherView
+                        ? { submittedCount: entry?.submitted || 0, studentCount: studentIds.length }
+                        : { attempts: entry?.attempts || 0, bestPercentage: entry?.bestPercentage ?? null }),
+                };
+            }),
         });
     } catch (error) {
-        console.error('Fetch chats error:', error);
-        res.status(500).json({ error: error.message || 'Failed to load chats' });
+        logger.error('List assignments error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load assignments' });
     }
 });
 
-app.put('/api/chats/:userId', async (req, res) => {
-    try {
-        if (!await ensureMongoReady(res)) return;
+const findAssignment = (req) => {
+    const assignmentObjectId = parseObjectId(req.params.assignmentId);
+    return assignmentObjectId
+        ? classAssignmentsCollection.findOne({ _id: assignmentObjectId, classroomId: req.classroom._id.toString() })
+        : null;
+};
 
-        const userObjectId = parseObjectId(req.params.userId);
-        if (!userObjectId) {
-            return res.status(400).json({ error: 'Invalid user id' });
-        }
+// Correct answers and explanations stay hidden from students while they can still attempt the
+// assignment; after their last attempt or the due date they see the full results.
+const studentCanSeeAnswers = (assignmentDoc, attemptCount) => attemptCount >= assignmentDoc.maxAttempts || isAssignmentClosed(assignmentDoc);
 
-        const { chats = [], activeChatId = null } = req.body || {};
-        if (!Array.isArray(chats)) {
-            return res.status(400).json({ error: 'Chats must be an array' });
+const hideAnswerKey = (results) => results.map(({ index, type, selected, isCorrect }) => ({ index, type, selected, isCorrect }));
+
+app.get('/api/classrooms/:classroomId/assignments/:assignmentId', requireAuth, requireClassroomMember(), async (req, res) => {
+    try {
+        const assignmentDoc = await findAssignment(req);
+        if (!assignmentDoc) {
+            return res.status(404).json({ error: 'Assignment not found' });
         }
 
-        await syncChatsForUser(userObjectId.toString(), chats);
+        if (req.classroomRole === 'teacher') {
+            return res.json({ assignment: serializeAssignment(assignmentDoc, { includeQuestions: true, includeAnswers: true }) });
+        }
 
-        await usersCollection.updateOne(
-            { _id: userObjectId },
-            {
-                $set: {
-                    activeChatId,
-                    updatedAt: new Date(),
-                },
-            }
-        );
+        const attempts = await quizAttemptsCollection
+            .find({ assignmentId: assignmentDoc._id.toString(), userId: req.auth.userId })
+            .sort({ submittedAt: 1 })
+            .toArray();
+        const reveal = studentCanSeeAnswers(assignmentDoc, attempts.length);
 
         res.json({
-            success: true,
-            chats: chats.map(serializeChat),
-            activeChatId,
+            assignment: {
+                ...serializeAssignment(assignmentDoc, { includeQuestions: true, includeAnswers: reveal }),
+                closed: isAssignmentClosed(assignmentDoc),
+                attemptsRemaining: Math.max(assignmentDoc.maxAttempts - attempts.length, 0),
+            },
+            attempts: attempts.map((attemptDoc) => ({
+                ...serializeQuizAttempt(attemptDoc),
+                late: Boolean(attemptDoc.late),
+                results: reveal ? attemptDoc.results : hideAnswerKey(attemptDoc.results),
+            })),
         });
     } catch (error) {
-        console.error('Save chats error:', error);
-        res.status(500).json({ error: error.message || 'Failed to save chats' });
+        logger.error('Fetch assignment error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load assignment' });
     }
 });
 
-// Chat completion endpoint - uses Google Gemini with Groq fallback
-app.post('/api/chat', upload.array('files'), async (req, res) => {
+app.delete('/api/classrooms/:classroomId/assignments/:assignmentId', requireAuth, requireClassroomMember({ teacherOnly: true }), async (req, res) => {
     try {
-        const messages = JSON.parse(req.body.messages || '[]');
-        const userMessage = req.body.userMessage || '';
-        const config = JSON.parse(req.body.config || '{}');
-        const files = req.files || [];
-
-        // Process uploaded files
-        let fileContext = "";
-        console.log('Chat endpoint received', files.length, 'file(s)');
-        if (files && files.length > 0) {
-            console.log('Uploaded files:', files.map(f => ({ originalname: f.originalname, path: f.path, mimetype: f.mimetype })));
+        const assignmentObjectId = parseObjectId(req.params.assignmentId);
+        const result = assignmentObjectId
+            ? await classAssignmentsCollection.deleteOne({ _id: assignmentObjectId, classroomId: req.classroom._id.toString() })
+            : null;
+        if (!result?.deletedCount) {
+            return res.status(404).json({ error: 'Assignment not found' });
         }
-        if (files && files.length > 0) {
-            fileContext = "\n\n--- Uploaded Files Context ---\n";
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Delete assignment error:', error);
+        res.status(500).json({ error: error.message || 'Failed to delete assignment' });
+    }
+});
 
-            for (const file of files) {
-                try {
-                    const fileName = file.originalname;
-                    const filePath = file.path;
-                    const fileType = file.mimetype;
-
-                    fileContext += `\n[FILE: ${fileName}]\n`;
-
-                    if (fileType.startsWith('image/')) {
-                        fileContext += "[IMAGE UPLOADED - Analyze visual content, diagrams, charts, text in images]\n";
-                    } else if (fileType === 'application/pdf') {
-                        // Parse PDF
-                        try {
-                            const pdfBuffer = fs.readFileSync(filePath);
-                            const pdfData = await pdfParse(pdfBuffer);
-                            const pdfText = pdfData.text.substring(0, 3000);
-                            fileContext += `[PDF CONTENT]:\n${pdfText}\n`;
-                        } catch (pdfErr) {
-                            fileContext += "[PDF FILE - Unable to parse, but available for context]\n";
-                        }
-                    } else if (fileType.startsWith('text/') || fileType === 'application/x-yaml' || fileType === 'application/javascript') {
-                        // Read text files
-                        try {
-                            const textContent = fs.readFileSync(filePath, 'utf-8').substring(0, 3000);
-                            fileContext += `[TEXT CONTENT]:\n${textContent}\n`;
-                        } catch (textErr) {
-                            fileContext += "[Text file - Unable to read]\n";
-                        }
-                    } else {
-                        fileContext += `[${fileType} FILE]\n`;
-                    }
-                } catch (err) {
-                    console.error(`Error processing file:`, err);
-                    fileContext += `[Error processing file: ${file.originalname}]\n`;
-                }
-            }
-            fileContext += "--- End of Files ---\n";
+// Students submit `{ answers }` in the same shape as /api/quizzes/:userId/:quizId/submit.
+app.post('/api/classrooms/:classroomId/assignments/:assignmentId/submit', requireAuth, requireClassroomMember(), async (req, res) => {
+    try {
+        if (req.classroomRole !== 'student') {
+            return res.status(403).json({ error: 'Only students can submit assignments' });
         }
 
-        // Clean up uploaded files
-        files.forEach(file => {
-            try {
-                fs.unlinkSync(file.path);
-            } catch (err) {
-                console.error(`Error deleting file: ${file.path}`, err);
-            }
-        });
+        const assignmentDoc = await findAssignment(req);
+        if (!assignmentDoc) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
 
-        // Prepare messages for AI API
-        // Add explicit study-only / safety instructions to system message
-        const safetyInstructions = `\n\nSafety and scope: Only answer study-related, educational, or academic questions. If a user asks for adult, sexual, illegal, violent, or political content, refuse and respond with: "I can only help with study-related questions."`;
+        const { answers } = req.body || {};
+        if (!Array.isArray(answers)) {
+            return res.status(400).json({ error: 'Answers must be an array with one entry per question' });
+        }
 
-        // Dynamic context: current date/time/year/month and optional location/weather
-        const now = new Date();
-        const currentDate = now.toLocaleDateString();
-        const currentTime = now.toLocaleTimeString();
-        const currentYear = now.getFullYear();
-        const currentMonth = now.toLocaleString('default', { month: 'long' });
-        const serverTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        const late = isAssignmentClosed(assignmentDoc);
+        if (late && !assignmentDoc.allowLate) {
+            return res.status(409).json({ error: 'This assignment is past its due date' });
+        }
 
-        // Determine location: prefer device-provided location in config.deviceContext, then config.location (string), otherwise default env var
-        let locationObj = null;
-        if (config && config.deviceContext && config.deviceContext.location) {
-            locationObj = config.deviceContext.location; // expected { lat, lon, label }
-        } else if (config && config.location) {
-            locationObj = config.location; // could be string or { lat, lon }
+        const assignmentId = assignmentDoc._id.toString();
+        const previousAttempts = await quizAttemptsCollection.countDocuments({ assignmentId, userId: req.auth.userId });
+        if (previousAttempts >= assignmentDoc.maxAttempts) {
+            return res.status(409).json({ error: 'No attempts left for this assignment' });
         }
-        const defaultLocation = process.env.DEFAULT_LOCATION || null;
 
-        // Helper to fetch weather (OpenWeatherMap) if API key provided
-        let weatherSummary = '';
-        const weatherApiKey = process.env.WEATHER_API_KEY;
-        if (weatherApiKey) {
-            try {
-                let weatherResp;
-                if (locationObj && typeof locationObj === 'object' && locationObj.lat && locationObj.lon) {
-                    // fetch by coordinates
-                    weatherResp = await fetch(`https://api.openweathermap.org/data/2.5/weather?lat=${locationObj.lat}&lon=${locationObj.lon}&units=metric&appid=${weatherApiKey}`);
-                } else if (locationObj && typeof locationObj === 'string') {
-                    weatherResp = await fetch(`https://api.openweathermap.org/data/2.5/weather?q=${encodeURIComponent(locationObj)}&units=metric&appid=${weatherApiKey}`);
-                } else if (defaultLocation) {
-                    weatherResp = await fetch(`https://api.openweathermap.org/data/2.5/weather?q=${encodeURIComponent(defaultLocation)}&units=metric&appid=${weatherApiKey}`);
-                }
+        const grade = gradeQuiz(assignmentDoc, answers);
+        const attemptDoc = {
+            userId: req.auth.userId,
+            quizId: assignmentDoc.quizId,
+            classroomId: assignmentDoc.classroomId,
+            assignmentId,
+            topic: assignmentDoc.topic,
+            attemptNumber: previousAttempts + 1,
+            answers: grade.results.map((result) => result.selected),
+            results: grade.results,
+            score: grade.score,
+            total: grade.total,
+            percentage: grade.percentage,
+            late,
+            submittedAt: new Date(),
+        };
 
-                if (weatherResp && weatherResp.ok) {
-                    const w = await weatherResp.json();
-                    const desc = w.weather && w.weather[0] && w.weather[0].description ? w.weather[0].description : '';
-                    const temp = w.main && w.main.temp ? `${w.main.temp}°C` : '';
-                    const feels = w.main && w.main.feels_like ? `${w.main.feels_like}°C` : '';
-                    const locLabel = (locationObj && locationObj.label) || (typeof locationObj === 'string' ? locationObj : (defaultLocation || `${locationObj?.lat || ''},${locationObj?.lon || ''}`));
-                    weatherSummary = `${locLabel ? `Current weather in ${locLabel}: ` : 'Current weather:'}${desc}. Temperature: ${temp}. Feels like: ${feels}.`;
-                } else if (weatherResp) {
-                    console.log('Weather API responded with status', weatherResp.status);
-                }
-            } catch (werr) {
-                console.log('Weather fetch failed:', werr && (werr.message || werr.toString()));
+        let result;
+        try {
+            result = await quizAttemptsCollection.insertOne(attemptDoc);
+        } catch (error) {
+            // A simultaneous submission already took this attempt number.
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'Another submission for this attempt arrived at the same time. Reload to see your remaining attempts.' });
             }
+            throw error;
         }
+        const reveal = studentCanSeeAnswers(assignmentDoc, previousAttempts + 1);
 
-        const locationLabel = (locationObj && (locationObj.label || (locationObj.lat && locationObj.lon ? `${locationObj.lat},${locationObj.lon}` : null))) || defaultLocation || 'unspecified location';
-
-        const dynamicContext = `\n\nContext: Current server date: ${currentDate}; time: ${currentTime}; year: ${currentYear}; month: ${currentMonth}; timezone: ${serverTimezone}; location: ${locationLabel}. ${weatherSummary}`;
+        res.status(201).json({
+            attempt: {
+                ...serializeQuizAttempt({ ...attemptDoc, _id: result.insertedId }),
+                late,
+                results: reveal ? grade.results : hideAnswerKey(grade.results),
+            },
+            attemptsRemaining: assignmentDoc.maxAttempts - previousAttempts - 1,
+        });
+    } catch (error) {
+        logger.error('Submit assignment error:', error);
+        res.status(500).json({ error: error.message || 'Failed to submit assignment' });
+    }
+});
 
-        // Attach device-provided context if present (frontend should send config.deviceContext)
-        const deviceContextBlock = (config && config.deviceContext) ? `\n\nDevice Context (from user's device): ${JSON.stringify(config.deviceContext)}` : '';
+const sendAssignmentResults = (format) => async (req, res) => {
+    try {
+        const assignmentDoc = await findAssignment(req);
+        if (!assignmentDoc) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
 
-        // Explicit system instructions: allow the model to use provided device/server context for real-time answers
-        const realTimeInstruction = `\n\nReal-time behavior: If the request asks for the current time, date, location, or weather, use the values provided in the Device Context above (if present). If Device Context is not provided, use the server dynamic context included in the prompt. Do NOT claim you lack access to the current time or location when this contextual information is provided. If neither source is available, say: "I don't have device or server time/location available right now."`;
+        const results = await buildAssignmentResults(req.classroom, assignmentDoc);
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${slugify(assignmentDoc.title)}-results.csv"`);
+            return res.send(renderAssignmentResultsCsv(results));
+        }
 
-        const systemMessage = {
-            role: 'system',
-            content: `You are EzStudy AI, a ${config?.personality || 'friendly'} ${config?.mode || 'tutor'}.
-    Your tone should be ${config?.tone || 'balanced'}.
-    ${config?.mode === 'tutor' ? 'Focus on explaining concepts clearly and asking guiding questions.' : ''}
-    ${config?.mode === 'summarizer' ? 'Focus on condensing information into high-impact bullet points.' : ''}
-    ${config?.mode === 'examiner' ? 'Focus on testing the user knowledge and providing critical feedback.' : ''}
-    ${fileContext ? `Files have been uploaded. Please carefully read and analyze their content when answering the user's questions. Use specific information from the files.${fileContext}` : ''}
-    Provide answers in clear markdown format.${safetyInstructions}${dynamicContext}${deviceContextBlock}${realTimeInstruction}`
-        };
+        const scored = results.filter((row) => row.bestPercentage !== null);
+        res.json({
+            assignment: serializeAssignment(assignmentDoc),
+            summary: {
+                students: results.length,
+                submitted: results.filter((row) => row.status === 'submitted').length,
+                late: results.filter((row) => row.status === 'late').length,
+                missing: results.filter((row) => row.status === 'missing').length,
+                pending: results.filter((row) => row.status === 'pending').length,
+                averageBestPercentage: scored.length ? Math.round(scored.reduce((sum, row) => sum + row.bestPercentage, 0) / scored.length) : null,
+            },
+            results,
+        });
+    } catch (error) {
+        logger.error('Assignment results error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load results' });
+    }
+};
 
-        const apiMessages = [systemMessage, ...messages, { role: 'user', content: userMessage }];
+app.get('/api/classrooms/:classroomId/assignments/:assignmentId/results', requireAuth, requireClassroomMember({ teacherOnly: true }), sendAssignmentResults('json'));
+app.get('/api/classrooms/:classroomId/assignments/:assignmentId/results.csv', requireAuth, requireClassroomMember({ teacherOnly: true }), sendAssignmentResults('csv'));
 
-        // Moderate user message and file context before calling AI
-        const userCheck = moderateContent(userMessage || apiMessages.map(m => m.content).join('\n'));
-        if (!userCheck.allowed) {
-            return res.status(400).json({ error: 'Request blocked: content not allowed', reason: userCheck.reason });
+app.put('/api/admin/users/:userId/role', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const { role } = req.body || {};
+        if (!USER_ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of ${USER_ROLES.join(', ')}` });
         }
 
-        // Call AI API with fallback
-        const data = await callAIAPI(apiMessages, config, fileContext);
-        res.json(data);
-
+        const user = await usersCollection.findOneAndUpdate(
+            { _id: parseObjectId(req.params.userId) },
+            { $set: { role, updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ user: serializeUser(user) });
     } catch (error) {
-        console.error('Chat API Error:', error);
-        res.status(500).json({ error: error.message || 'Internal server error' });
+        logger.error('Set role error:', error);
+        res.status(500).json({ error: error.message || 'Failed to update role' });
     }
 });
 
-// Generate quiz endpoint
-app.post('/api/quiz', async (req, res) => {
+// Audit log of blocked requests and responses, for reviewing false positives.
+app.get('/api/moderation/events', requireAuth, requireAdmin, async (req, res) => {
     try {
-        const { topic, difficulty } = req.body;
+        const filter = {};
+        if (req.query.stage) filter.stage = String(req.query.stage);
+        if (req.query.category) filter.category = String(req.query.category);
+        if (req.query.status) filter.reviewStatus = String(req.query.status);
 
-        const messages = [
-            {
-                role: 'system',
-                content: 'You are a quiz generator. Generate exactly 5 multiple choice questions in JSON format. Return ONLY valid JSON array with no markdown or explanation.'
-            },
-            {
-                role: 'user',
-                content: `Generate 5 ${difficulty || 'medium'} difficulty quiz questions about: ${topic}. Format as JSON array: [{"question": "...", "options": ["A", "B", "C", "D"], "correct": 0, "explanation": "..."}]`
-            }
-        ];
+        const page = Math.max(Number(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+        const [events, total] = await Promise.all([
+            moderationEventsCollection.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+            moderationEventsCollection.countDocuments(filter),
+        ]);
 
-        // Moderate input topic/text before calling AI
-        const mod = moderateContent(topic || '');
-        if (!mod.allowed) {
-            return res.status(400).json({ error: 'Request blocked: content not allowed', reason: mod.reason });
-        }
+        res.json({
+            page,
+            limit,
+            total,
+            events: events.map(({ _id, ...event }) => ({ id: _id.toString(), ...event })),
+        });
+    } catch (error) {
+        logger.error('Moderation events error:', error);
+        res.status(500).json({ error: error.message || 'Failed to load moderation events' });
+    }
+});
 
-        const data = await callAIAPI(messages);
-        const content = data.choices[0]?.message?.content || '[]';
+app.post('/api/moderation/events/:eventId/review', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const { decision, note = '' } = req.body || {};
+        if (!['upheld', 'false-positive'].includes(decision)) {
+            return res.status(400).json({ error: 'Decision must be "upheld" or "false-positive"' });
+        }
 
-        // Try to parse JSON from response
-        try {
-            const jsonMatch = content.match(/\[[\s\S]*\]/);
-            const questions = jsonMatch ? JSON.parse(jsonMatch[0]) : [];
-            res.json({ questions });
-        } catch (parseError) {
-            res.json({ questions: [], raw: content });
+        const eventObjectId = parseObjectId(req.params.eventId);
+        const result = eventObjectId ? await moderationEventsCollection.updateOne(
+            { _id: eventObjectId },
+            { $set: { reviewStatus: decision, reviewNote: String(note), reviewedBy: req.auth.userId, reviewedAt: new Date() } }
+        ) : null;
+        if (!result?.matchedCount) {
+            return res.status(404).json({ error: 'Moderation event not found' });
         }
 
+        res.json({ success: true });
     } catch (error) {
-        console.error('Quiz API Error:', error);
-        res.status(500).json({ error: error.message || 'Internal server error' });
+        logger.error('Moderation review error:', error);
+        res.status(500).json({ error: error.message || 'Failed to review moderation event' });
     }
 });
 
-// Generate notes/summary endpoint
-app.post('/api/summarize', async (req, res) => {
+// Generate notes/summary endpoint. Accepts JSON `{ text, style }` or multipart with `files` (PDF/text).
+app.post('/api/summarize', optionalAuth, withRequestContext(upload.array('files')), enforceAIQuota, async (req, res) => {
     try {
         const { text, style } = req.body;
+        const files = req.files || [];
 
-        const messages = [
-            {
-                role: 'system',
-                content: `You are a study notes generator. Create ${style || 'bullet point'} style notes that are clear and easy to study from.`
-            },
-            {
-                role: 'user',
-                content: `Create study notes from the following content:\n\n${text}`
-            }
-        ];
+        const { sections, error } = await collectSummarySections(text, files);
+        removeUploadedFiles(files);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (sections.length === 0) {
+            return res.status(400).json({ error: 'Provide text or upload a PDF or text file to summarize' });
+        }
+
+        const fullText = sections.map((section) => `${summarySectionLabel(section)}\n${section.text}`).join('\n\n');
+        if (fullText.length > SUMMARY_MAX_INPUT_CHARS) {
+            return res.status(413).json({ error: `Input is too long to summarize (limit ${SUMMARY_MAX_INPUT_CHARS} characters)` });
+        }
+
+        const mod = checkModeration(req, fullText);
+        if (!mod.allowed) {
+            return sendInputBlocked(res, mod);
+        }
+
+        let outputCheck = { allowed: true };
+        const cacheKey = buildAICacheKey('summarize', fullText, { style: style || 'bullet point' });
+        const result = await withAICache(req, res, cacheKey, async () => {
+            const summary = await summarizeSections(sections, style);
+            if (!summary.notes) return null;
+
+            outputCheck = checkModeration(req, summary.notes, { stage: 'output', contextText: fullText });
+            return outputCheck.allowed ? summary : null;
+        });
+        if (!outputCheck.allowed) {
+            return sendOutputBlocked(res, outputCheck);
+        }
 
-        const data = await callAIAPI(messages);
         res.json({
-            notes: data.choices[0]?.message?.content || 'Could not generate notes.'
+            notes: result?.notes || 'Could not generate notes.',
+            chunks: result?.chunks || 0,
+            mergeRounds: result?.mergeRounds || 0,
+            pageCount: sections.filter((section) => section.page).length,
+            files: files.map((file) => file.originalname),
         });
 
     } catch (error) {
-        console.error('Summarize API Error:', error);
+        logger.error('Summarize API Error:', error);
         res.status(500).json({ error: error.message || 'Internal server error' });
     }
 });
 
 // Profile image upload endpoint
-app.post('/api/upload-profile-image', uploadProfileImage.single('profileImage'), (req, res) => {
-    console.log('Profile image upload request received');
-    console.log('File:', req.file);
-    console.log('Body:', req.body);
-
+app.post('/api/upload-profile-image', requireAuth, withRequestContext(uploadProfileImage.single('profileImage')), async (req, res) => {
     try {
         if (!req.file) {
-            console.log('No file uploaded');
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        console.log('File uploaded successfully:', req.file);
-
         // Return the Cloudinary URL
         const imageUrl = req.file.path;
-        console.log('Image URL:', imageUrl);
+        logger.info('Profile image uploaded', { size: req.file.size });
+
+        // PATCH /api/users/:userId only accepts this upload as the profile image, and only the
+        // public_id recorded here is ever deleted. An earlier upload that was never applied is replaced.
+        const previous = await usersCollection.findOneAndUpdate(
+            { _id: parseObjectId(req.auth.userId) },
+            { $set: { pendingProfileImage: { url: imageUrl, publicId: req.file.public_id, uploadedAt: new Date() } } },
+            { returnDocument: 'before' }
+        );
+        destroyProfileImage(previous?.pendingProfileImage?.publicId).catch((error) => logger.error('Failed to delete unused profile image:', error));
 
         res.json({
             success: true,
@@ -837,7 +7379,7 @@ app.post('/api/upload-profile-image', uploadProfileImage.single('profileImage'),
             message: 'Profile image uploaded successfully'
         });
     } catch (error) {
-        console.error('Profile image upload error:', error);
+        logger.error('Profile image upload error:', error);
         res.status(500).json({ error: 'Failed to upload profile image' });
     }
 });
@@ -845,12 +7387,100 @@ app.post('/api/upload-profile-image', uploadProfileImage.single('profileImage'),
 // Serve uploaded files statically
 app.use('/uploads', express.static(uploadsDir));
 
-app.listen(PORT, () => {
-    console.log(`🚀 EzStudy Backend running on http://localhost:${PORT}`);
-    console.log(`📚 API endpoints:`);
-    console.log(`   GET  /api/health - Health check`);
-    console.log(`   POST /api/chat   - Chat with AI`);
-    console.log(`   POST /api/quiz   - Generate quiz`);
-    console.log(`   POST /api/summarize - Generate notes`);
-    console.log(`   POST /api/upload-profile-image - Upload profile image`);
+// Errors passed to next() (CORS rejections, multer limits) would otherwise reach Express's
+// default handler, which prints unstructured stack traces.
+app.use((error, req, res, next) => {
+    // CORS rejections arrive before the request context middleware has run. Upload limit
+    // violations are client errors, not server faults.
+    const isUploadError = error instanceof multer.MulterError;
+    requestContext.run(req.logContext, () => (isUploadError ? logger.warn('Upload rejected', { code: error.code }) : logger.error('Unhandled request error:', error)));
+    if (res.headersSent) return next(error);
+    if (isUploadError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            const limitBytes = req.path === '/api/upload-profile-image' ? PROFILE_IMAGE_MAX_BYTES : UPLOAD_MAX_BYTES;
+            return res.status(413).json({ error: `File too large. The limit is ${Math.round(limitBytes / (1024 * 1024))} MB per file`, code: error.code });
+        }
+        return res.status(400).json({ error: error.message, code: error.code });
+    }
+    res.status(error.status || error.statusCode || 500).json({ error: error.message || 'Internal server error' });
 });
+
+// Tests import this module for its helpers (NODE_ENV=test) and must not bind the port.
+if (process.env.NODE_ENV !== 'test') {
+    app.listen(PORT, () => {
+        logger.info(`EzStudy Backend running on http://localhost:${PORT}`, { port: Number(PORT), logLevel: Object.keys(LOG_LEVELS).find((name) => LOG_LEVELS[name] === LOG_LEVEL) });
+    });
+}
+
+export {
+    PASSWORD_MAX_LENGTH,
+    app,
+    buildDocumentChunks,
+    buildSearchMatcher,
+    buildSnippet,
+    callProviderModel,
+    checkUserPassword,
+    chunkSummarySections,
+    computeStudyStreaks,
+    createCircuitBreaker,
+    createMailer,
+    createMemoryCacheBackend,
+    destroyProfileImage,
+    detectDocumentFormat,
+    endOfLocalDay,
+    escapeHtml,
+    extractDocument,
+    formatExtractedText,
+    generateQuizQuestions,
+    gradeQuestion,
+    gradeQuiz,
+    groupSummaryPartials,
+    hashPassword,
+    hideAnswerKey,
+    isAssignmentClosed,
+    isTransientAIError,
+    logger,
+    mapWithConcurrency,
+    moderateContent,
+    mongoTimezone,
+    normalizeQuizQuestion,
+    parseAnalyticsRange,
+    parseDateParam,
+    parseQuizSpec,
+    parseRetryAfterMs,
+    parseStudyPlanRequest,
+    prepareImageForModel,
+    prepareMessagesForProvider,
+    profileImageUpdate,
+    quizExporters,
+    quotaPeriods,
+    rankChunks,
+    readOpenAIStream,
+    readPassword,
+    redactForLog,
+    renderAssignmentResultsCsv,
+    renderStudyPlanIcs,
+    repackStudySessions,
+    requestContext,
+    requireSameUser,
+    scheduleReview,
+    scoreSearchText,
+    selectUploadContext,
+    serializeAssignment,
+    serializeQuiz,
+    sniffImageFormat,
+    splitSummaryText,
+    studentCanSeeAnswers,
+    summarizeSections,
+    syncChatsForUser,
+    takeRateLimitSlot,
+    updateChatWithVersion,
+    validateFlashcardOutput,
+    validateImageUploads,
+    validateQuizOutput,
+    validateStudyPlanOutput,
+    verifyGoogleCredential,
+    wantsEventStream,
+    withAICache,
+    writeSseEvent,
+};
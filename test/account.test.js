@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+const { destroyProfileImage, profileImageUpdate } = await import('../server.js');
+
+const uploaded = { url: 'https://res.cloudinary.com/demo/image/upload/v1/ezstudy-profiles/u1-1.png', publicId: 'ezstudy-profiles/u1-1' };
+const user = {
+    profileImage: 'https://res.cloudinary.com/demo/image/upload/v1/ezstudy-profiles/u1-0.png',
+    profileImagePublicId: 'ezstudy-profiles/u1-0',
+    pendingProfileImage: uploaded,
+};
+
+test('profileImageUpdate applies the caller\'s latest upload with its recorded public_id', () => {
+    assert.deepEqual(profileImageUpdate(user, uploaded.url), {
+        $set: { profileImage: uploaded.url, profileImagePublicId: 'ezstudy-profiles/u1-1' },
+        $unset: { pendingProfileImage: '' },
+    });
+});
+
+test('profileImageUpdate rejects URLs the caller did not upload, including other users\' profile images', () => {
+    const otherUsersImage = 'https://res.cloudinary.com/demo/image/upload/v1/ezstudy-profiles/u2-7.png';
+
+    assert.match(profileImageUpdate(user, otherUsersImage).error, /URL returned by \/api\/upload-profile-image/);
+    assert.ok(profileImageUpdate(user, 'https://example.com/avatar.png').error);
+    assert.ok(profileImageUpdate({ profileImage: null }, uploaded.url).error, 'nothing was uploaded');
+    assert.ok(profileImageUpdate(user, 42).error);
+});
+
+test('profileImageUpdate clears the image with null and leaves an unchanged one alone', () => {
+    assert.deepEqual(profileImageUpdate(user, null), { $set: { profileImage: null, profileImagePublicId: null }, $unset: {} });
+    assert.deepEqual(profileImageUpdate(user, user.profileImage), { $set: {}, $unset: {} });
+    assert.deepEqual(profileImageUpdate(user, undefined), { $set: {}, $unset: {} });
+});
+
+test('destroyProfileImage deletes only a recorded public_id and reports Cloudinary failures', async () => {
+    const destroyed = [];
+    const uploader = { destroy: async (publicId) => { destroyed.push(publicId); return { result: publicId.endsWith('gone') ? 'not found' : 'ok' }; } };
+
+    await destroyProfileImage(null, uploader);
+    await destroyProfileImage(undefined, uploader);
+    await destroyProfileImage('ezstudy-profiles/u1-0', uploader);
+    await destroyProfileImage('ezstudy-profiles/u1-gone', uploader);
+    assert.deepEqual(destroyed, ['ezstudy-profiles/u1-0', 'ezstudy-profiles/u1-gone']);
+
+    await assert.rejects(
+        destroyProfileImage('ezstudy-profiles/u1-0', { destroy: async () => ({ result: 'error' }) }),
+        /Cloudinary could not delete ezstudy-profiles\/u1-0: error/
+    );
+});
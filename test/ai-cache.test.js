@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+process.env.AI_CACHE_BACKEND = 'memory';
+process.env.AI_CACHE_TTL_SECONDS = '60';
+process.env.AI_CACHE_MAX_ENTRIES = '3';
+process.env.AI_CACHE_MAX_BYTES = '100';
+process.env.AI_CACHE_MAX_ENTRY_BYTES = '40';
+const { createMemoryCacheBackend, withAICache } = await import('../server.js');
+
+const fakeRequest = (body = {}, headers = {}) => ({ body, get: (name) => headers[name.toLowerCase()] });
+const fakeResponse = () => ({
+    headers: {},
+    setHeader(name, value) {
+        this.headers[name] = value;
+    },
+});
+
+test('memory cache evicts the least recently used entry past AI_CACHE_MAX_ENTRIES', async () => {
+    const cache = createMemoryCacheBackend();
+    await cache.set('a', 'A', 1);
+    await cache.set('b', 'B', 1);
+    await cache.set('c', 'C', 1);
+    assert.equal(await cache.get('a'), 'A');
+
+    await cache.set('d', 'D', 1);
+
+    assert.equal(await cache.get('b'), null);
+    assert.deepEqual(await Promise.all(['a', 'c', 'd'].map(cache.get)), ['A', 'C', 'D']);
+    assert.deepEqual(cache.describe(), { entries: 3, bytes: 3, maxEntries: 3, maxBytes: 100 });
+});
+
+test('memory cache evicts oldest entries until the total size fits AI_CACHE_MAX_BYTES', async () => {
+    const cache = createMemoryCacheBackend();
+    await cache.set('a', 'A', 40);
+    await cache.set('b', 'B', 40);
+    await cache.set('c', 'C', 30);
+
+    assert.equal(await cache.get('a'), null);
+    assert.deepEqual(cache.describe().bytes, 70);
+
+    // Replacing a key releases its old size first.
+    await cache.set('b', 'B2', 10);
+    assert.equal(cache.describe().bytes, 40);
+    assert.equal(await cache.get('b'), 'B2');
+});
+
+test('memory cache drops entries once their TTL has passed', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const cache = createMemoryCacheBackend();
+    await cache.set('a', 'A', 1);
+
+    t.mock.timers.tick(59_999);
+    assert.equal(await cache.get('a'), 'A');
+    t.mock.timers.tick(1);
+    assert.equal(await cache.get('a'), null);
+    assert.equal(cache.describe().entries, 0);
+});
+
+test('withAICache serves repeats from the cache and honours a bypass', async () => {
+    let calls = 0;
+    const produce = async () => ({ n: ++calls });
+
+    const first = fakeResponse();
+    assert.deepEqual(await withAICache(fakeRequest(), first, 'repeat', produce), { n: 1 });
+    assert.equal(first.headers['X-Cache'], 'MISS');
+
+    const second = fakeResponse();
+    assert.deepEqual(await withAICache(fakeRequest(), second, 'repeat', produce), { n: 1 });
+    assert.equal(second.headers['X-Cache'], 'HIT');
+
+    const bypass = fakeResponse();
+    assert.deepEqual(await withAICache(fakeRequest({}, { 'cache-control': 'no-cache' }), bypass, 'repeat', produce), { n: 2 });
+    assert.equal(bypass.headers['X-Cache'], 'BYPASS');
+    assert.deepEqual(await withAICache(fakeRequest(), fakeResponse(), 'repeat', produce), { n: 2 });
+});
+
+test('withAICache does not store results larger than AI_CACHE_MAX_ENTRY_BYTES or null results', async () => {
+    let calls = 0;
+    const large = async () => ({ text: 'x'.repeat(50), n: ++calls });
+
+    await withAICache(fakeRequest(), fakeResponse(), 'large', large);
+    assert.equal((await withAICache(fakeRequest(), fakeResponse(), 'large', large)).n, 2);
+
+    const nothing = fakeResponse();
+    assert.equal(await withAICache(fakeRequest(), nothing, 'empty', async () => null), null);
+    await withAICache(fakeRequest(), nothing, 'empty', async () => null);
+    assert.equal(nothing.headers['X-Cache'], 'MISS');
+});
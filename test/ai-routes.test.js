@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+process.env.AI_PROVIDERS = 'mock';
+const { app } = await import('../server.js');
+
+// The AI routes run end to end against the built-in mock provider, so no API keys are needed.
+let baseUrl;
+let server;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+const chatForm = (userMessage, extra = {}) => {
+    const form = new FormData();
+    form.set('messages', JSON.stringify([{ role: 'user', content: 'Earlier question' }, { role: 'assistant', content: 'Earlier answer' }]));
+    form.set('userMessage', userMessage);
+    form.set('config', JSON.stringify({ tone: 'precise' }));
+    for (const [key, value] of Object.entries(extra)) form.set(key, value);
+    return form;
+};
+
+const postJson = (path, body) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+});
+
+test('POST /api/chat answers from the mock provider', async () => {
+    const response = await fetch(`${baseUrl}/api/chat`, { method: 'POST', body: chatForm('What is osmosis?') });
+
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.match(JSON.stringify(body), /Mock response to: What is osmosis\?/);
+});
+
+test('POST /api/chat streams tokens and a final done event when asked to', async () => {
+    const response = await fetch(`${baseUrl}/api/chat`, { method: 'POST', body: chatForm('Explain diffusion', { stream: 'true' }) });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+    const events = (await response.text()).trim().split('\n\n').map((frame) => {
+        const [, event, data] = frame.match(/^event: (\w+)\ndata: (.*)$/s);
+        return { event, data: JSON.parse(data) };
+    });
+
+    const tokens = events.filter(({ event }) => event === 'token').map(({ data }) => data.text).join('');
+    const done = events.find(({ event }) => event === 'done');
+    assert.ok(done, 'stream should end with a done event');
+    assert.equal(tokens, done.data.content);
+    assert.match(done.data.content, /^Mock response to: Explain diffusion/);
+});
+
+test('POST /api/quiz returns mock questions about the topic', async () => {
+    const response = await postJson('/api/quiz', { topic: 'Photosynthesis', difficulty: 'easy' });
+
+    assert.equal(response.status, 200);
+    const { questions } = await response.json();
+    assert.ok(questions.length > 0);
+    for (const question of questions) {
+        assert.match(question.question, /Photosynthesis/);
+        assert.equal(question.options.length, 4);
+    }
+});
+
+test('POST /api/summarize returns mock notes for the text', async () => {
+    const response = await postJson('/api/summarize', { text: 'Cells are the basic unit of life. Mitochondria make ATP.' });
+
+    assert.equal(response.status, 200);
+    const { notes } = await response.json();
+    assert.match(notes, /^## Mock Notes/);
+    assert.match(notes, /Cells are the basic unit of life/);
+});
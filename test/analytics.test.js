@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+const { computeStudyStreaks, mongoTimezone, parseAnalyticsRange } = await import('../server.js');
+
+test('mongoTimezone converts getTimezoneOffset minutes to a signed UTC offset', () => {
+    assert.equal(mongoTimezone(0), '+00:00');
+    assert.equal(mongoTimezone(300), '-05:00');
+    assert.equal(mongoTimezone(-330), '+05:30');
+    assert.equal(mongoTimezone(-2000), '+14:00');
+    assert.equal(mongoTimezone('not a number'), '+00:00');
+});
+
+test('parseAnalyticsRange bounds inclusive local dates by the caller\'s midnight', () => {
+    const { range } = parseAnalyticsRange({ from: '2026-03-01', to: '2026-03-07', timezoneOffset: '-60' });
+
+    assert.equal(range.days, 7);
+    assert.equal(range.timezone, '+01:00');
+    assert.equal(range.start.toISOString(), '2026-02-28T23:00:00.000Z');
+    assert.equal(range.end.toISOString(), '2026-03-07T23:00:00.000Z');
+});
+
+test('parseAnalyticsRange defaults to the 30 days ending at to, and rejects bad ranges', () => {
+    assert.equal(parseAnalyticsRange({ to: '2026-03-30' }).range.from, '2026-03-01');
+    assert.match(parseAnalyticsRange({ from: '2026-03-07', to: '2026-03-01' }).error, /on or before/);
+    assert.match(parseAnalyticsRange({ from: '2025-01-01', to: '2026-03-01' }).error, /at most 366 days/);
+    assert.match(parseAnalyticsRange({ from: 'yesterday' }).error, /YYYY-MM-DD/);
+});
+
+test('computeStudyStreaks counts the current streak from today or, failing that, yesterday', () => {
+    const activeDays = new Set(['2026-03-01', '2026-03-02', '2026-03-04', '2026-03-05', '2026-03-06']);
+    const range = { from: '2026-03-01', to: '2026-03-07' };
+
+    assert.deepEqual(computeStudyStreaks(activeDays, { ...range, today: '2026-03-07' }), { current: 3, longestInRange: 3, lastActiveDate: '2026-03-06' });
+    assert.equal(computeStudyStreaks(activeDays, { ...range, today: '2026-03-06' }).current, 3);
+    assert.equal(computeStudyStreaks(activeDays, { ...range, today: '2026-03-08' }).current, 0);
+});
+
+test('computeStudyStreaks measures the longest run inside the range only', () => {
+    const activeDays = new Set(['2026-02-27', '2026-02-28', '2026-03-01', '2026-03-03']);
+
+    assert.equal(computeStudyStreaks(activeDays, { from: '2026-03-01', to: '2026-03-07', today: '2026-03-07' }).longestInRange, 1);
+    assert.deepEqual(computeStudyStreaks(new Set(), { from: '2026-03-01', to: '2026-03-07', today: '2026-03-07' }), { current: 0, longestInRange: 0, lastActiveDate: null });
+});
@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+process.env.GOOGLE_CLIENT_ID = 'test-client.apps.googleusercontent.com';
+const { requireSameUser, verifyGoogleCredential } = await import('../server.js');
+
+// Stands in for google-auth-library's OAuth2Client: only tokens listed in `payloads` verify.
+const fakeGoogleClient = (payloads) => {
+    const calls = [];
+    return {
+        calls,
+        verifyIdToken: async (options) => {
+            calls.push(options);
+            if (!(options.idToken in payloads)) throw new Error('Wrong number of segments in token');
+            return { getPayload: () => payloads[options.idToken] };
+        },
+    };
+};
+
+const fakeResponse = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    },
+});
+
+test('verifyGoogleCredential accepts a verified token for this client id', async () => {
+    const client = fakeGoogleClient({ good: { sub: 'google-1', email: 'ada@example.com', email_verified: true, name: 'Ada' } });
+    const result = await verifyGoogleCredential('good', client);
+
+    assert.deepEqual(result, { payload: { sub: 'google-1', email: 'ada@example.com', email_verified: true, name: 'Ada' } });
+    assert.deepEqual(client.calls, [{ idToken: 'good', audience: process.env.GOOGLE_CLIENT_ID }]);
+});
+
+test('verifyGoogleCredential rejects missing and forged credentials', async () => {
+    const client = fakeGoogleClient({});
+
+    assert.deepEqual(await verifyGoogleCredential(undefined, client), { status: 400, error: 'Google credential is required' });
+    assert.deepEqual(await verifyGoogleCredential('   ', client), { status: 400, error: 'Google credential is required' });
+    assert.deepEqual(await verifyGoogleCredential('forged', client), { status: 401, error: 'Invalid Google credential' });
+    assert.equal(client.calls.length, 1);
+});
+
+test('verifyGoogleCredential requires an email Google has verified', async () => {
+    const client = fakeGoogleClient({
+        'no-email': { sub: 'google-2' },
+        unverified: { sub: 'google-3', email: 'bob@example.com', email_verified: false },
+        'string-flag': { sub: 'google-4', email: 'eve@example.com', email_verified: 'true' },
+    });
+
+    assert.equal((await verifyGoogleCredential('no-email', client)).status, 400);
+    assert.deepEqual(await verifyGoogleCredential('unverified', client), { status: 403, error: 'Google account email is not verified' });
+    assert.equal((await verifyGoogleCredential('string-flag', client)).status, 403);
+});
+
+test('verifyGoogleCredential fails closed without a configured client', async () => {
+    const result = await verifyGoogleCredential('good', null);
+    assert.equal(result.status, 500);
+    assert.equal(result.payload, undefined);
+});
+
+test('requireSameUser only lets a user reach their own :userId routes', () => {
+    const userId = '64b7f0c2a1b2c3d4e5f60718';
+    const run = (params, auth) => {
+        const res = fakeResponse();
+        let passed = false;
+        requireSameUser({ params, auth }, res, () => {
+            passed = true;
+        });
+        return { passed, res };
+    };
+
+    assert.equal(run({ userId }, { userId }).passed, true);
+
+    const other = run({ userId }, { userId: '64b7f0c2a1b2c3d4e5f60719' });
+    assert.equal(other.passed, false);
+    assert.equal(other.res.statusCode, 403);
+
+    const anonymous = run({ userId }, undefined);
+    assert.equal(anonymous.passed, false);
+    assert.equal(anonymous.res.statusCode, 403);
+
+    const invalid = run({ userId: 'not-an-id' }, { userId: 'not-an-id' });
+    assert.equal(invalid.passed, false);
+    assert.equal(invalid.res.statusCode, 400);
+});
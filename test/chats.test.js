@@ -0,0 +1,181 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+const { syncChatsForUser, updateChatWithVersion } = await import('../server.js');
+
+// Just enough of a MongoDB collection for the chat and share helpers: equality, $in, $nin and $lte filters,
+// $set/$setOnInsert/$inc updates, and a unique (userId, chatId) index.
+const matchesCondition = (value, condition) => {
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+        return condition === null ? value === undefined || value === null : value === condition || (value instanceof Date && +value === +condition);
+    }
+    if ('$in' in condition) return condition.$in.some((option) => matchesCondition(value, option));
+    if ('$nin' in condition) return !condition.$nin.some((option) => matchesCondition(value, option));
+    if ('$lte' in condition) return value <= condition.$lte;
+    throw new Error(`Unsupported condition ${JSON.stringify(condition)}`);
+};
+
+const fakeCollection = (docs = []) => {
+    const matches = (filter) => (doc) => Object.entries(filter).every(([key, condition]) => matchesCondition(doc[key], condition));
+    const applyUpdate = (doc, update) => {
+        Object.assign(doc, update.$set);
+        for (const [key, amount] of Object.entries(update.$inc || {})) doc[key] = (doc[key] || 0) + amount;
+    };
+    const insertOne = async (doc) => {
+        if (docs.some((existing) => existing.userId === doc.userId && existing.chatId === doc.chatId)) {
+            throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        docs.push({ ...doc });
+        return { acknowledged: true };
+    };
+
+    return {
+        docs,
+        insertOne,
+        find: (filter) => ({ toArray: async () => docs.filter(matches(filter)).map((doc) => ({ ...doc })) }),
+        findOne: async (filter) => docs.find(matches(filter)) || null,
+        updateOne: async (filter, update, { upsert = false } = {}) => {
+            const doc = docs.find(matches(filter));
+            if (doc) {
+                applyUpdate(doc, update);
+                return { matchedCount: 1 };
+            }
+            if (upsert) {
+                const inserted = { ...filter, ...update.$setOnInsert };
+                applyUpdate(inserted, update);
+                await insertOne(inserted);
+            }
+            return { matchedCount: 0 };
+        },
+        findOneAndUpdate: async (filter, update) => {
+            const doc = docs.find(matches(filter));
+            if (doc) applyUpdate(doc, update);
+            return doc || null;
+        },
+        deleteMany: async (filter) => {
+            const remaining = docs.filter((doc) => !matches(filter)(doc));
+            const deletedCount = docs.length - remaining.length;
+            docs.splice(0, docs.length, ...remaining);
+            return { deletedCount };
+        },
+    };
+};
+
+const fakeRequest = ({ params = { userId: 'u1', chatId: '101' }, body = {}, query = {}, headers = {} } = {}) => ({
+    params,
+    body,
+    query,
+    get: (name) => headers[name.toLowerCase()],
+});
+
+const fakeResponse = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    },
+});
+
+const storedChat = (chatId, fields = {}) => ({
+    userId: 'u1',
+    chatId,
+    title: `Chat ${chatId}`,
+    messages: [],
+    createdAt: new Date('2026-01-01T00:00:00Z'),
+    updatedAt: new Date('2026-01-01T00:00:00Z'),
+    version: 3,
+    ...fields,
+});
+
+test('updateChatWithVersion applies the update and bumps the version when it matches', async () => {
+    const chats = fakeCollection([storedChat(101)]);
+    const res = fakeResponse();
+
+    const updated = await updateChatWithVersion(fakeRequest({ body: { version: 3 } }), res, { $set: { title: 'Renamed' } }, chats);
+
+    assert.equal(updated.title, 'Renamed');
+    assert.equal(updated.version, 4);
+    assert.equal(res.body, null);
+});
+
+test('updateChatWithVersion answers 409 with the current chat when the version is stale', async () => {
+    const chats = fakeCollection([storedChat(101)]);
+    const res = fakeResponse();
+
+    const updated = await updateChatWithVersion(fakeRequest({ headers: { 'if-match': 'W/"2"' } }), res, { $set: { title: 'Renamed' } }, chats);
+
+    assert.equal(updated, null);
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.chat.title, 'Chat 101');
+    assert.equal(res.body.chat.version, 3);
+    assert.equal(chats.docs[0].title, 'Chat 101');
+});
+
+test('updateChatWithVersion requires a version and reports missing chats', async () => {
+    const chats = fakeCollection([storedChat(101)]);
+
+    const missingVersion = fakeResponse();
+    await updateChatWithVersion(fakeRequest(), missingVersion, { $set: { title: 'x' } }, chats);
+    assert.equal(missingVersion.statusCode, 428);
+
+    const missingChat = fakeResponse();
+    await updateChatWithVersion(fakeRequest({ params: { userId: 'u1', chatId: '999' }, body: { version: 3 } }), missingChat, { $set: { title: 'x' } }, chats);
+    assert.equal(missingChat.statusCode, 404);
+});
+
+test('syncChatsForUser writes matching versions and reports stale ones as conflicts', async () => {
+    const chats = fakeCollection([storedChat('a'), storedChat('b')]);
+
+    const { conflicts } = await syncChatsForUser('u1', [
+        { id: 'a', title: 'Fresh edit', version: 3 },
+        { id: 'b', title: 'Stale edit', version: 2 },
+    ], {}, chats);
+
+    assert.deepEqual(conflicts, ['b']);
+    assert.deepEqual(chats.docs.map((chat) => [chat.chatId, chat.title, chat.version]), [['a', 'Fresh edit', 4], ['b', 'Chat b', 3]]);
+});
+
+test('syncChatsForUser with syncedAt keeps chats another session changed after that time', async () => {
+    const syncedAt = new Date('2026-02-01T00:00:00Z');
+    const chats = fakeCollection([
+        storedChat('kept'),
+        storedChat('removed'),
+        storedChat('created-elsewhere', { updatedAt: new Date('2026-02-02T00:00:00Z') }),
+    ]);
+
+    await syncChatsForUser('u1', [{ id: 'kept', title: 'Kept', version: 3 }], { syncedAt }, chats, fakeCollection());
+
+    assert.deepEqual(chats.docs.map((chat) => chat.chatId), ['kept', 'created-elsewhere']);
+});
+
+test('syncChatsForUser without syncedAt mirrors the payload exactly', async () => {
+    const chats = fakeCollection([storedChat('kept'), storedChat('newer', { updatedAt: new Date() })]);
+
+    await syncChatsForUser('u1', [{ id: 'kept', title: 'Kept' }], {}, chats, fakeCollection());
+
+    assert.deepEqual(chats.docs.map((chat) => chat.chatId), ['kept']);
+});
+
+test('syncChatsForUser revokes the share links of the chats it deletes', async () => {
+    const syncedAt = new Date('2026-02-01T00:00:00Z');
+    const chats = fakeCollection([storedChat('kept'), storedChat('removed'), storedChat('newer', { updatedAt: new Date('2026-02-02T00:00:00Z') })]);
+    const shares = fakeCollection([
+        { userId: 'u1', chatId: 'kept', slug: 's1' },
+        { userId: 'u1', chatId: 'removed', slug: 's2' },
+        { userId: 'u1', chatId: 'newer', slug: 's3' },
+        { userId: 'u2', chatId: 'removed', slug: 's4' },
+    ]);
+
+    await syncChatsForUser('u1', [{ id: 'kept', title: 'Kept' }], { syncedAt }, chats, shares);
+
+    assert.deepEqual(chats.docs.map((chat) => chat.chatId), ['kept', 'newer']);
+    assert.deepEqual(shares.docs.map((share) => share.slug), ['s1', 's3', 's4']);
+});
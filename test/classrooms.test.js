@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+const {
+    gradeQuiz,
+    hideAnswerKey,
+    isAssignmentClosed,
+    normalizeQuizQuestion,
+    renderAssignmentResultsCsv,
+    serializeAssignment,
+    studentCanSeeAnswers,
+} = await import('../server.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const assignment = (overrides = {}) => ({
+    _id: new ObjectId(),
+    classroomId: 'classroom-1',
+    quizId: 'quiz-1',
+    title: 'Week 1',
+    topic: 'Planets',
+    questions: [normalizeQuizQuestion({ type: 'mcq', question: 'Largest planet?', options: ['Mars', 'Jupiter'], correct: 1, explanation: 'Jupiter.' })],
+    dueAt: null,
+    allowLate: false,
+    maxAttempts: 2,
+    publishedAt: new Date(),
+    ...overrides,
+});
+
+test('isAssignmentClosed is true only after a set due date', () => {
+    const now = new Date();
+    assert.equal(isAssignmentClosed(assignment(), now), false);
+    assert.equal(isAssignmentClosed(assignment({ dueAt: new Date(now.getTime() + DAY_MS) }), now), false);
+    assert.equal(isAssignmentClosed(assignment({ dueAt: new Date(now.getTime() - DAY_MS) }), now), true);
+});
+
+test('students see the answer key only after their last attempt or the due date', () => {
+    assert.equal(studentCanSeeAnswers(assignment(), 1), false);
+    assert.equal(studentCanSeeAnswers(assignment(), 2), true);
+    assert.equal(studentCanSeeAnswers(assignment({ dueAt: new Date(Date.now() - DAY_MS) }), 0), true);
+});
+
+test('hideAnswerKey strips correct answers and explanations from graded results', () => {
+    const { results } = gradeQuiz(assignment(), [0]);
+    assert.deepEqual(hideAnswerKey(results), [{ index: 0, type: 'mcq', selected: 0, isCorrect: false }]);
+});
+
+test('serializeAssignment includes answers only for teachers', () => {
+    const doc = assignment();
+    assert.equal(serializeAssignment(doc).questions, undefined);
+    assert.equal('correct' in serializeAssignment(doc, { includeQuestions: true }).questions[0], false);
+    assert.equal(serializeAssignment(doc, { includeQuestions: true, includeAnswers: true }).questions[0].correct, 1);
+});
+
+test('renderAssignmentResultsCsv quotes fields and neutralises spreadsheet formulas', () => {
+    const submittedAt = new Date('2026-03-02T10:00:00Z');
+    const csv = renderAssignmentResultsCsv([
+        { name: 'Lovelace, Ada', email: 'ada@example.com', status: 'submitted', attempts: 2, bestScore: 1, total: 1, bestPercentage: 100, lastPercentage: 0, firstSubmittedAt: submittedAt, lastSubmittedAt: submittedAt },
+        { name: '=HYPERLINK("http://evil.example")', email: '@mention', status: 'missing', attempts: 0, bestScore: null, total: 1, bestPercentage: null, lastPercentage: null, firstSubmittedAt: null, lastSubmittedAt: null },
+    ]);
+
+    const lines = csv.split('\r\n');
+    assert.equal(lines[0], 'Student,Email,Status,Attempts,Best score,Out of,Best %,Last %,First submitted,Last submitted');
+    assert.equal(lines[1], '"Lovelace, Ada",ada@example.com,submitted,2,1,1,100,0,2026-03-02T10:00:00.000Z,2026-03-02T10:00:00.000Z');
+    assert.equal(lines[2], `"'=HYPERLINK(""http://evil.example"")",'@mention,missing,0,,1,,,,`);
+    assert.equal(lines[3], '');
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AdmZip from 'adm-zip';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+const { detectDocumentFormat, extractDocument, formatExtractedText } = await import('../server.js');
+
+const zipOf = (entries) => {
+    const zip = new AdmZip();
+    for (const [name, content] of Object.entries(entries)) zip.addFile(name, Buffer.from(content));
+    return zip.toBuffer();
+};
+
+const docx = zipOf({
+    '[Content_Types].xml': '<Types/>',
+    'word/document.xml': '<w:document><w:body>'
+        + '<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>Cells</w:t></w:r></w:p>'
+        + '<w:p><w:r><w:t>Mitochondria make ATP &amp; heat.</w:t></w:r></w:p>'
+        + '</w:body></w:document>',
+});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'extractors-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// Uploads are extracted from disk, like multer's stored files.
+const storedFile = (originalname, mimetype, buffer) => {
+    const filePath = path.join(tempDir, `${Date.now()}-${originalname}`);
+    fs.writeFileSync(filePath, buffer);
+    return { path: filePath, originalname, mimetype };
+};
+
+test('detectDocumentFormat identifies binary formats by signature, not by the declared name or type', () => {
+    assert.equal(detectDocumentFormat(Buffer.from('%PDF-1.7\n...'), 'notes.txt', 'text/plain'), 'pdf');
+    assert.equal(detectDocumentFormat(docx, 'notes.pdf', 'application/pdf'), 'docx');
+    assert.equal(detectDocumentFormat(zipOf({ 'ppt/presentation.xml': '<p:presentation/>' }), 'deck.zip'), 'pptx');
+    assert.equal(detectDocumentFormat(zipOf({ mimetype: 'application/epub+zip', 'META-INF/container.xml': '<container/>' }), 'book.zip'), 'epub');
+});
+
+test('detectDocumentFormat rejects other archives, images and binary data', () => {
+    assert.equal(detectDocumentFormat(zipOf({ 'readme.txt': 'hello' }), 'archive.docx'), null);
+    assert.equal(detectDocumentFormat(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]), 'notes.txt', 'text/plain'), null);
+    assert.equal(detectDocumentFormat(Buffer.from([0x41, 0x00, 0x42]), 'notes.txt', 'text/plain'), null);
+    assert.equal(detectDocumentFormat(Buffer.from([0xc3, 0x28, 0x41]), 'notes.txt', 'text/plain'), null);
+});
+
+test('detectDocumentFormat classifies text by content, using the name only for CSV and Markdown', () => {
+    assert.equal(detectDocumentFormat(Buffer.from('<!DOCTYPE html><html><body>Hi</body></html>'), 'page.txt'), 'html');
+    assert.equal(detectDocumentFormat(Buffer.from('a;b\n1;2'), 'data.csv'), 'csv');
+    assert.equal(detectDocumentFormat(Buffer.from('# Title\n\nBody'), 'notes.md'), 'markdown');
+    assert.equal(detectDocumentFormat(Buffer.from('﻿Just some notes.'), 'notes'), 'text');
+});
+
+test('extractDocument reads a mislabelled Word document and keeps its headings', async () => {
+    const extracted = await extractDocument(storedFile('notes.bin', 'application/octet-stream', docx));
+
+    assert.equal(extracted.format, 'docx');
+    assert.equal(extracted.label, 'WORD DOCUMENT');
+    assert.equal(extracted.unit, null);
+    assert.equal(formatExtractedText(extracted), '# Cells\n\nMitochondria make ATP & heat.');
+});
+
+test('extractDocument returns no format and no pages for unsupported files', async () => {
+    const extracted = await extractDocument(storedFile('archive.zip', 'application/zip', zipOf({ 'a.txt': 'a' })));
+
+    assert.deepEqual(extracted, { format: null, label: null, contentType: 'application/zip', unit: null, pages: [] });
+});
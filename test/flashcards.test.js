@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+const { endOfLocalDay, scheduleReview, validateFlashcardOutput } = await import('../server.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-01T12:00:00Z');
+
+test('scheduleReview follows the SM-2 intervals for recalled cards', () => {
+    const first = scheduleReview({}, 4, now);
+    assert.deepEqual(first, { easeFactor: 2.5, interval: 1, repetitions: 1, lapses: 0, dueAt: new Date(now.getTime() + DAY_MS), lastReviewedAt: now });
+
+    const second = scheduleReview(first, 5, now);
+    assert.equal(second.interval, 6);
+    assert.equal(second.repetitions, 2);
+    assert.equal(second.easeFactor, 2.6);
+
+    const third = scheduleReview(second, 3, now);
+    assert.equal(third.interval, Math.round(6 * 2.6));
+    assert.equal(third.easeFactor, 2.46);
+    assert.deepEqual(third.dueAt, new Date(now.getTime() + third.interval * DAY_MS));
+});
+
+test('scheduleReview restarts failed cards at one day and counts the lapse', () => {
+    const failed = scheduleReview({ easeFactor: 2.5, interval: 15, repetitions: 3, lapses: 1 }, 1, now);
+
+    assert.equal(failed.interval, 1);
+    assert.equal(failed.repetitions, 0);
+    assert.equal(failed.lapses, 2);
+    assert.equal(failed.easeFactor, 1.96);
+});
+
+test('scheduleReview never lets the ease factor drop below 1.3', () => {
+    assert.equal(scheduleReview({ easeFactor: 1.3 }, 0, now).easeFactor, 1.3);
+});
+
+test('endOfLocalDay ends the day in the caller\'s timezone', () => {
+    assert.deepEqual(endOfLocalDay(0, now), new Date('2026-03-01T23:59:59.999Z'));
+    // UTC-5 (offset 300): local time is 07:00 on March 1st, so the day ends at 04:59:59.999Z on March 2nd.
+    assert.deepEqual(endOfLocalDay(300, now), new Date('2026-03-02T04:59:59.999Z'));
+});
+
+test('validateFlashcardOutput accepts fenced JSON and trims the cards', () => {
+    const content = '```json\n[{"front": " What is ATP? ", "back": "The cell\'s energy currency."}]\n```';
+    assert.deepEqual(validateFlashcardOutput(content, 5), { cards: [{ front: 'What is ATP?', back: 'The cell\'s energy currency.' }] });
+    assert.deepEqual(validateFlashcardOutput('{"cards": [{"front": "Q", "back": "A"}]}', 1), { cards: [{ front: 'Q', back: 'A' }] });
+});
+
+test('validateFlashcardOutput reports every schema problem so the model can repair them', () => {
+    const { errors } = validateFlashcardOutput(JSON.stringify([
+        { front: 'Osmosis?', back: 'Water moving across a membrane.' },
+        { front: 'osmosis?', back: 'Duplicate.' },
+        { front: '', back: 'No front.' },
+        { front: 'x'.repeat(301), back: 'y'.repeat(1001) },
+    ]), 3);
+
+    assert.deepEqual(errors, [
+        'Expected at most 3 flashcards but got 4',
+        'Card 2: duplicates an earlier card',
+        'Card 3: "front" must be a non-empty string',
+        'Card 4: "front" must be at most 300 characters',
+        'Card 4: "back" must be at most 1000 characters',
+    ]);
+    assert.deepEqual(validateFlashcardOutput('Sorry, I cannot help.', 3).errors, ['Response must be a valid JSON array of {"front", "back"} objects']);
+    assert.deepEqual(validateFlashcardOutput('[]', 3).errors, ['Return at least one flashcard']);
+});
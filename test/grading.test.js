@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+const { gradeQuestion, gradeQuiz, normalizeQuizQuestion, serializeQuiz } = await import('../server.js');
+
+const mcq = normalizeQuizQuestion({ type: 'mcq', question: 'Capital of France?', options: ['Berlin', 'Madrid', 'Paris', 'Rome'], correct: 2, explanation: 'Paris.' });
+const trueFalse = normalizeQuizQuestion({ type: 'true-false', question: 'Water boils at 100°C at sea level.', correct: true });
+const multiSelect = normalizeQuizQuestion({ type: 'multi-select', question: 'Pick the primes.', options: ['2', '4', '5', '9'], correct: [2, 0] });
+const shortAnswer = normalizeQuizQuestion({ type: 'short-answer', question: 'Largest planet?', acceptedAnswers: ['Jupiter', 'Planet Jupiter'] });
+
+test('gradeQuestion grades single-choice answers by option index', () => {
+    assert.deepEqual(gradeQuestion(mcq, 2), { selected: 2, isCorrect: true });
+    assert.deepEqual(gradeQuestion(mcq, '2'), { selected: 2, isCorrect: true });
+    assert.deepEqual(gradeQuestion(mcq, 1), { selected: 1, isCorrect: false });
+    assert.deepEqual(gradeQuestion(mcq, 1.5), { selected: null, isCorrect: false });
+    assert.deepEqual(gradeQuestion(mcq, 'Paris'), { selected: null, isCorrect: false });
+    assert.deepEqual(gradeQuestion(mcq, null), { selected: null, isCorrect: false });
+    assert.deepEqual(gradeQuestion(trueFalse, 0), { selected: 0, isCorrect: true });
+    assert.deepEqual(gradeQuestion(trueFalse, 1), { selected: 1, isCorrect: false });
+});
+
+test('gradeQuestion only credits multi-select answers with exactly the right options', () => {
+    assert.deepEqual(gradeQuestion(multiSelect, [2, 0]), { selected: [0, 2], isCorrect: true });
+    assert.deepEqual(gradeQuestion(multiSelect, [0, 0, '2']), { selected: [0, 2], isCorrect: true });
+    assert.deepEqual(gradeQuestion(multiSelect, [0]), { selected: [0], isCorrect: false });
+    assert.deepEqual(gradeQuestion(multiSelect, [0, 2, 3]), { selected: [0, 2, 3], isCorrect: false });
+    assert.deepEqual(gradeQuestion(multiSelect, undefined), { selected: null, isCorrect: false });
+});
+
+test('gradeQuestion compares short answers ignoring case, accents and punctuation', () => {
+    assert.deepEqual(gradeQuestion(shortAnswer, 'jupiter'), { selected: 'jupiter', isCorrect: true });
+    assert.deepEqual(gradeQuestion(shortAnswer, '  Jüpiter! '), { selected: '  Jüpiter! ', isCorrect: true });
+    assert.deepEqual(gradeQuestion(shortAnswer, 'planet-jupiter'), { selected: 'planet-jupiter', isCorrect: true });
+    assert.deepEqual(gradeQuestion(shortAnswer, 'Saturn'), { selected: 'Saturn', isCorrect: false });
+    assert.deepEqual(gradeQuestion(shortAnswer, ''), { selected: null, isCorrect: false });
+});
+
+test('gradeQuiz scores every question, counting missing answers as wrong', () => {
+    const quizDoc = { questions: [mcq, trueFalse, multiSelect, shortAnswer] };
+    const grade = gradeQuiz(quizDoc, [2, 1, [0, 2]]);
+
+    assert.equal(grade.score, 2);
+    assert.equal(grade.total, 4);
+    assert.equal(grade.percentage, 50);
+    assert.deepEqual(grade.results.map((result) => result.isCorrect), [true, false, true, false]);
+    assert.deepEqual(grade.results[3], {
+        index: 3,
+        type: 'short-answer',
+        selected: null,
+        correct: null,
+        acceptedAnswers: ['Jupiter', 'Planet Jupiter'],
+        isCorrect: false,
+        explanation: '',
+    });
+    assert.equal('acceptedAnswers' in grade.results[0], false);
+    assert.equal(gradeQuiz({ questions: [] }, []).percentage, 0);
+});
+
+test('serializeQuiz keeps the answer key out unless asked for it', () => {
+    const quizDoc = { _id: new ObjectId(), topic: 'Mixed', difficulty: 'easy', questions: [mcq, shortAnswer], createdAt: new Date() };
+
+    for (const question of serializeQuiz(quizDoc).questions) {
+        assert.equal('correct' in question, false);
+        assert.equal('acceptedAnswers' in question, false);
+        assert.equal('explanation' in question, false);
+    }
+    const withAnswers = serializeQuiz(quizDoc, { includeAnswers: true }).questions;
+    assert.equal(withAnswers[0].correct, 2);
+    assert.deepEqual(withAnswers[1].acceptedAnswers, ['Jupiter', 'Planet Jupiter']);
+});
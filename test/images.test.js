@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+process.env.AI_PROVIDERS = 'mock';
+process.env.IMAGE_MAX_COUNT = '2';
+process.env.IMAGE_MAX_BYTES = '4096';
+process.env.IMAGE_MAX_DIMENSION = '64';
+process.env.UPLOAD_MAX_BYTES = '8192';
+const { app, prepareImageForModel, prepareMessagesForProvider, sniffImageFormat, validateImageUploads } = await import('../server.js');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ezstudy-images-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const writeUpload = (name, buffer, mimetype) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, buffer);
+    return { originalname: name, path: filePath, mimetype, size: buffer.length };
+};
+
+const header = (...parts) => Buffer.concat([...parts.map((part) => Buffer.from(part)), Buffer.alloc(8)]);
+
+test('sniffImageFormat reads the format from the file header', () => {
+    assert.equal(sniffImageFormat(header([0xff, 0xd8, 0xff, 0xe0])), 'jpeg');
+    assert.equal(sniffImageFormat(header([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])), 'png');
+    assert.equal(sniffImageFormat(header('RIFF', [0, 0, 0, 0], 'WEBP')), 'webp');
+    assert.equal(sniffImageFormat(header([0, 0, 0, 0x18], 'ftypheic')), 'heic');
+    assert.equal(sniffImageFormat(header('GIF89a')), null);
+    assert.equal(sniffImageFormat(Buffer.from([0xff, 0xd8, 0xff])), null);
+});
+
+test('validateImageUploads enforces the image count, size and format', async () => {
+    const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#ff0000' } }).png().toBuffer();
+    const good = writeUpload('good.png', png, 'image/png');
+    const renamed = writeUpload('fake.jpg', Buffer.from('this is not really an image'), 'image/jpeg');
+    const large = writeUpload('large.png', Buffer.concat([png, Buffer.alloc(5000)]), 'image/png');
+    const notes = writeUpload('notes.txt', Buffer.from('plain text'), 'text/plain');
+
+    assert.equal(validateImageUploads([good, notes]), null);
+    assert.equal(validateImageUploads([good, good, good]).status, 400);
+    assert.equal(validateImageUploads([large]).status, 413);
+    assert.deepEqual(validateImageUploads([renamed]), { status: 415, error: 'fake.jpg is not a supported image. Use JPEG, PNG, WebP or HEIC.' });
+});
+
+test('prepareImageForModel downscales, keeps PNG lossless and re-encodes other formats as JPEG', async () => {
+    const png = writeUpload('diagram.png', await sharp({ create: { width: 200, height: 100, channels: 3, background: '#ffffff' } }).png().toBuffer(), 'image/png');
+    const webp = writeUpload('photo.webp', await sharp({ create: { width: 40, height: 40, channels: 4, background: '#00ff0080' } }).webp().toBuffer(), 'image/webp');
+
+    const pngImage = await prepareImageForModel(png);
+    assert.equal(pngImage.mimeType, 'image/png');
+    assert.deepEqual(await sharp(Buffer.from(pngImage.data, 'base64')).metadata().then(({ width, height }) => [width, height]), [64, 32]);
+
+    const webpImage = await prepareImageForModel(webp);
+    assert.equal(webpImage.mimeType, 'image/jpeg');
+    assert.equal((await sharp(Buffer.from(webpImage.data, 'base64')).metadata()).format, 'jpeg');
+});
+
+test('prepareMessagesForProvider passes images to vision providers and OCR text to the rest', async () => {
+    const image = { fileName: 'board.jpg', mimeType: 'image/jpeg', data: '', ocrText: Promise.resolve('E = mc^2') };
+    const blank = { fileName: 'blank.jpg', mimeType: 'image/jpeg', data: '', ocrText: Promise.resolve(null) };
+    const messages = [{ role: 'system', content: 'Tutor' }, { role: 'user', content: 'Explain this', images: [image, blank] }];
+
+    assert.equal(await prepareMessagesForProvider(messages, { supportsImages: true }), messages);
+    const textOnly = await prepareMessagesForProvider(messages, { supportsImages: false });
+    assert.deepEqual(textOnly[1], {
+        role: 'user',
+        content: 'Explain this\n\n[IMAGE board.jpg - text extracted by OCR]:\nE = mc^2\n\n[IMAGE blank.jpg - text extracted by OCR]:\n(text could not be extracted)',
+    });
+});
+
+test('uploads over UPLOAD_MAX_BYTES are rejected with 413 while streaming', async () => {
+    const server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    try {
+        const form = new FormData();
+        form.set('userMessage', 'Summarize this');
+        form.set('files', new Blob([Buffer.alloc(10_000, 'a')], { type: 'text/plain' }), 'big.txt');
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/api/chat`, { method: 'POST', body: form });
+
+        assert.equal(response.status, 413);
+        assert.equal((await response.json()).code, 'LIMIT_FILE_SIZE');
+    } finally {
+        await new Promise((resolve) => server.close(resolve));
+    }
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ezstudy-mail-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+process.env.MAIL_FILE_DIR = mailDir;
+process.env.MAIL_FROM = 'EzStudy Tests <tests@example.com>';
+const { createMailer } = await import('../server.js');
+
+test.after(() => fs.rmSync(mailDir, { recursive: true, force: true }));
+
+test('createMailer refuses the console transport in production', () => {
+    assert.throws(() => createMailer('console', { production: true }), /not allowed in production/);
+    assert.equal(createMailer('console', { production: false }).transport, 'console');
+    assert.equal(createMailer('smtp', { production: true }).transport, 'smtp');
+    assert.equal(createMailer('file', { production: true }).transport, 'file');
+});
+
+test('createMailer reads NODE_ENV when production is not passed', (t) => {
+    t.after(() => {
+        process.env.NODE_ENV = 'test';
+    });
+    process.env.NODE_ENV = 'production';
+    assert.throws(() => createMailer('console'), /not allowed in production/);
+});
+
+test('createMailer rejects unknown transports', () => {
+    assert.throws(() => createMailer('carrier-pigeon'), /Unknown MAIL_TRANSPORT "carrier-pigeon"\. Use one of: smtp, file, console/);
+});
+
+test('the file transport writes one .eml per message from MAIL_FROM', async () => {
+    const mailer = createMailer('file');
+    const { filePath } = await mailer.send({
+        to: 'ada@example.com',
+        subject: 'Reset your EzStudy password',
+        text: 'Choose a new password: https://example.com/reset-password?token=abc',
+        html: '<p><a href="https://example.com/reset-password?token=abc">Choose a new password</a></p>',
+    });
+
+    assert.equal(path.dirname(filePath), mailDir);
+    const message = fs.readFileSync(filePath, 'utf-8');
+    assert.match(message, /^From: EzStudy Tests <tests@example\.com>$/m);
+    assert.match(message, /^To: ada@example\.com$/m);
+    assert.match(message, /^Subject: Reset your EzStudy password$/m);
+    assert.match(message, /reset-password\?token=abc/);
+});
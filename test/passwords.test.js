@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+const { PASSWORD_MAX_LENGTH, checkUserPassword, hashPassword, readPassword } = await import('../server.js');
+
+test('readPassword reads the named field and treats blanks as absent', () => {
+    assert.deepEqual(readPassword({ password: 'correct horse' }), { password: 'correct horse' });
+    assert.deepEqual(readPassword({ newPassword: 'battery staple' }, 'newPassword'), { password: 'battery staple' });
+    assert.deepEqual(readPassword({ password: '' }), { password: null });
+    assert.deepEqual(readPassword({ password: 12345678 }), { password: null });
+    assert.deepEqual(readPassword(undefined), { password: null });
+});
+
+test('readPassword only falls back to the legacy passwordHash field when allowed', () => {
+    assert.deepEqual(readPassword({ passwordHash: 'legacy-digest' }), { password: null });
+    assert.deepEqual(readPassword({ passwordHash: 'legacy-digest' }, 'password', { allowLegacyField: true }), { password: 'legacy-digest' });
+    assert.deepEqual(readPassword({ password: 'plain', passwordHash: 'legacy-digest' }, 'password', { allowLegacyField: true }), { password: 'plain' });
+});
+
+test('readPassword rejects passwords over the length cap', () => {
+    assert.deepEqual(readPassword({ password: 'x'.repeat(PASSWORD_MAX_LENGTH) }), { password: 'x'.repeat(PASSWORD_MAX_LENGTH) });
+    assert.deepEqual(readPassword({ password: 'x'.repeat(PASSWORD_MAX_LENGTH + 1) }), { error: `password must be at most ${PASSWORD_MAX_LENGTH} characters` });
+    assert.ok(readPassword({ passwordHash: 'x'.repeat(PASSWORD_MAX_LENGTH + 1) }, 'password', { allowLegacyField: true }).error);
+});
+
+test('hashPassword produces salted scrypt digests that checkUserPassword accepts', async () => {
+    const first = await hashPassword('correct horse');
+    const second = await hashPassword('correct horse');
+
+    assert.match(first, /^scrypt\$16384\$8\$1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+    assert.notEqual(first, second);
+    assert.deepEqual(await checkUserPassword({ passwordDigest: first }, 'correct horse'), { valid: true, needsUpgrade: false });
+    assert.deepEqual(await checkUserPassword({ passwordDigest: first }, 'Correct horse'), { valid: false, needsUpgrade: false });
+});
+
+test('checkUserPassword flags legacy accounts for upgrade only on a match', async () => {
+    assert.deepEqual(await checkUserPassword({ passwordHash: 'legacy-digest' }, 'legacy-digest'), { valid: true, needsUpgrade: true });
+    assert.deepEqual(await checkUserPassword({ passwordHash: 'legacy-digest' }, 'other'), { valid: false, needsUpgrade: false });
+    assert.deepEqual(await checkUserPassword({ email: 'google-only@example.com' }, 'anything'), { valid: false, needsUpgrade: false });
+    assert.deepEqual(await checkUserPassword({ passwordDigest: 'md5$abc' }, 'anything'), { valid: false, needsUpgrade: false });
+});
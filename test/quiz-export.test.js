@@ -0,0 +1,278 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import AdmZip from 'adm-zip';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+const { normalizeQuizQuestion, quizExporters } = await import('../server.js');
+
+// Each export is parsed back with a small reader for that format and compared to the source quiz,
+// so any character that is escaped wrongly (or not at all) shows up as a mismatch.
+
+const fixture = JSON.parse(fs.readFileSync(new URL('./fixtures/special-characters-quiz.json', import.meta.url), 'utf-8'));
+const quiz = { ...fixture, questions: fixture.questions.map((question, index) => normalizeQuizQuestion(question, index)) };
+
+const singleLine = (value) => value.replace(/\s*\r?\n\s*/g, ' ');
+const optionLetter = (index) => String.fromCharCode(65 + index);
+const correctIndexes = (question) => [question.correct].flat();
+const answerLabels = (question) => (question.type === 'short-answer'
+    ? question.acceptedAnswers
+    : correctIndexes(question).map((index) => `${optionLetter(index)}) ${question.options[index]}`));
+
+const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === '#') return String.fromCodePoint(name[1] === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+    return entities[name] ?? match;
+});
+const decodeHtml = (html) => decodeEntities(html.replace(/<br>/g, '\n'));
+
+// Markup that is not an element or a known entity means something was left unescaped.
+const assertEscaped = (xml) => {
+    assert.doesNotMatch(xml, /&(?!(amp|lt|gt|quot|apos|#\d+);)/, 'bare & in output');
+};
+
+test('fixture covers every question type and the reserved characters', () => {
+    assert.ok(quiz.questions.every(Boolean), 'fixture questions must be valid');
+    assert.deepEqual(quiz.questions.map((question) => question.type), ['mcq', 'true-false', 'multi-select', 'short-answer', 'short-answer']);
+    const allText = JSON.stringify(fixture);
+    for (const char of ['&', '<', '>', '"', "'", '{', '}', '=', '~', '#', ':', '\\n']) {
+        assert.ok(allText.includes(char), `fixture should contain ${char}`);
+    }
+});
+
+// --- Moodle XML ---
+
+const TEXT = '(<!\\[CDATA\\[[\\s\\S]*?\\]\\]>|[^<]*)';
+const readText = (content) => {
+    const cdata = content.match(/^<!\[CDATA\[([\s\S]*)\]\]>$/);
+    return cdata ? decodeHtml(cdata[1]) : decodeEntities(content);
+};
+
+const parseMoodle = (xml) => {
+    const category = decodeEntities(xml.match(/<category><text>([^<]*)<\/text><\/category>/)[1]);
+    const questions = [...xml.matchAll(/<question type="(\w+)">([\s\S]*?)<\/question>/g)]
+        .filter(([, type]) => type !== 'category')
+        .map(([, type, body]) => ({
+            type,
+            question: readText(body.match(new RegExp(`<questiontext format="html"><text>${TEXT}</text>`))[1]),
+            explanation: readText(body.match(new RegExp(`<generalfeedback format="html"><text>${TEXT}</text>`))[1]),
+            answers: [...body.matchAll(new RegExp(`<answer fraction="([^"]+)" format="[^"]+">\\s*<text>${TEXT}</text>`, 'g'))]
+                .map(([, fraction, text]) => ({ fraction: Number(fraction), text: readText(text) })),
+        }));
+    return { category, questions };
+};
+
+test('Moodle XML round-trips special characters', () => {
+    const xml = quizExporters.moodle.render(quiz);
+    assertEscaped(xml);
+    const parsed = parseMoodle(xml);
+
+    assert.equal(parsed.category, `$course$/EzStudy/${quiz.topic}`);
+    assert.equal(parsed.questions.length, quiz.questions.length);
+    parsed.questions.forEach((actual, index) => {
+        const expected = quiz.questions[index];
+        assert.equal(actual.question, expected.question);
+        assert.equal(actual.explanation, expected.explanation);
+        if (expected.type === 'short-answer') {
+            assert.deepEqual(actual.answers.map((answer) => answer.text), expected.acceptedAnswers);
+            return;
+        }
+        const texts = expected.type === 'true-false' ? ['true', 'false'] : expected.options;
+        assert.deepEqual(actual.answers.map((answer) => answer.text), texts);
+        const marked = actual.answers.flatMap((answer, answerIndex) => (answer.fraction > 0 ? [answerIndex] : []));
+        assert.deepEqual(marked, correctIndexes(expected));
+    });
+});
+
+// --- GIFT ---
+
+const unescapeGift = (text) => text.replace(/\\(.)/g, (match, char) => (char === 'n' ? '\n' : char));
+
+const parseGift = (gift) => {
+    const [header, ...blocks] = gift.trimEnd().split('\n\n');
+    const category = header.match(/^\$CATEGORY: (.*)$/m)[1];
+    const questions = blocks.map((block) => {
+        // Everything up to the first unescaped "{" is the question; the answer block may not hold one.
+        const [, title, text, body] = block.match(/^::(.*?)::\s*((?:\\.|[^\\{])*)\{((?:\\.|[^\\{}])*)\}$/);
+        const question = { title, question: unescapeGift(text.trim()), answers: [], explanation: '' };
+        for (const line of body.split('\n').map((value) => value.trim()).filter(Boolean)) {
+            if (line.startsWith('####')) question.explanation = unescapeGift(line.slice(4));
+            else if (line === 'TRUE' || line === 'FALSE') question.answers.push({ text: line, correct: true });
+            else if (line.startsWith('~%')) {
+                const [, weight, text] = line.match(/^~%(-?[\d.]+)%(.*)$/);
+                question.answers.push({ text: unescapeGift(text), correct: Number(weight) > 0 });
+            } else question.answers.push({ text: unescapeGift(line.slice(1)), correct: line[0] === '=' });
+        }
+        return question;
+    });
+    return { category, questions };
+};
+
+test('GIFT round-trips special characters', () => {
+    const parsed = parseGift(quizExporters.gift.render(quiz));
+
+    assert.equal(parsed.category, `$course$/EzStudy/${singleLine(quiz.topic)}`);
+    assert.equal(parsed.questions.length, quiz.questions.length);
+    parsed.questions.forEach((actual, index) => {
+        const expected = quiz.questions[index];
+        assert.equal(actual.title, `Q${index + 1}`);
+        assert.equal(actual.question, expected.question);
+        assert.equal(actual.explanation, expected.explanation);
+        if (expected.type === 'true-false') {
+            assert.deepEqual(actual.answers, [{ text: expected.correct === 0 ? 'TRUE' : 'FALSE', correct: true }]);
+        } else if (expected.type === 'short-answer') {
+            assert.deepEqual(actual.answers, expected.acceptedAnswers.map((text) => ({ text, correct: true })));
+        } else {
+            assert.deepEqual(actual.answers.map((answer) => answer.text), expected.options);
+            const marked = actual.answers.flatMap((answer, answerIndex) => (answer.correct ? [answerIndex] : []));
+            assert.deepEqual(marked, correctIndexes(expected));
+        }
+    });
+});
+
+// --- QTI 2.1 ---
+
+const parseQtiItem = (xml) => ({
+    prompt: decodeEntities((xml.match(/<prompt>([^<]*)<\/prompt>/) || xml.match(/<p>([^<]*)<\/p>/))[1]),
+    choices: [...xml.matchAll(/<simpleChoice identifier="([^"]+)">([^<]*)<\/simpleChoice>/g)].map(([, identifier, text]) => ({ identifier, text: decodeEntities(text) })),
+    correct: [...xml.match(/<correctResponse>(.*?)<\/correctResponse>/)[1].matchAll(/<value>([^<]*)<\/value>/g)].map(([, value]) => decodeEntities(value)),
+    accepted: [...xml.matchAll(/<baseValue baseType="string">([^<]*)<\/baseValue>/g)].map(([, value]) => decodeEntities(value)),
+    feedback: decodeEntities(xml.match(/<modalFeedback [^>]*>([^<]*)<\/modalFeedback>/)[1]),
+});
+
+test('QTI 2.1 package round-trips special characters', () => {
+    const zip = new AdmZip(quizExporters.qti.render(quiz));
+    const manifest = zip.readAsText('imsmanifest.xml');
+    assertEscaped(manifest);
+    const hrefs = [...manifest.matchAll(/<resource [^>]*href="([^"]+)"/g)].map(([, href]) => href);
+    assert.equal(hrefs.length, quiz.questions.length);
+
+    hrefs.forEach((href, index) => {
+        const xml = zip.readAsText(href);
+        assertEscaped(xml);
+        const actual = parseQtiItem(xml);
+        const expected = quiz.questions[index];
+        assert.equal(actual.prompt, expected.question);
+        assert.equal(actual.feedback, expected.explanation);
+        if (expected.type === 'short-answer') {
+            assert.deepEqual(actual.accepted, expected.acceptedAnswers);
+            assert.deepEqual(actual.correct, [expected.acceptedAnswers[0]]);
+        } else {
+            assert.deepEqual(actual.choices.map((choice) => choice.text), expected.options);
+            assert.deepEqual(actual.correct, correctIndexes(expected).map((correctIndex) => actual.choices[correctIndex].identifier));
+        }
+    });
+});
+
+// --- Anki CSV / TSV ---
+
+// Follows Anki's text importer: "#" at the start of a record is a comment or header line unless quoted.
+const parseDelimited = (text, delimiter) => {
+    const headers = [];
+    const rows = [];
+    let position = 0;
+    while (position < text.length) {
+        if (text[position] === '#') {
+            const end = text.indexOf('\n', position);
+            headers.push(text.slice(position + 1, end));
+            position = end + 1;
+            continue;
+        }
+        const row = [];
+        for (;;) {
+            let field = '';
+            if (text[position] === '"') {
+                position += 1;
+                for (;;) {
+                    const quote = text.indexOf('"', position);
+                    field += text.slice(position, quote);
+                    position = quote + 1;
+                    if (text[position] !== '"') break;
+                    field += '"';
+                    position += 1;
+                }
+            } else {
+                while (position < text.length && text[position] !== delimiter && text[position] !== '\n') field += text[position++];
+            }
+            row.push(field);
+            if (text[position] === delimiter) {
+                position += 1;
+                continue;
+            }
+            position += 1;
+            break;
+        }
+        rows.push(row);
+    }
+    return { headers, rows };
+};
+
+const parseAnkiNote = ([front, back, tags]) => {
+    const [, questionHtml, choicesHtml = ''] = front.match(/^([\s\S]*?)(?:<br><ol type="A">((?:<li>[^<]*<\/li>)*)<\/ol>)?$/);
+    const [, labelsHtml, explanationHtml = ''] = back.match(/^<b>([\s\S]*?)<\/b>(?:<br>([\s\S]*))?$/);
+    return {
+        question: decodeHtml(questionHtml),
+        options: [...choicesHtml.matchAll(/<li>([^<]*)<\/li>/g)].map(([, option]) => decodeHtml(option)),
+        labels: labelsHtml.split('<br>').map(decodeHtml),
+        explanation: decodeHtml(explanationHtml),
+        tags,
+    };
+};
+
+for (const [format, delimiter, separator] of [['anki-csv', ',', 'Comma'], ['anki-tsv', '\t', 'Tab']]) {
+    test(`${format} round-trips special characters`, () => {
+        const { headers, rows } = parseDelimited(quizExporters[format].render(quiz), delimiter);
+
+        assert.deepEqual(headers, [`separator:${separator}`, 'html:true', `columns:Front${delimiter}Back${delimiter}Tags`, 'tags column:3']);
+        assert.equal(rows.length, quiz.questions.length);
+        rows.forEach((row, index) => {
+            assert.equal(row.length, 3);
+            const actual = parseAnkiNote(row);
+            const expected = quiz.questions[index];
+            assert.equal(actual.question, expected.question);
+            assert.deepEqual(actual.options, expected.options);
+            assert.deepEqual(actual.labels, answerLabels(expected));
+            assert.equal(actual.explanation, expected.explanation);
+            assert.equal(actual.tags, 'ezstudy markup-escapes-tags-braces-tilde-1');
+        });
+    });
+}
+
+// --- Markdown ---
+
+// CommonMark: a backslash escapes any ASCII punctuation, and entity references are decoded.
+const decodeMarkdown = (text) => text.replace(/\\([!-/:-@[-`{-~])|&(?:#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, char) => char ?? decodeEntities(match));
+
+const parseMarkdown = (markdown) => {
+    const [head, ...sections] = markdown.trimEnd().split(/\n(?=## )/);
+    const topic = decodeMarkdown(head.match(/^# Quiz: (.*)$/m)[1]);
+    const questions = sections.map((entry) => {
+        const section = entry.trimEnd();
+        const [, number, question] = section.match(/^## (\d+)\. (.*)$/m);
+        const options = [...section.matchAll(/^- \*\*([A-Z])\)\*\* (.*)$/gm)].map(([, , option]) => decodeMarkdown(option));
+        const [, details] = section.match(/<summary>Answer<\/summary>\n\n([\s\S]*)\n\n<\/details>$/);
+        const parts = details.split('\n\n');
+        const labelCount = parts.findIndex((part) => !/^\*\*.*\*\*$/.test(part));
+        const labels = (labelCount === -1 ? parts : parts.slice(0, labelCount)).map((part) => decodeMarkdown(part.slice(2, -2)));
+        const explanation = labelCount === -1 ? '' : decodeMarkdown(parts.slice(labelCount).join('\n\n'));
+        return { number: Number(number), question: decodeMarkdown(question), options, labels, explanation };
+    });
+    return { topic, questions };
+};
+
+test('Markdown round-trips special characters', () => {
+    const parsed = parseMarkdown(quizExporters.markdown.render(quiz));
+
+    assert.equal(parsed.topic, singleLine(quiz.topic));
+    assert.equal(parsed.questions.length, quiz.questions.length);
+    parsed.questions.forEach((actual, index) => {
+        const expected = quiz.questions[index];
+        assert.equal(actual.number, index + 1);
+        assert.equal(actual.question, singleLine(expected.question));
+        assert.deepEqual(actual.options, expected.options.map(singleLine));
+        assert.deepEqual(actual.labels, answerLabels(expected).map(singleLine));
+        assert.equal(actual.explanation, expected.explanation);
+    });
+});
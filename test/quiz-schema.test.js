@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+process.env.QUIZ_REPAIR_ATTEMPTS = '2';
+const { generateQuizQuestions, parseQuizSpec, validateQuizOutput } = await import('../server.js');
+
+const mcq = (question, extra = {}) => ({ type: 'mcq', question, options: ['A', 'B', 'C', 'D'], correct: 1, difficulty: 'medium', ...extra });
+const spec = { count: 2, types: ['mcq', 'true-false'], difficulty: 'medium' };
+
+// Replays canned model replies in order and records the conversation sent with each call.
+const scriptedModel = (replies) => {
+    const calls = [];
+    const callAI = async (messages) => {
+        calls.push(messages.map((message) => ({ ...message })));
+        return { choices: [{ message: { content: replies[calls.length - 1] } }], usage: { totalTokens: 1 } };
+    };
+    return { calls, callAI };
+};
+
+test('parseQuizSpec validates count, types and difficulty', () => {
+    assert.deepEqual(parseQuizSpec({}), { spec: { count: 5, types: ['mcq'], difficulty: 'medium' } });
+    assert.deepEqual(parseQuizSpec({ count: 3, types: ['Multiple Choice', 'boolean'], difficulty: 'mixed' }).spec.types, ['mcq', 'true-false']);
+    assert.match(parseQuizSpec({ count: 0 }).error, /^count must be/);
+    assert.match(parseQuizSpec({ types: ['essay'] }).error, /^types must be/);
+    assert.match(parseQuizSpec({ count: 2, difficulty: ['easy'] }).error, /^difficulty must list 2 values/);
+});
+
+test('validateQuizOutput accepts fenced JSON and an object with a questions array', () => {
+    const questions = [mcq('One?'), { type: 'true-false', question: 'Two?', correct: false, difficulty: 'medium' }];
+
+    const fenced = validateQuizOutput(`\`\`\`json\n${JSON.stringify(questions)}\n\`\`\``, spec);
+    assert.deepEqual(fenced.questions.map((question) => [question.type, question.correct]), [['mcq', 1], ['true-false', 1]]);
+    assert.deepEqual(fenced.questions[1].options, ['True', 'False']);
+    assert.equal(validateQuizOutput(JSON.stringify({ questions }), spec).questions.length, 2);
+});
+
+test('validateQuizOutput lists every schema error with its path', () => {
+    const { errors } = validateQuizOutput(JSON.stringify([
+        mcq('One?', { options: ['A', 'B', 'b'], correct: 5 }),
+        { type: 'short-answer', question: '', acceptedAnswers: [], difficulty: 'hard' },
+        mcq('Three?'),
+    ]), spec);
+
+    assert.deepEqual(errors, [
+        'Expected exactly 2 questions but got 3',
+        '[0].options must have exactly 4 items',
+        '[0].options must not repeat an option',
+        '[0].correct must be an option index between 0 and 2',
+        '[1].type "short-answer" was not requested; use one of mcq, true-false',
+        '[1].question must be a non-empty string',
+        '[1].difficulty must be "medium"',
+        '[1].acceptedAnswers must list at least one answer',
+    ]);
+    assert.deepEqual(validateQuizOutput('no json here', spec), { errors: ['Response must be a valid JSON array of question objects'] });
+});
+
+test('generateQuizQuestions sends validation errors back until the model complies', async () => {
+    const model = scriptedModel(['Sure! Here is your quiz.', JSON.stringify([mcq('One?'), mcq('Two?')])]);
+
+    const result = await generateQuizQuestions('Cells', { count: 2, types: ['mcq'], difficulty: 'medium' }, model.callAI);
+
+    assert.equal(result.attempts, 2);
+    assert.deepEqual(result.questions.map((question) => question.question), ['One?', 'Two?']);
+    const repairTurns = model.calls[1].slice(-2);
+    assert.deepEqual(repairTurns[0], { role: 'assistant', content: 'Sure! Here is your quiz.' });
+    assert.equal(repairTurns[1].content, 'That response did not match the schema:\n- Response must be a valid JSON array of question objects\nReturn the corrected JSON array of 2 questions only.');
+});
+
+test('generateQuizQuestions gives up with the last errors after the repair attempts', async () => {
+    const model = scriptedModel(['[]', '[]', '[]']);
+
+    const result = await generateQuizQuestions('Cells', { count: 1, types: ['mcq'], difficulty: 'medium' }, model.callAI);
+
+    assert.equal(model.calls.length, 3);
+    assert.deepEqual(result, { errors: ['Expected exactly 1 questions but got 0'], content: '[]', attempts: 3 });
+});
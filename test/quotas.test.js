@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+process.env.RATE_LIMIT_WINDOW_SECONDS = '60';
+const { quotaPeriods, takeRateLimitSlot } = await import('../server.js');
+
+test('takeRateLimitSlot allows up to the limit per window, then reports when to retry', () => {
+    const start = 1_000_000;
+
+    assert.deepEqual(takeRateLimitSlot('test:a', 2, start), { allowed: true });
+    assert.deepEqual(takeRateLimitSlot('test:a', 2, start + 1000), { allowed: true });
+    assert.deepEqual(takeRateLimitSlot('test:a', 2, start + 1500), { allowed: false, retryAfterSeconds: 59 });
+});
+
+test('takeRateLimitSlot keeps separate buckets per key and starts a new window after reset', () => {
+    const start = 2_000_000;
+
+    assert.equal(takeRateLimitSlot('test:b', 1, start).allowed, true);
+    assert.equal(takeRateLimitSlot('test:b', 1, start).allowed, false);
+    assert.equal(takeRateLimitSlot('test:c', 1, start).allowed, true);
+    assert.equal(takeRateLimitSlot('test:b', 1, start + 60_000).allowed, true);
+});
+
+test('quotaPeriods uses UTC calendar days and months', () => {
+    const periods = quotaPeriods(new Date('2026-03-31T23:30:00-02:00'));
+
+    assert.deepEqual(periods.day, {
+        key: '2026-04-01',
+        start: new Date('2026-04-01T00:00:00Z'),
+        end: new Date('2026-04-02T00:00:00Z'),
+    });
+    assert.deepEqual(periods.month, {
+        key: '2026-04',
+        start: new Date('2026-04-01T00:00:00Z'),
+        end: new Date('2026-05-01T00:00:00Z'),
+    });
+});
+
+test('quotaPeriods rolls the month over at the end of December', () => {
+    const { month } = quotaPeriods(new Date('2026-12-15T12:00:00Z'));
+
+    assert.equal(month.key, '2026-12');
+    assert.deepEqual(month.end, new Date('2027-01-01T00:00:00Z'));
+});
@@ -0,0 +1,173 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+const { callProviderModel, createCircuitBreaker, isTransientAIError, parseRetryAfterMs } = await import('../server.js');
+
+const httpError = (status, extra = {}) => Object.assign(new Error(`HTTP ${status}`), { status, ...extra });
+
+test('createCircuitBreaker opens after consecutive transient failures and skips calls until the cool-down ends', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const breaker = createCircuitBreaker({ breakerThreshold: 3, breakerCooldownMs: 1000 });
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    assert.equal(breaker.tryAcquire(), true, 'still closed below the threshold');
+    breaker.recordFailure();
+
+    assert.equal(breaker.isOpen(), true);
+    assert.equal(breaker.tryAcquire(), false);
+    assert.deepEqual(breaker.describe(), { state: 'open', consecutiveFailures: 3, openedAt: new Date(0), retryAt: new Date(1000) });
+
+    t.mock.timers.tick(999);
+    assert.equal(breaker.tryAcquire(), false);
+});
+
+test('createCircuitBreaker lets a single trial through when half-open, and closes on its success', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const breaker = createCircuitBreaker({ breakerThreshold: 1, breakerCooldownMs: 1000 });
+    breaker.recordFailure();
+
+    t.mock.timers.tick(1000);
+    assert.equal(breaker.describe().state, 'half-open');
+    assert.equal(breaker.tryAcquire(), true, 'the trial call');
+    assert.equal(breaker.tryAcquire(), false, 'no second call while the trial is in flight');
+
+    breaker.recordSuccess();
+    assert.deepEqual(breaker.describe(), { state: 'closed', consecutiveFailures: 0, openedAt: null, retryAt: null });
+    assert.equal(breaker.tryAcquire(), true);
+    assert.equal(breaker.tryAcquire(), true);
+});
+
+test('createCircuitBreaker reopens when the half-open trial fails, and frees the trial when it is abandoned', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const breaker = createCircuitBreaker({ breakerThreshold: 5, breakerCooldownMs: 1000 });
+    for (let i = 0; i < 5; i += 1) breaker.recordFailure();
+
+    t.mock.timers.tick(1000);
+    assert.equal(breaker.tryAcquire(), true);
+    breaker.release();
+    assert.equal(breaker.tryAcquire(), true, 'an abandoned trial says nothing about the provider');
+
+    breaker.recordFailure();
+    assert.equal(breaker.isOpen(), true, 'one failed trial is enough to reopen');
+    assert.equal(breaker.describe().retryAt.getTime(), 2000);
+});
+
+test('createCircuitBreaker opens straight away for a hold longer than the retries', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const breaker = createCircuitBreaker({ breakerThreshold: 5, breakerCooldownMs: 1000 });
+
+    breaker.recordFailure(60000);
+
+    assert.equal(breaker.isOpen(), true);
+    assert.equal(breaker.describe().retryAt.getTime(), 60000);
+});
+
+test('parseRetryAfterMs reads delay-seconds and HTTP dates', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-01T12:00:00Z') });
+
+    assert.equal(parseRetryAfterMs('3'), 3000);
+    assert.equal(parseRetryAfterMs('0.5'), 500);
+    assert.equal(parseRetryAfterMs('-4'), 0);
+    assert.equal(parseRetryAfterMs('Sun, 01 Mar 2026 12:00:30 GMT'), 30000);
+    assert.equal(parseRetryAfterMs('Sun, 01 Mar 2026 11:00:00 GMT'), 0, 'a date in the past means retry now');
+    assert.equal(parseRetryAfterMs('soon'), null);
+    assert.equal(parseRetryAfterMs(''), null);
+    assert.equal(parseRetryAfterMs(null), null);
+});
+
+test('isTransientAIError covers timeouts, throttling, server errors and network failures only', () => {
+    assert.equal(isTransientAIError(Object.assign(new Error('timed out'), { timedOut: true })), true);
+    for (const status of [408, 429, 500, 503]) assert.equal(isTransientAIError(httpError(status)), true, `status ${status}`);
+    assert.equal(isTransientAIError(new TypeError('fetch failed', { cause: { code: 'ECONNRESET' } })), true);
+
+    for (const status of [400, 401, 403, 404]) assert.equal(isTransientAIError(httpError(status)), false, `status ${status}`);
+    assert.equal(isTransientAIError(new Error('Unexpected token in JSON')), false);
+    assert.equal(isTransientAIError(null), false);
+});
+
+const fakeProvider = (resilience = {}) => ({
+    name: 'test',
+    resilience: { timeoutMs: 1000, retries: 2, retryBaseDelayMs: 1, retryMaxDelayMs: 20, breakerThreshold: 3, breakerCooldownMs: 1000, ...resilience },
+    breaker: createCircuitBreaker({ breakerThreshold: 3, breakerCooldownMs: 1000 }),
+    latency: { record: () => {} },
+});
+
+// Fails with each error in turn, then answers.
+const scriptedAttempt = (errors) => {
+    const calls = [];
+    const attempt = async (provider, modelName) => {
+        calls.push(modelName);
+        if (calls.length <= errors.length) throw errors[calls.length - 1];
+        return { content: 'ok' };
+    };
+    return { attempt, calls };
+};
+
+test('callProviderModel retries transient failures and then returns the answer', async () => {
+    const provider = fakeProvider();
+    const { attempt, calls } = scriptedAttempt([httpError(503), httpError(429)]);
+
+    const result = await callProviderModel(provider, 'model-a', attempt, { canFallBack: () => true });
+
+    assert.deepEqual(result, { content: 'ok' });
+    assert.equal(calls.length, 3);
+    assert.equal(provider.breaker.describe().consecutiveFailures, 0);
+});
+
+test('callProviderModel does not retry errors that would fail the same way again', async () => {
+    const provider = fakeProvider();
+    provider.breaker.recordFailure();
+    const { attempt, calls } = scriptedAttempt([httpError(400)]);
+
+    await assert.rejects(callProviderModel(provider, 'model-a', attempt, { canFallBack: () => true }), { status: 400 });
+
+    assert.equal(calls.length, 1);
+    // The provider answered, so the breaker's failure streak is reset.
+    assert.equal(provider.breaker.describe().consecutiveFailures, 0);
+});
+
+test('callProviderModel gives up after the configured retries and counts the failure', async () => {
+    const provider = fakeProvider({ retries: 1 });
+    const { attempt, calls } = scriptedAttempt([httpError(500), httpError(502), httpError(503)]);
+
+    await assert.rejects(callProviderModel(provider, 'model-a', attempt, { canFallBack: () => true }), { status: 502 });
+
+    assert.equal(calls.length, 2);
+    assert.equal(provider.breaker.describe().consecutiveFailures, 1);
+});
+
+test('callProviderModel does not retry once the caller can no longer take a fresh answer', async () => {
+    const provider = fakeProvider();
+    const { attempt, calls } = scriptedAttempt([httpError(503)]);
+
+    await assert.rejects(callProviderModel(provider, 'model-a', attempt, { canFallBack: () => false }), { status: 503 });
+
+    assert.equal(calls.length, 1);
+});
+
+test('callProviderModel holds the breaker open instead of waiting out a long Retry-After', async () => {
+    const provider = fakeProvider();
+    const { attempt, calls } = scriptedAttempt([httpError(429, { retryAfterMs: 120000 })]);
+
+    await assert.rejects(callProviderModel(provider, 'model-a', attempt, { canFallBack: () => true }), { status: 429 });
+
+    assert.equal(calls.length, 1);
+    assert.equal(provider.breaker.isOpen(), true);
+});
+
+test('callProviderModel times out a silent call and retries it as transient', async () => {
+    const provider = fakeProvider({ timeoutMs: 20, retries: 1 });
+    let calls = 0;
+    const attempt = (p, modelName, { signal }) => {
+        calls += 1;
+        if (calls === 1) return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+        return { content: 'second try' };
+    };
+
+    assert.deepEqual(await callProviderModel(provider, 'model-a', attempt, { canFallBack: () => true }), { content: 'second try' });
+    assert.equal(calls, 2);
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+const { buildDocumentChunks, rankChunks, selectUploadContext } = await import('../server.js');
+
+test('rankChunks scores terms that share a name with Object.prototype members', () => {
+    const chunks = buildDocumentChunks([
+        { page: 1, text: 'A class constructor runs when the object is created. The constructor sets fields.' },
+        { page: 2, text: 'Photosynthesis converts light into chemical energy in plants.' },
+    ]);
+
+    const ranked = rankChunks(chunks, 'constructor');
+    assert.deepEqual(ranked.map(({ chunk }) => chunk.page), [1]);
+    assert.ok(Number.isFinite(ranked[0].score) && ranked[0].score > 0);
+    assert.deepEqual(rankChunks(chunks.slice(1), 'constructor'), []);
+});
+
+test('rankChunks reads stored term maps, which are plain objects, by own keys only', () => {
+    // Chunks loaded from MongoDB carry ordinary objects rather than null-prototype maps.
+    const stored = [
+        { index: 0, page: 1, text: 'toString is inherited', terms: { tostring: 1, inherited: 1 }, length: 2 },
+        { index: 1, page: 2, text: 'nothing relevant here', terms: { relevant: 1 }, length: 2 },
+    ];
+
+    assert.deepEqual(rankChunks(stored, 'constructor toString').map(({ chunk }) => chunk.index), [0]);
+    assert.ok(rankChunks(stored, 'constructor toString').every(({ score }) => Number.isFinite(score)));
+});
+
+test('selectUploadContext keeps short uploads whole', () => {
+    const extracted = { unit: 'page', pages: [{ page: 1, text: 'Short notes about cells.' }] };
+    assert.equal(selectUploadContext(extracted, 'cells', 1000), '[Page 1]\nShort notes about cells.');
+});
+
+test('selectUploadContext picks the passages that match the question from long uploads', () => {
+    const filler = (topic) => `${topic} `.repeat(200).trim();
+    const extracted = {
+        unit: 'page',
+        pages: [
+            { page: 1, text: filler('history') },
+            { page: 2, text: filler('geography') },
+            { page: 3, text: `Mitochondria produce ATP. ${filler('biology')}` },
+        ],
+    };
+
+    const context = selectUploadContext(extracted, 'What do mitochondria produce?', 2000);
+    assert.match(context, /^\(Excerpts: \d+ of \d+ passages, chosen by relevance to the question\)\n/);
+    assert.match(context, /\[Page 3\]\nMitochondria produce ATP\./);
+    assert.ok(context.length < 2200);
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+const { buildSearchMatcher, buildSnippet, escapeHtml, parseDateParam, scoreSearchText } = await import('../server.js');
+
+const words = (text, matcher) => [...text.matchAll(matcher)].map((match) => match[0]);
+
+test('buildSearchMatcher matches word prefixes and trims plural and -ing endings', () => {
+    const matcher = buildSearchMatcher(['cycles', 'learning']);
+
+    assert.deepEqual(words('The Krebs cycle; cyclical learners learn.', matcher), ['cycle', 'cyclical', 'learners', 'learn']);
+    assert.deepEqual(words('bicycle unlearned', matcher), []);
+});
+
+test('buildSearchMatcher treats regex characters in terms literally', () => {
+    const matcher = buildSearchMatcher(['c++']);
+
+    assert.deepEqual(words('Learn c++ or c', matcher), ['c++']);
+});
+
+test('scoreSearchText ranks full coverage above repeated hits of one term', () => {
+    const terms = ['mitochondria', 'energy'];
+    const matcher = buildSearchMatcher(terms);
+
+    const both = scoreSearchText('Mitochondria release energy.', terms, matcher, 'mitochondria energy');
+    const repeated = scoreSearchText('Mitochondria, mitochondria, mitochondria.', terms, matcher, 'mitochondria energy');
+    const phrase = scoreSearchText('Mitochondria energy output.', terms, matcher, 'mitochondria energy');
+
+    assert.ok(both.score > repeated.score);
+    assert.ok(phrase.score > both.score);
+    assert.equal(scoreSearchText('Nothing relevant.', terms, matcher, null), null);
+    assert.equal(scoreSearchText(undefined, terms, matcher, null), null);
+});
+
+test('buildSnippet centres on the first match and offsets highlights past the ellipsis', () => {
+    const text = `${'a'.repeat(100)} photosynthesis ${'b'.repeat(100)} photosynthesis`;
+    const matcher = buildSearchMatcher(['photosynthesis']);
+    const { snippet, highlights } = buildSnippet(text, [...text.matchAll(matcher)]);
+
+    assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+    assert.equal(highlights.length, 1);
+    const [from, to] = highlights[0];
+    assert.equal(snippet.slice(from, to), 'photosynthesis');
+});
+
+test('buildSnippet escapes the text around and inside highlights', () => {
+    const text = '<b>Tom & "Jerry"</b>';
+    const matcher = buildSearchMatcher(['tom']);
+    const { snippetHtml } = buildSnippet(text, [...text.matchAll(matcher)]);
+
+    assert.equal(snippetHtml, '&lt;b&gt;<mark>Tom</mark> &amp; &quot;Jerry&quot;&lt;/b&gt;');
+    assert.equal(escapeHtml("it's"), 'it&#39;s');
+});
+
+test('parseDateParam distinguishes missing from invalid dates', () => {
+    assert.equal(parseDateParam(''), null);
+    assert.equal(parseDateParam('not a date'), undefined);
+    assert.deepEqual(parseDateParam('2026-03-01'), new Date('2026-03-01'));
+});
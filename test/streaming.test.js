@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+const { readOpenAIStream, wantsEventStream, writeSseEvent } = await import('../server.js');
+
+const encoder = new TextEncoder();
+const streamOf = async function* (parts) {
+    for (const part of parts) yield encoder.encode(part);
+};
+
+const collect = async (iterable) => {
+    const items = [];
+    for await (const item of iterable) items.push(item);
+    return items;
+};
+
+test('readOpenAIStream yields each data event, even when split across chunks', async () => {
+    const events = await collect(readOpenAIStream(streamOf([
+        'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choi',
+        'ces":[{"delta":{"content":"lo"}}]}\n\n',
+        ': keep-alive\n\n',
+        'data: {"choices":[{"delta":{},"finish_reason":"stop"}]}\n\n',
+    ])));
+
+    assert.deepEqual(events.map((event) => event.choices[0].delta.content), ['Hel', 'lo', undefined]);
+});
+
+test('readOpenAIStream stops at [DONE]', async () => {
+    const events = await collect(readOpenAIStream(streamOf([
+        'data: {"n":1}\n\ndata: [DONE]\n\ndata: {"n":2}\n\n',
+    ])));
+
+    assert.deepEqual(events, [{ n: 1 }]);
+});
+
+test('wantsEventStream accepts the body flag, the query flag or an Accept header', () => {
+    const request = ({ body = {}, query = {}, accept = '' } = {}) => ({ body, query, get: (name) => (name === 'accept' ? accept : undefined) });
+
+    assert.equal(wantsEventStream(request({ body: { stream: true } })), true);
+    assert.equal(wantsEventStream(request({ body: { stream: 'true' } })), true);
+    assert.equal(wantsEventStream(request({ query: { stream: '1' } })), true);
+    assert.equal(wantsEventStream(request({ accept: 'text/event-stream' })), true);
+    assert.equal(wantsEventStream(request({ body: { stream: false } })), false);
+    assert.equal(wantsEventStream(request()), false);
+});
+
+test('writeSseEvent frames one named event with a JSON payload', () => {
+    let written = '';
+    writeSseEvent({ write: (chunk) => { written += chunk; } }, 'token', { text: 'line 1\nline 2' });
+
+    assert.equal(written, 'event: token\ndata: {"text":"line 1\\nline 2"}\n\n');
+});
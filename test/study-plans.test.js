@@ -0,0 +1,135 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+const { parseStudyPlanRequest, renderStudyPlanIcs, repackStudySessions, validateStudyPlanOutput } = await import('../server.js');
+
+// 2026-03-02 is a Monday; Sundays (0) are rest days in these plans.
+const spec = parseStudyPlanRequest({
+    subjects: [{ name: 'Biology', topics: ['Cells', 'Genetics'] }, 'History'],
+    startDate: '2026-03-02',
+    examDate: '2026-03-10',
+    hoursPerDay: 1,
+    restDays: [0],
+}).spec;
+
+const session = (id, date, order, minutes, status = 'pending') => ({ id, date, order, minutes, status, subject: 'Biology', topic: `Topic ${id}`, activity: 'learn', notes: '' });
+
+test('parseStudyPlanRequest applies defaults and rejects exam dates that are not after the start', () => {
+    assert.deepEqual(spec.subjects, [{ name: 'Biology', topics: ['Cells', 'Genetics'] }, { name: 'History', topics: [] }]);
+    assert.equal(spec.dailyStartTime, '18:00');
+    assert.equal(spec.title, 'Biology, History exam plan');
+
+    assert.match(parseStudyPlanRequest({ subjects: ['Biology'], startDate: '2026-03-10', examDate: '2026-03-10', hoursPerDay: 1 }).error, /examDate must be 1-180 days after startDate/);
+    assert.match(parseStudyPlanRequest({ subjects: ['Biology'], startDate: '2026-02-30', examDate: '2026-03-10', hoursPerDay: 1 }).error, /YYYY-MM-DD/);
+});
+
+test('validateStudyPlanOutput accepts a plan that fits the study days, daily limit and topics', () => {
+    const result = validateStudyPlanOutput(JSON.stringify([
+        { date: '2026-03-04', sessions: [{ subject: 'biology', topic: 'Genetics', minutes: 60 }] },
+        { date: '2026-03-03', sessions: [{ subject: 'Biology', topic: 'Cells', minutes: 40, activity: 'learn' }, { subject: 'History', topic: 'Revolutions', minutes: 20, activity: 'review' }] },
+    ]), spec);
+
+    assert.equal(result.errors, undefined);
+    assert.deepEqual(result.sessions.map(({ date, subject, topic }) => [date, subject, topic]), [
+        ['2026-03-03', 'Biology', 'Cells'],
+        ['2026-03-03', 'History', 'Revolutions'],
+        ['2026-03-04', 'Biology', 'Genetics'],
+    ]);
+});
+
+test('validateStudyPlanOutput reports rest days, overfull days and unscheduled topics', () => {
+    const { errors } = validateStudyPlanOutput(JSON.stringify({
+        days: [
+            { date: '2026-03-08', sessions: [{ subject: 'Biology', topic: 'Genetics', minutes: 30 }] },
+            { date: '2026-03-03', sessions: [{ subject: 'Biology', topic: 'Cells', minutes: 45 }, { subject: 'Chemistry', topic: 'Acids', minutes: 30 }] },
+        ],
+    }), spec);
+
+    assert.deepEqual(errors, [
+        '[0].date "2026-03-08" is not one of the study days',
+        '[1].sessions[1].subject must be one of Biology, History',
+        '[1] (2026-03-03) has 75 minutes of sessions; the limit is 60',
+        'These topics are never scheduled: Biology: Genetics',
+    ]);
+});
+
+test('repackStudySessions moves pending work forward in order, skipping rest days and full days', () => {
+    const plan = {
+        ...spec,
+        sessions: [
+            session('a', '2026-03-02', 0, 30, 'done'),
+            session('b', '2026-03-02', 1, 40),
+            session('c', '2026-03-03', 0, 60),
+            session('d', '2026-03-07', 0, 20, 'skipped'),
+        ],
+    };
+
+    const { sessions, moved } = repackStudySessions(plan, '2026-03-07');
+
+    assert.equal(moved, 2);
+    assert.deepEqual(sessions.map(({ id, date, order }) => [id, date, order]), [
+        ['a', '2026-03-02', 0],
+        ['d', '2026-03-07', 0],
+        ['b', '2026-03-07', 1],
+        ['c', '2026-03-09', 0],
+    ]);
+    assert.equal(sessions.find(({ id }) => id === 'b').rescheduledFrom, '2026-03-02');
+    assert.equal(sessions.find(({ id }) => id === 'a').rescheduledFrom, undefined);
+});
+
+test('repackStudySessions gives a session longer than a day a day to itself', () => {
+    const plan = { ...spec, sessions: [session('a', '2026-03-02', 0, 30), session('b', '2026-03-02', 1, 90), session('c', '2026-03-02', 2, 30)] };
+
+    const { sessions } = repackStudySessions(plan, '2026-03-02');
+
+    assert.deepEqual(sessions.map(({ id, date }) => [id, date]), [['a', '2026-03-02'], ['b', '2026-03-03'], ['c', '2026-03-04']]);
+});
+
+test('renderStudyPlanIcs lays sessions out back to back in floating local time', () => {
+    const ics = renderStudyPlanIcs({
+        ...spec,
+        _id: { toString: () => 'plan1' },
+        title: 'Finals; week 1, part 2',
+        dailyStartTime: '23:00',
+        revision: 3,
+        updatedAt: new Date('2026-03-01T12:00:00Z'),
+        sessions: [
+            { ...session('s2', '2026-03-02', 1, 30, 'done'), topic: 'Cells, tissues and organs' },
+            { ...session('s1', '2026-03-02', 0, 45), notes: 'Read chapter 1\nthen chapter 2' },
+            session('s3', '2026-03-03', 0, 30, 'skipped'),
+        ],
+    });
+    const lines = ics.split('\r\n');
+
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(lines.includes('X-WR-CALNAME:Finals\\; week 1\\, part 2'));
+    assert.ok(lines.includes('DTSTART:20260302T230000'));
+    assert.ok(lines.includes('DTEND:20260302T234500'));
+    // The second session starts after a 10-minute break and runs past midnight.
+    assert.ok(lines.includes('DTSTART:20260302T235500'));
+    assert.ok(lines.includes('DTEND:20260303T002500'));
+    assert.ok(lines.includes('SUMMARY:✓ Biology: Cells\\, tissues and organs'));
+    assert.ok(lines.includes('DESCRIPTION:Activity: learn\\nRead chapter 1\\nthen chapter 2'));
+    assert.ok(lines.includes('SEQUENCE:3'));
+    assert.ok(!ics.includes('UID:s3@ezstudy'), 'skipped sessions are left out');
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20260310'));
+    assert.ok(lines.includes('DTEND;VALUE=DATE:20260311'));
+});
+
+test('renderStudyPlanIcs folds long lines at 75 octets without splitting characters', () => {
+    const ics = renderStudyPlanIcs({
+        ...spec,
+        _id: { toString: () => 'plan1' },
+        title: 'Ünïcödé '.repeat(20),
+        dailyStartTime: '18:00',
+        sessions: [],
+    });
+    const lines = ics.split('\r\n');
+
+    assert.ok(lines.every((line) => Buffer.byteLength(line) <= 75));
+    assert.ok(lines.some((line) => line.startsWith(' ')));
+    assert.equal(ics.replace(/\r\n /g, '').split('\r\n').find((line) => line.startsWith('X-WR-CALNAME:')), `X-WR-CALNAME:${'Ünïcödé '.repeat(20)}`);
+});
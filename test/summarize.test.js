@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+process.env.MONGODB_URI = '';
+process.env.AI_PROVIDERS = 'mock';
+process.env.SUMMARY_CHUNK_CHARS = '200';
+process.env.SUMMARY_CONCURRENCY = '2';
+const { chunkSummarySections, groupSummaryPartials, mapWithConcurrency, splitSummaryText, summarizeSections } = await import('../server.js');
+
+const sentence = (n) => `Sentence number ${n} explains one more idea.`;
+const paragraph = (from, count) => Array.from({ length: count }, (_, index) => sentence(from + index)).join(' ');
+
+test('splitSummaryText breaks at paragraph or sentence boundaries within the limit', () => {
+    const text = `${paragraph(1, 3)}\n\n${paragraph(4, 3)}`;
+    const pieces = splitSummaryText(text, 150);
+
+    assert.ok(pieces.every((piece) => piece.length <= 150));
+    assert.deepEqual(pieces, [paragraph(1, 3), paragraph(4, 3)]);
+    assert.ok(splitSummaryText(paragraph(1, 10), 100).every((piece) => /\.$/.test(piece)));
+    assert.deepEqual(splitSummaryText('x'.repeat(25), 10), ['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+});
+
+test('chunkSummarySections labels page text and packs sections up to SUMMARY_CHUNK_CHARS', () => {
+    const chunks = chunkSummarySections([
+        { source: 'notes.pdf', unit: 'page', page: 1, text: 'Short page one.' },
+        { source: 'notes.pdf', unit: 'page', page: 2, text: 'Short page two.' },
+        { source: null, unit: null, page: null, text: paragraph(1, 8) },
+    ]);
+
+    assert.ok(chunks.every((chunk) => chunk.length <= 200));
+    assert.match(chunks[0], /^\[notes\.pdf, page 1\]\nShort page one\.\n\n\[notes\.pdf, page 2\]\nShort page two\./);
+    assert.equal(chunks.join(' ').match(/Sentence number/g).length, 8);
+});
+
+test('groupSummaryPartials keeps at least two partials per merge group', () => {
+    const big = 'x'.repeat(150);
+
+    assert.deepEqual(groupSummaryPartials([big, big, big]).map((group) => group.length), [2, 1]);
+    assert.deepEqual(groupSummaryPartials(['a', 'b', 'c']).map((group) => group.length), [3]);
+});
+
+test('mapWithConcurrency keeps result order and never exceeds the limit', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5, 1], 2, async (delay, index) => {
+        running += 1;
+        peak = Math.max(peak, running);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        running -= 1;
+        return index * 10;
+    });
+
+    assert.deepEqual(results, [0, 10, 20, 30, 40]);
+    assert.equal(peak, 2);
+});
+
+test('summarizeSections maps long input over chunks and merges the partial notes', async () => {
+    const result = await summarizeSections([{ source: null, page: null, text: paragraph(1, 20) }], 'outline');
+
+    assert.ok(result.chunks > 2);
+    assert.ok(result.mergeRounds >= 1);
+    assert.match(result.notes, /^## Mock Notes/);
+});
+
+test('summarizeSections sends short input to the model once without merging', async () => {
+    const result = await summarizeSections([{ source: null, page: null, text: 'Cells are the basic unit of life.' }], 'outline');
+
+    assert.equal(result.chunks, 1);
+    assert.equal(result.mergeRounds, 0);
+    assert.match(result.notes, /Cells are the basic unit of life\./);
+});